@@ -1,11 +1,12 @@
 /**
  * @module AIArmyManager
- * @description Manages AI army unit training
+ * @description Manages AI army unit training (barracks units, and priests once there is a temple)
  */
 
 import { AI_TUNING } from '../config/aiTuning.js';
 import { UNIT_STATS, AI_WAVE_CONFIG } from '../config/entityStats.js';
-import { units } from '../core/GameState.js';
+import { units, gameState, canAfford } from '../core/GameState.js';
+import { rng } from '../utils/Random.js';
 
 export default class AIArmyManager {
     constructor(factionId, worldView, personality, logger) {
@@ -31,12 +32,15 @@ export default class AIArmyManager {
 
         const army = myUnits.filter(u => u.type !== 'peasant');
 
+        // Healers: a priest from the temple for every few fighters
+        if (this.trainPriest(army, myBuildings)) return;
+
         // Counter Unit Logic
         const counterUnit = this.analyzeEnemyComposition();
         let trainType = null;
 
         // 30% chance to train counter unit if identified
-        if (counterUnit && Math.random() < 0.3) {
+        if (counterUnit && rng.chance(0.3)) {
             trainType = counterUnit;
         } else {
             // Use Wave Config but adjusted by personality preferences
@@ -51,13 +55,13 @@ export default class AIArmyManager {
             else {
                 // Train preferred unit
                 const preferred = this.personality.preferredUnits;
-                trainType = preferred[Math.floor(Math.random() * preferred.length)];
+                trainType = rng.pick(preferred);
             }
         }
 
         const cost = UNIT_STATS[trainType].cost;
-        if (resources.gold >= cost.gold && resources.wood >= (cost.wood || 0)) {
-            const barracks = barracksList[Math.floor(Math.random() * barracksList.length)];
+        if (canAfford(this.factionId, cost)) {
+            const barracks = rng.pick(barracksList);
             barracks.trainUnit(trainType);
             this.logger.log('Army', `Training ${trainType}`, `G:${cost.gold} Army:${army.length}`);
         } else {
@@ -65,6 +69,28 @@ export default class AIArmyManager {
         }
     }
 
+    /**
+     * Train a priest if the army is short of one (barracks wait while the gold is saved up)
+     * @returns {boolean} True if a priest is due
+     */
+    trainPriest(army, myBuildings) {
+        const temple = myBuildings.find(b => b.type === 'temple' && !b.isBlueprint && b.trainingQueue.length === 0);
+        if (!temple) return false;
+
+        const priests = army.filter(u => u.type === 'priest').length;
+        const fighters = army.length - priests;
+        if (priests >= Math.floor(fighters / AI_TUNING.ABILITIES.FIGHTERS_PER_PRIEST)) return false;
+
+        const cost = UNIT_STATS.priest.cost;
+        if (canAfford(this.factionId, cost)) {
+            temple.trainUnit('priest');
+            this.logger.log('Army', 'Training priest', `G:${cost.gold} Priests:${priests + 1}`);
+        } else {
+            this.logger.log('Army', 'Saving for priest', `Need G:${cost.gold} Have:${gameState.factionResources[this.factionId].gold}`);
+        }
+        return true;
+    }
+
     analyzeEnemyComposition() {
         const enemyUnits = units.filter(u => !u.isDead && u.faction !== this.factionId && u.faction !== -1);
         if (enemyUnits.length === 0) return null;
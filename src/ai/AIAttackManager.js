@@ -66,10 +66,11 @@ export default class AIAttackManager {
         const soldiers = army.filter(u => u.type === 'soldier');
         const archers = army.filter(u => u.type === 'archer');
         const knights = army.filter(u => u.type === 'knight');
+        const priests = army.filter(u => u.type === 'priest');
 
         const groups = Array.from({ length: numGroups }, () => []);
 
-        [soldiers, archers, knights].forEach(unitType => {
+        [soldiers, archers, knights, priests].forEach(unitType => {
             unitType.forEach((unit, idx) => {
                 groups[idx % numGroups].push(unit);
             });
@@ -1,11 +1,12 @@
 /**
  * @module AIBuildManager
- * @description Manages AI construction and research
+ * @description Manages AI construction, repair and research
+ * (mining camps go next to gold mines far from every drop-off)
  */
 
 import { AI_TUNING } from '../config/aiTuning.js';
-import { UPGRADES } from '../config/entityStats.js';
-import { gameState, buildings, map } from '../core/GameState.js';
+import { UPGRADES, BUILDING_STATS } from '../config/entityStats.js';
+import { gameState, canAfford, isBuildableArea } from '../core/GameState.js';
 import { MAP_WIDTH, MAP_HEIGHT } from '../config/constants.js';
 
 export default class AIBuildManager {
@@ -18,21 +19,37 @@ export default class AIBuildManager {
 
     update(myUnits, myBuildings, resources) {
         this.handleResearch(myBuildings, resources);
+        this.handleRepairs(myUnits.filter(u => u.type === 'peasant'), myBuildings);
         this.handleConstruction(myUnits, myBuildings, resources);
     }
 
     handleResearch(myBuildings, resources) {
-        const blacksmith = myBuildings.find(b => b.type === 'blacksmith' && !b.isBlueprint);
-        if (blacksmith && blacksmith.stats.research) {
-            blacksmith.stats.research.forEach(upgId => {
+        // Blacksmith (combat) and lumber mill (gathering) upgrades
+        myBuildings.filter(b => b.stats.research && !b.isBlueprint).forEach(building => {
+            building.stats.research.forEach(upgId => {
                 if (!gameState.factionUpgrades[this.factionId].includes(upgId)) {
                     const upgrade = UPGRADES[upgId];
-                    if (resources.gold >= upgrade.cost.gold && resources.wood >= upgrade.cost.wood) {
-                        blacksmith.research(upgId);
+                    if (canAfford(this.factionId, upgrade.cost)) {
+                        building.research(upgId);
                     }
                 }
             });
-        }
+        });
+    }
+
+    handleRepairs(peasants, myBuildings) {
+        const { HEALTH_THRESHOLD, MAX_REPAIRERS } = AI_TUNING.REPAIR;
+
+        myBuildings.filter(b => !b.isBlueprint && b.health < b.maxHealth * HEALTH_THRESHOLD).forEach(building => {
+            const repairers = peasants.filter(p => p.isRepairing && p.repairTarget === building).length;
+            if (repairers >= MAX_REPAIRERS || !building.canAffordRepair()) return;
+
+            const repairer = this.findFreePeasant(peasants, building);
+            if (repairer) {
+                repairer.startRepair(building);
+                this.logger?.log('Build', `Repairing ${building.type}`, `(${repairers + 1} repairers)`);
+            }
+        });
     }
 
     handleConstruction(myUnits, myBuildings, resources) {
@@ -47,17 +64,30 @@ export default class AIBuildManager {
             farm: myBuildings.filter(b => b.type === 'farm').length,
             barracks: myBuildings.filter(b => b.type === 'barracks').length,
             lumbermill: myBuildings.filter(b => b.type === 'lumbermill').length,
+            miningcamp: myBuildings.filter(b => b.type === 'miningcamp').length,
             blacksmith: myBuildings.filter(b => b.type === 'blacksmith').length,
+            temple: myBuildings.filter(b => b.type === 'temple').length,
             guardtower: myBuildings.filter(b => b.type === 'guardtower').length
         };
 
+        // 0. Sites whose builder died or was reassigned keep their progress: send someone back
+        this.resumeConstruction(peasants, myBuildings);
+
         // 1. Emergency Food
         if (resources.foodMax - resources.foodUsed <= 6 && counts.farm < limits.farm && !this.isBuilding(myBuildings, 'farm')) {
             this.tryBuild(peasants, resources, 'farm', townHall);
             return;
         }
 
-        // 2. Personality Build Order
+        // 2. Mining Camp next to a gold mine the peasants walk far to
+        const campMine = counts.miningcamp < limits.miningcamp && !this.isBuilding(myBuildings, 'miningcamp') &&
+            this.findMineForCamp(peasants, myBuildings);
+        if (campMine) {
+            this.tryBuild(peasants, resources, 'miningcamp', campMine);
+            return;
+        }
+
+        // 3. Personality Build Order
         for (const type of buildOrder) {
             if (counts[type] < limits[type]) {
                 if (!this.isBuilding(myBuildings, type)) {
@@ -67,32 +97,74 @@ export default class AIBuildManager {
             }
         }
 
-        // 3. Excess Resources
+        // 4. Excess Resources
         if (resources.gold > 500) {
             if (counts.barracks < limits.barracks) this.tryBuild(peasants, resources, 'barracks', townHall);
             else if (counts.farm < limits.farm) this.tryBuild(peasants, resources, 'farm', townHall);
         }
 
-        // 4. Upgrade Town Hall
-        if (townHall.type === 'townhall' && resources.gold > 1000) {
+        // 5. Upgrade Town Hall
+        if (townHall.type === 'townhall' && resources.gold > 1000 && canAfford(this.factionId, BUILDING_STATS.keep.cost)) {
             townHall.upgrade();
         }
     }
 
+    resumeConstruction(peasants, myBuildings) {
+        myBuildings.filter(b => b.isBlueprint).forEach(site => {
+            if (peasants.some(p => p.isBuilding && p.buildTarget === site)) return;
+
+            const builder = this.findFreePeasant(peasants, site);
+            if (builder) {
+                builder.assistBuilding(site);
+                this.logger?.log('Build', `Resumed ${site.type}`, `at (${site.x},${site.y})`);
+            }
+        });
+    }
+
+    /**
+     * @returns {Unit|null} Nearest peasant that is neither building nor repairing
+     */
+    findFreePeasant(peasants, building) {
+        const dist = p => Math.hypot(p.x - building.x, p.y - building.y);
+        return peasants
+            .filter(p => !p.isBuilding && !p.isRepairing)
+            .reduce((best, p) => (!best || dist(p) < dist(best) ? p : best), null);
+    }
+
+    /**
+     * @returns {Building|null} Gold mine worked by the peasants with no gold drop-off within MINING_CAMP_DISTANCE
+     */
+    findMineForCamp(peasants, myBuildings) {
+        const center = b => ({ x: b.x + b.size / 2, y: b.y + b.size / 2 });
+        const dropOffs = myBuildings.filter(b => b.stats.dropOff?.includes('gold')).map(center);
+        const mines = new Set(peasants
+            .filter(p => p.resourceType === 'gold' && p.gatherTarget?.type === 'goldmine' && !p.gatherTarget.isDead)
+            .map(p => p.gatherTarget));
+
+        for (const mine of mines) {
+            const { x, y } = center(mine);
+            if (!dropOffs.some(d => Math.hypot(d.x - x, d.y - y) <= AI_TUNING.ECONOMY.MINING_CAMP_DISTANCE)) return mine;
+        }
+        return null;
+    }
+
     isBuilding(myBuildings, type) {
         return myBuildings.some(b => b.type === type && b.isBlueprint);
     }
 
     tryBuild(peasants, resources, type, nearEntity) {
         // Find idle builder
-        const builder = peasants.find(p => !p.isBuilding && !p.isGathering && !p.isMoving) || peasants[0];
+        const builder = peasants.find(p => !p.isBuilding && !p.isRepairing && !p.isGathering && !p.isMoving) || peasants[0];
         if (!builder) {
             this.logger?.log('Build', `No Builder for ${type}`);
             return;
         }
 
-        // Check cost (handled by Entity but good to check here)
-        // We assume caller checked resources or Entity will fail.
+        // Check cost (startBuilding would refuse anyway, e.g. towers without stone)
+        if (!canAfford(this.factionId, BUILDING_STATS[type].cost)) {
+            this.logger?.log('Build', `Cannot afford ${type}`);
+            return;
+        }
 
         // Find placement
         const pos = this.findBuildLocation(nearEntity.x, nearEntity.y, 3, 20);
@@ -120,30 +192,8 @@ export default class AIBuildManager {
     }
 
     isValidLocation(x, y, size) {
+        // Keep clear of the map edge
         if (x < 2 || x >= MAP_WIDTH - 2 || y < 2 || y >= MAP_HEIGHT - 2) return false;
-
-        // Check if tiles are passable
-        for (let dy = 0; dy < size; dy++) {
-            for (let dx = 0; dx < size; dx++) {
-                if (!map[y + dy][x + dx].passable) return false;
-            }
-        }
-
-        // Check for existing buildings
-        for (const building of buildings) {
-            if (building.isDead) continue;
-
-            // Check if building overlaps with proposed location
-            const bx = Math.floor(building.x);
-            const by = Math.floor(building.y);
-            const bSize = building.size || 2;
-
-            // AABB collision check
-            if (!(x + size <= bx || x >= bx + bSize || y + size <= by || y >= by + bSize)) {
-                return false; // Overlap detected
-            }
-        }
-
-        return true;
+        return isBuildableArea(x, y, size);
     }
 }
@@ -1,6 +1,8 @@
 /**
  * @module AIEconomyManager
  * @description Manages AI economy: peasant training and resource gathering
+ * (gold and wood by personality ratio, a few quarry workers while stone is short,
+ * moved back to gold and wood once it is not)
  */
 
 import { AI_TUNING } from '../config/aiTuning.js';
@@ -8,6 +10,7 @@ import { TILES } from '../config/entityStats.js';
 import { buildings, map } from '../core/GameState.js'; // Direct access needed for global resource search if not in view?
 // Actually, AIWorldView should provide access to resources.
 // But for now, let's use global buildings for mines, as they are "neutral" or "owned".
+import { rng } from '../utils/Random.js';
 
 export default class AIEconomyManager {
     constructor(factionId, worldView, personality) {
@@ -18,7 +21,7 @@ export default class AIEconomyManager {
 
     update(myUnits, myBuildings, resources) {
         this.handlePeasantTraining(myUnits, myBuildings, resources);
-        this.handleResourceGathering(myUnits, myBuildings);
+        this.handleResourceGathering(myUnits, myBuildings, resources);
     }
 
     handlePeasantTraining(myUnits, myBuildings, resources) {
@@ -35,9 +38,11 @@ export default class AIEconomyManager {
         });
     }
 
-    handleResourceGathering(myUnits, myBuildings) {
+    handleResourceGathering(myUnits, myBuildings, resources) {
         const peasants = myUnits.filter(u => u.type === 'peasant');
         const goldMiners = peasants.filter(p => p.resourceType === 'gold');
+        let stoneMiners = peasants.filter(p => p.resourceType === 'stone' && p.isGathering).length;
+        const needsStone = resources.stone < AI_TUNING.ECONOMY.STONE_RESERVE;
 
         peasants.forEach(peasant => {
             // Reset if stuck
@@ -45,7 +50,10 @@ export default class AIEconomyManager {
                 peasant.startGathering(peasant.resourceType || 'gold', peasant.x, peasant.y);
             }
 
-            if (!peasant.isGathering && !peasant.isBuilding && !peasant.isMoving && !peasant.targetEntity) {
+            // Stone stockpiled: quarry workers go back to gold and wood (once their load is delivered)
+            const quarryDone = !needsStone && peasant.resourceType === 'stone' && peasant.isGathering && peasant.cargo === 0;
+
+            if (quarryDone || (!peasant.isGathering && !peasant.isBuilding && !peasant.isRepairing && !peasant.isMoving && !peasant.targetEntity)) {
                 let type = 'wood';
 
                 // Balance based on personality or default ratio
@@ -55,7 +63,9 @@ export default class AIEconomyManager {
                     type = 'gold';
                 }
 
-                if (type === 'gold') {
+                if (needsStone && stoneMiners < AI_TUNING.ECONOMY.STONE_GATHERERS && this.assignToStone(peasant)) {
+                    stoneMiners++;
+                } else if (type === 'gold') {
                     this.assignToGold(peasant);
                 } else {
                     this.assignToWood(peasant);
@@ -94,8 +104,8 @@ export default class AIEconomyManager {
         // But we can improve it by checking neighbors first.
 
         for (let i = 0; i < 20; i++) {
-            const rx = Math.floor(peasant.x + (Math.random() * 30 - 15));
-            const ry = Math.floor(peasant.y + (Math.random() * 30 - 15));
+            const rx = Math.floor(peasant.x + rng.range(-15, 15));
+            const ry = Math.floor(peasant.y + rng.range(-15, 15));
 
             if (rx >= 0 && rx < map[0].length && ry >= 0 && ry < map.length && map[ry][rx].id === TILES.TREE.id) {
                 const d = Math.abs(peasant.x - rx) + Math.abs(peasant.y - ry);
@@ -105,4 +115,30 @@ export default class AIEconomyManager {
 
         if (best) peasant.startGathering('wood', best.x, best.y);
     }
+
+    /**
+     * Send a peasant to the nearest stone tile (deposits are rare, so scan rings
+     * outward instead of sampling)
+     * @returns {boolean} False if there is no stone within STONE_SEARCH_RADIUS
+     */
+    assignToStone(peasant) {
+        const px = Math.floor(peasant.x);
+        const py = Math.floor(peasant.y);
+
+        for (let r = 1; r <= AI_TUNING.ECONOMY.STONE_SEARCH_RADIUS; r++) {
+            for (let dy = -r; dy <= r; dy++) {
+                for (let dx = -r; dx <= r; dx++) {
+                    if (Math.max(Math.abs(dx), Math.abs(dy)) !== r) continue; // Ring only
+
+                    const x = px + dx;
+                    const y = py + dy;
+                    if (y >= 0 && y < map.length && x >= 0 && x < map[0].length && map[y][x].id === TILES.STONE.id) {
+                        peasant.startGathering('stone', x, y);
+                        return true;
+                    }
+                }
+            }
+        }
+        return false;
+    }
 }
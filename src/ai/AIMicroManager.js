@@ -1,11 +1,28 @@
 /**
  * @module AIMicroManager
- * @description Manages individual unit combat behavior (kiting, targeting)
+ * @description Manages individual unit combat behavior (kiting, targeting, abilities)
  */
 
 import { AI_TUNING } from '../config/aiTuning.js';
+import { ABILITIES } from '../config/abilities.js';
+import { getAbilities, canCast, isValidTarget, getEnemiesInRange } from '../systems/AbilitySystem.js';
 import { MAP_WIDTH, MAP_HEIGHT } from '../config/constants.js';
 import { map } from '../core/GameState.js'; // For passability check
+import { rng } from '../utils/Random.js';
+
+const TARGET_PRIORITIES = {
+    'peasant': 1,
+    'archer': 4,
+    'soldier': 2,
+    'knight': 3,
+    'priest': 4,
+    'townhall': 10,
+    'barracks': 5,
+    'guardtower': 3,
+    'arrowtower': 3,
+    'cannontower': 3,
+    'farm': 2
+};
 
 export default class AIMicroManager {
     constructor(factionId, worldView, personality) {
@@ -22,6 +39,9 @@ export default class AIMicroManager {
         // Or we iterate all and check state.
 
         army.forEach(unit => {
+            // 0. Abilities (a unit on its way to cast is left alone)
+            if (unit.castAbilityId || this.handleAbilities(unit)) return;
+
             // 1. Kiting (Archers)
             if (unit.type === 'archer') {
                 this.handleKiting(unit);
@@ -29,7 +49,7 @@ export default class AIMicroManager {
 
             // 2. Target Selection
             // Only if idle or current target dead or periodically
-            if (!unit.targetEntity || unit.targetEntity.isDead || Math.random() < 0.1) {
+            if (!unit.targetEntity || unit.targetEntity.isDead || rng.chance(0.1)) {
                 this.updateTarget(unit);
             }
         });
@@ -74,25 +94,80 @@ export default class AIMicroManager {
         }
     }
 
-    selectPriorityTarget(unit, enemies) {
-        const priorities = {
-            'peasant': 1,
-            'archer': 4,
-            'soldier': 2,
-            'knight': 3,
-            'townhall': 10,
-            'barracks': 5,
-            'guardtower': 3,
-            'farm': 2
-        };
+    /**
+     * Cast the first ability that is ready and worth using
+     * @returns {boolean} True if the unit cast (or is on its way to cast) an ability
+     */
+    handleAbilities(unit) {
+        return getAbilities(unit).some(abilityId => {
+            if (!canCast(unit, abilityId)) return false;
+            const ability = ABILITIES[abilityId];
+
+            switch (ability.targeting) {
+                case 'none': // Volley: only against a group
+                    return getEnemiesInRange(unit, ability.range).length >= AI_TUNING.ABILITIES.VOLLEY_MIN_ENEMIES &&
+                        unit.castAbility(abilityId);
+                case 'ally': {
+                    const target = this.findHealTarget(unit, ability);
+                    return Boolean(target) && unit.castAbility(abilityId, target);
+                }
+                case 'enemy': {
+                    const target = this.findChargeTarget(unit, ability);
+                    return Boolean(target) && unit.castAbility(abilityId, target);
+                }
+                default:
+                    return false;
+            }
+        });
+    }
+
+    /**
+     * @returns {Unit|null} Most wounded friendly unit nearby (below HEAL_HEALTH_THRESHOLD)
+     */
+    findHealTarget(unit, ability) {
+        let best = null;
+        let bestRatio = AI_TUNING.ABILITIES.HEAL_HEALTH_THRESHOLD;
+
+        this.worldView.getAlliesNear(unit.x, unit.y, ability.range + AI_TUNING.ABILITIES.HEAL_SEARCH_RANGE).forEach(ally => {
+            if (!isValidTarget(unit, ability, ally)) return;
+            const ratio = ally.health / ally.maxHealth;
+            if (ratio < bestRatio || (ratio === bestRatio && best && ally.id < best.id)) {
+                best = ally;
+                bestRatio = ratio;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * @returns {Unit|null} Highest-priority enemy unit in range that is too far to simply walk up to
+     */
+    findChargeTarget(unit, ability) {
+        let best = null;
+        let bestScore = -Infinity;
+
+        this.worldView.getEnemiesNear(unit.x, unit.y, ability.range).forEach(enemy => {
+            if (!isValidTarget(unit, ability, enemy)) return;
+            const distance = Math.hypot(enemy.x - unit.x, enemy.y - unit.y);
+            if (distance < AI_TUNING.ABILITIES.CHARGE_MIN_DISTANCE || distance > ability.range) return;
+
+            const score = (TARGET_PRIORITIES[enemy.type] || 1) * 10 - distance;
+            if (score > bestScore || (score === bestScore && enemy.id < best.id)) {
+                best = enemy;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
 
+    selectPriorityTarget(unit, enemies) {
         let bestTarget = null;
         let bestScore = -Infinity;
 
         enemies.forEach(target => {
             const distance = this.dist(unit, target);
             const healthFactor = (1 - target.health / target.maxHealth);
-            const priority = priorities[target.type] || 1;
+            const priority = TARGET_PRIORITIES[target.type] || 1;
 
             const score = priority * 10 + healthFactor * 5 - distance * 0.5;
 
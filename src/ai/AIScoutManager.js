@@ -4,6 +4,9 @@
  */
 
 import { AI_TUNING } from '../config/aiTuning.js';
+import { MS_PER_UPDATE } from '../config/constants.js';
+import { gameState } from '../core/GameState.js';
+import { rng } from '../utils/Random.js';
 
 export default class AIScoutManager {
     constructor(factionId, worldView, personality) {
@@ -36,10 +39,10 @@ export default class AIScoutManager {
         let maxScore = -Infinity;
 
         for (let i = 0; i < 10; i++) {
-            const cell = grid[Math.floor(Math.random() * grid.length)];
+            const cell = rng.pick(grid);
 
             const dist = Math.abs(cell.x - scout.x) + Math.abs(cell.y - scout.y);
-            const age = Date.now() - cell.lastSeen;
+            const age = (gameState.gameTime - cell.lastSeen) * MS_PER_UPDATE; // Game time, not wall clock
 
             // Score: High age, Low distance, Unexplored bonus
             let score = age - dist * 100;
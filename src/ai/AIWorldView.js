@@ -3,7 +3,7 @@
  * @description Interface for AI to access game state with "Fog of War" filtering
  */
 
-import { spatialHash, map, units, buildings, allianceSystem } from '../core/GameState.js';
+import { gameState, spatialHash, map, units, buildings, allianceSystem } from '../core/GameState.js';
 import { MAP_WIDTH, MAP_HEIGHT, TILE_SIZE } from '../config/constants.js';
 import { AI_TUNING } from '../config/aiTuning.js';
 import { FACTIONS } from '../config/entityStats.js';
@@ -40,7 +40,7 @@ export default class AIWorldView {
         myUnits.forEach(unit => {
             const gridIndex = Math.floor(unit.y / GRID_SIZE) * Math.ceil(MAP_WIDTH / GRID_SIZE) + Math.floor(unit.x / GRID_SIZE);
             if (this.explorationGrid[gridIndex]) {
-                this.explorationGrid[gridIndex].lastSeen = Date.now();
+                this.explorationGrid[gridIndex].lastSeen = gameState.gameTime;
                 this.explorationGrid[gridIndex].timesVisited++;
                 this.explorationGrid[gridIndex].isExplored = true;
             }
@@ -65,11 +65,18 @@ export default class AIWorldView {
         );
     }
 
+    getAlliesNear(x, y, radius) {
+        if (!spatialHash) return [];
+
+        const entities = spatialHash.query(x, y, radius);
+        return entities.filter(e => !e.isDead && allianceSystem.areAllies(this.factionId, e.faction));
+    }
+
     getVisibleEnemies(unit) {
         if (!spatialHash) return [];
         // Use spatial hash to get enemies in vision range
         const range = unit.stats.range + AI_TUNING.COMBAT.MICRO_RANGE;
-        return spatialHash.queryEnemies(unit.x, unit.y, range, this.factionId, -1); // -1 for Neutral? Need to check constants.
+        return spatialHash.queryEnemies(unit.x, unit.y, range, this.factionId, allianceSystem, FACTIONS.NEUTRAL.id);
     }
 
     // Helper to check if a position is explored
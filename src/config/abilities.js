@@ -0,0 +1,44 @@
+/**
+ * @module AbilitiesConfig
+ * @description Unit abilities and the mana/energy pools that pay for them
+ *
+ * Abilities are plain data; systems/AbilitySystem.js runs them. Each one has:
+ * - resource / cost: Pool it drains ('mana' or 'energy', see POOLS)
+ * - cooldown: Seconds before the same unit can cast it again
+ * - targeting: 'enemy' or 'ally' (a unit within range) or 'none' (instant, around the caster)
+ * - range: Tiles from the caster (targeted abilities walk into range first)
+ * - effect: { type, ...parameters } - type picks the effect in AbilitySystem
+ * - hotkey: Key that casts it while a unit knowing the ability is selected
+ *
+ * Units list what they know in UNIT_STATS (abilities) together with the size
+ * of their pools (maxMana, maxEnergy). Pools start full and regenerate.
+ */
+
+export const POOLS = {
+    mana: { name: 'Mana', regen: 1, color: '#3498db' }, // regen: points per second
+    energy: { name: 'Energy', regen: 2, color: '#f1c40f' }
+};
+
+export const ABILITIES = {
+    charge: {
+        name: 'Charge', icon: '🐎', hotkey: 'C',
+        resource: 'energy', cost: 40, cooldown: 12,
+        targeting: 'enemy', range: 8,
+        effect: { type: 'charge', duration: 3, speedMultiplier: 2.5, bonusAttack: 20 },
+        description: 'Rush at an enemy at 2.5x speed; the first hit deals +20 damage'
+    },
+    volley: {
+        name: 'Volley', icon: '🏹', hotkey: 'V',
+        resource: 'energy', cost: 50, cooldown: 15,
+        targeting: 'none', range: 6,
+        effect: { type: 'volley', arrows: 4 },
+        description: 'Shoot an arrow at each of up to 4 enemies in range'
+    },
+    heal: {
+        name: 'Heal', icon: '✨', hotkey: 'Y',
+        resource: 'mana', cost: 25, cooldown: 2,
+        targeting: 'ally', range: 5,
+        effect: { type: 'heal', amount: 35 },
+        description: 'Restore 35 health to a friendly unit'
+    }
+};
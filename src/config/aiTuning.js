@@ -16,10 +16,20 @@ export const AI_TUNING = {
         MIN_PEASANTS: 5,
         MAX_PEASANTS_PER_BASE: 12,
         GOLD_WOOD_RATIO: 0.6, // 60% gold, 40% wood
+        STONE_GATHERERS: 1, // Quarry workers while the stockpile is below STONE_RESERVE
+        STONE_RESERVE: 400, // Enough for a keep or a couple of guard towers
+        STONE_SEARCH_RADIUS: 25,
+        MINING_CAMP_DISTANCE: 10, // Mined gold mines farther than this (tiles) from every gold drop-off get a mining camp
         EXPANSION_GOLD_THRESHOLD: 500,
         EXPANSION_ARMY_THRESHOLD: 15
     },
 
+    // Repair (paid, see Building.repair)
+    REPAIR: {
+        HEALTH_THRESHOLD: 0.8, // Repair buildings below 80% health
+        MAX_REPAIRERS: 2 // Per building
+    },
+
     // Combat
     COMBAT: {
         MICRO_RANGE: 15, // Range to check for micro targets
@@ -29,6 +39,15 @@ export const AI_TUNING = {
         GROUP_RADIUS: 10 // Radius to consider units part of a group
     },
 
+    // Abilities (config/abilities.js)
+    ABILITIES: {
+        HEAL_HEALTH_THRESHOLD: 0.6, // Heal allies below 60% health
+        HEAL_SEARCH_RANGE: 5, // Tiles beyond the heal range to walk for a wounded ally
+        CHARGE_MIN_DISTANCE: 3, // Closer enemies are simply attacked
+        VOLLEY_MIN_ENEMIES: 2, // Enemies in range before an archer uses its volley
+        FIGHTERS_PER_PRIEST: 5 // Priests trained at a temple: one per this many other army units
+    },
+
     // Scouting
     SCOUTING: {
         GRID_SIZE: 15,
@@ -41,7 +60,9 @@ export const AI_TUNING = {
         farm: 10,
         barracks: 5,
         lumbermill: 2,
+        miningcamp: 2,
         blacksmith: 1,
+        temple: 1,
         guardtower: 10,
         goldmine: 5,
         townhall: 3
@@ -11,6 +11,11 @@
  * - TILE_SIZE: Pixel size of each map tile
  * - MAP_WIDTH/HEIGHT: Map dimensions in tiles
  * - MS_PER_UPDATE: Fixed timestep for game logic (30 FPS)
+ * - GAME_SPEEDS: Selectable simulation speed multipliers
+ * - FLOW_FIELD_MIN_GROUP: Group moves this large share a flow field instead of per-unit A*
+ * - HPA_*: Hierarchical pathfinding for long paths (systems/Pathfinder.js, map/ClusterGraph.js)
+ * - PATH_REQUESTS_PER_TICK: Paths computed per tick (systems/PathService.js)
+ * - PATH_DELIVERY_TICKS: Ticks between sending a path request and handing out its path
  */
 
 export const TILE_SIZE = 64;
@@ -19,3 +24,11 @@ export const MAP_HEIGHT = 75;
 export const UI_PANEL_HEIGHT = 150;
 export const MINIMAP_SIZE = 150;
 export const MS_PER_UPDATE = 1000 / 30;
+export const GAME_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+export const MAX_UPDATES_PER_FRAME = 16; // Drop the backlog instead of spiralling when ticks are slow
+export const FLOW_FIELD_MIN_GROUP = 6; // Smaller groups (and single units) use A*
+export const HPA_CLUSTER_SIZE = 10; // Tiles per cluster edge
+export const HPA_MIN_DISTANCE = 30; // Shorter queries (tiles, octile distance) run plain A*
+export const HPA_TOLERANCE = 1.3; // Hierarchical paths cost at most this times the plain A* path
+export const PATH_REQUESTS_PER_TICK = 16; // The rest wait for later ticks (units walk straight meanwhile)
+export const PATH_DELIVERY_TICKS = 4; // Lets the worker answer while several ticks run in one frame (8x speed)
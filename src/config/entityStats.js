@@ -5,24 +5,33 @@
  * This module contains all static game data:
  * - Tile types and properties
  * - Faction definitions (colors, IDs)
- * - Unit statistics (health, attack, cost, etc.)
+ * - Attack types, armor classes and their damage multipliers
+ * - Unit statistics (health, attack, armor, cost, etc.)
  * - Building statistics (size, trainable units, etc.)
  * - Upgrade definitions (effects, costs)
  * 
  * Key Data Structures:
- * - TILES: Terrain types (grass, tree, water, mountain)
+ * - TILES: Terrain types (grass, tree, water, stone quarry, mountain, ford, thicket, road)
  * - FACTIONS: Player, Enemy, Ally, Enemy_2, Neutral
- * - UNIT_STATS: Peasant, Soldier, Archer, Knight
- * - BUILDING_STATS: Town Hall, Barracks, Farm, etc.
- * - UPGRADES: Attack, Defense, Health upgrades
+ * - ATTACK_TYPES / ARMOR_TYPES / DAMAGE_MULTIPLIERS: Damage table (see systems/DamageSystem.js)
+ * - PROJECTILE_STATS: Arrows, bolts and cannonballs (see systems/ProjectileSystem.js)
+ * - UNIT_STATS: Peasant, Soldier, Archer, Knight, Priest (abilities, maxMana, maxEnergy: see config/abilities.js)
+ * - BUILDING_STATS: Town Hall, Barracks, Farm, etc. (upgradeTo: one building type or a list to choose from)
+ * - UPGRADES: Attack and armor upgrades
  */
 
+// Walkable tiles: moveCost weighs them for pathfinding (about 1 / speed, so the cheapest
+// path is about the fastest), speed multiplies the speed of units on them.
+// Buildings are only placed on buildable tiles (grass: fords and roads stay open).
 export const TILES = {
-    GRASS: { id: 0, color: '#38761d', passable: true, name: 'Grass' },
+    GRASS: { id: 0, color: '#38761d', passable: true, buildable: true, moveCost: 1, speed: 1, name: 'Grass' },
     WATER: { id: 1, color: '#4a86e8', passable: false, name: 'Water' },
-    TREE: { id: 2, color: '#6aa84f', passable: false, name: 'Forest' },
+    TREE: { id: 2, color: '#6aa84f', passable: false, name: 'Forest', resourceAmount: 100 }, // Wood per tile, then grass
     STONE: { id: 3, color: '#7f8c8d', passable: false, name: 'Stone' },
     MOUNTAIN: { id: 4, color: '#676767', passable: false, name: 'Mountain' },
+    FORD: { id: 5, color: '#76a5af', passable: true, moveCost: 2, speed: 0.5, name: 'Ford' }, // Shallow water across lakes
+    THICKET: { id: 6, color: '#2f5d1a', passable: true, moveCost: 1.4, speed: 0.7, name: 'Thicket' }, // Undergrowth at forest edges
+    ROAD: { id: 7, color: '#a68a5b', passable: true, moveCost: 0.7, speed: 1.5, name: 'Road', buildCost: { stone: 10 }, buildTime: 45 } // Paved by peasants on grass (cost and ticks per tile)
 };
 
 export const FACTIONS = {
@@ -33,31 +42,72 @@ export const FACTIONS = {
     NEUTRAL: { id: 4, color: '#AAAAAA', unitColor: '#CCCCCC', unitSymbol: 'N', name: 'Neutral' }
 };
 
+export const ATTACK_TYPES = {
+    NORMAL: 'normal', // Swords, claws
+    PIERCE: 'pierce', // Arrows: great against light units, poor against armor and walls
+    SIEGE: 'siege' // Catapults and rams: made for buildings
+};
+
+export const ARMOR_TYPES = {
+    LIGHT: 'light',
+    MEDIUM: 'medium',
+    HEAVY: 'heavy',
+    FORTIFIED: 'fortified' // Buildings
+};
+
+// attackType -> armorType -> multiplier on the attack stat
+export const DAMAGE_MULTIPLIERS = {
+    normal: { light: 1.0, medium: 1.0, heavy: 0.75, fortified: 0.5 },
+    pierce: { light: 1.5, medium: 1.0, heavy: 0.5, fortified: 0.25 },
+    siege: { light: 0.75, medium: 0.75, heavy: 1.0, fortified: 2.0 }
+};
+
+export const DAMAGE_FORMULA = {
+    armorReductionPerPoint: 0.06, // Armor 5 blocks ~23%, armor 10 ~38% (diminishing returns)
+    variance: 0.1, // Each hit deals 90%-110%
+    minDamage: 1
+};
+
+// Projectiles fired by ranged units and towers (speed in tiles per tick)
+export const PROJECTILE_STATS = {
+    arrow: { speed: 0.4, arc: 0.6, color: '#d9c9a3', length: 14 },
+    bolt: { speed: 0.55, arc: 0.25, color: '#cfd8dc', length: 18 },
+    cannonball: { speed: 0.35, arc: 0.8, color: '#2c3e50', length: 6, radius: 4 }
+};
+
 export const UNIT_STATS = {
-    peasant: { name: 'Peasant', symbol: 'P', health: 40, attack: 5, range: 1, speed: 2.6, cost: { gold: 400, wood: 0, food: 1 }, maxHealth: 40, buildTime: 5, image: 'assets/units/peasant.png' },
-    soldier: { name: 'Soldier', symbol: 'S', health: 70, attack: 10, range: 1, speed: 1.95, cost: { gold: 600, wood: 0, food: 2 }, maxHealth: 70, buildTime: 10, image: 'assets/units/soldier.png' },
-    archer: { name: 'Archer', symbol: 'A', health: 50, attack: 8, range: 5, speed: 2.34, cost: { gold: 500, wood: 50, food: 2 }, maxHealth: 50, buildTime: 12, image: 'assets/units/archer.png' },
-    knight: { name: 'Knight', symbol: 'K', health: 120, attack: 15, range: 1, speed: 3.25, cost: { gold: 800, wood: 100, food: 3 }, maxHealth: 120, buildTime: 15, image: 'assets/units/knight.png' },
+    peasant: { name: 'Peasant', symbol: 'P', health: 40, attack: 5, attackType: 'normal', armor: 0, armorType: 'light', range: 1, speed: 2.6, cost: { gold: 400, wood: 0, food: 1 }, maxHealth: 40, buildTime: 5, maxCargo: 100, gatherTime: 60, image: 'assets/units/peasant.png' },
+    soldier: { name: 'Soldier', symbol: 'S', health: 70, attack: 10, attackType: 'normal', armor: 2, armorType: 'medium', range: 1, speed: 1.95, cost: { gold: 600, wood: 0, food: 2 }, maxHealth: 70, buildTime: 10, image: 'assets/units/soldier.png' },
+    archer: { name: 'Archer', symbol: 'A', health: 50, attack: 8, attackType: 'pierce', projectile: 'arrow', armor: 0, armorType: 'light', range: 5, speed: 2.34, cost: { gold: 500, wood: 50, food: 2 }, maxHealth: 50, buildTime: 12, abilities: ['volley'], maxEnergy: 100, image: 'assets/units/archer.png' },
+    knight: { name: 'Knight', symbol: 'K', health: 120, attack: 15, attackType: 'normal', armor: 4, armorType: 'heavy', range: 1, speed: 3.25, cost: { gold: 800, wood: 100, food: 3 }, maxHealth: 120, buildTime: 15, abilities: ['charge'], maxEnergy: 100, image: 'assets/units/knight.png' },
+    priest: { name: 'Priest', symbol: '+', health: 45, attack: 4, attackType: 'normal', armor: 0, armorType: 'light', range: 1, speed: 2.2, cost: { gold: 450, wood: 50, food: 1 }, maxHealth: 45, buildTime: 12, abilities: ['heal'], maxMana: 150 }
 };
 
 export const BUILDING_STATS = {
-    townhall: { name: 'Town Hall', symbol: 'H', health: 1500, size: 4, cost: { gold: 1200, wood: 800 }, maxHealth: 1500, trainUnits: ['peasant'], upgradeTo: 'keep', buildable: true, image: 'assets/buildings/townhall.png', foodCapacity: 5, buildTime: 60 },
-    keep: { name: 'Keep', symbol: 'K', health: 2000, size: 4, cost: { gold: 500, wood: 200 }, maxHealth: 2000, trainUnits: ['peasant'], image: 'assets/buildings/keep.png', buildTime: 40 },
-    barracks: { name: 'Barracks', symbol: 'B', health: 800, size: 3, cost: { gold: 700, wood: 400 }, maxHealth: 800, trainUnits: ['soldier', 'archer', 'knight'], buildable: true, image: 'assets/buildings/barracks.png', buildTime: 30 },
-    farm: { name: 'Farm', symbol: 'F', health: 400, size: 2, cost: { gold: 500, wood: 250 }, maxHealth: 400, foodCapacity: 5, buildable: true, image: 'assets/buildings/farm.png', buildTime: 15 },
-    guardtower: { name: 'Guard Tower', symbol: 'T', health: 500, size: 3, cost: { gold: 600, wood: 200 }, maxHealth: 500, attack: 10, range: 6, attackCooldown: 30, buildable: true, image: 'assets/buildings/guardtower.png', buildTime: 25 },
-    lumbermill: { name: 'Lumber Mill', symbol: 'L', health: 600, size: 3, cost: { gold: 600, wood: 450 }, maxHealth: 600, buildable: true, image: 'assets/buildings/lumbermill.png', buildTime: 20 },
-    blacksmith: { name: 'Blacksmith', symbol: 'S', health: 700, size: 3, cost: { gold: 800, wood: 450 }, maxHealth: 700, buildable: true, image: 'assets/buildings/blacksmith.png', buildTime: 30 },
-    goldmine: { name: 'Gold Mine', symbol: 'G', health: 10000, size: 3, cost: { gold: 0, wood: 0 }, maxHealth: 10000, neutral: true, image: 'assets/buildings/goldmine.png', buildTime: 0 }
+    townhall: { name: 'Town Hall', symbol: 'H', health: 1500, size: 4, cost: { gold: 1200, wood: 800 }, maxHealth: 1500, armor: 5, armorType: 'fortified', trainUnits: ['peasant'], dropOff: ['gold', 'wood', 'stone'], upgradeTo: 'keep', buildable: true, image: 'assets/buildings/townhall.png', foodCapacity: 5, buildTime: 60 },
+    keep: { name: 'Keep', symbol: 'K', health: 2000, size: 4, cost: { gold: 500, wood: 200, stone: 300 }, maxHealth: 2000, armor: 8, armorType: 'fortified', trainUnits: ['peasant'], dropOff: ['gold', 'wood', 'stone'], image: 'assets/buildings/keep.png', buildTime: 40 },
+    barracks: { name: 'Barracks', symbol: 'B', health: 800, size: 3, cost: { gold: 700, wood: 400 }, maxHealth: 800, armor: 4, armorType: 'fortified', trainUnits: ['soldier', 'archer', 'knight'], buildable: true, image: 'assets/buildings/barracks.png', buildTime: 30 },
+    farm: { name: 'Farm', symbol: 'F', health: 400, size: 2, cost: { gold: 500, wood: 250 }, maxHealth: 400, armor: 2, armorType: 'fortified', foodCapacity: 5, buildable: true, image: 'assets/buildings/farm.png', buildTime: 15 },
+    guardtower: { name: 'Guard Tower', symbol: 'T', health: 500, size: 3, cost: { gold: 600, wood: 200, stone: 150 }, maxHealth: 500, armor: 5, armorType: 'fortified', attack: 10, attackType: 'pierce', projectile: 'bolt', range: 6, attackCooldown: 30, upgradeTo: ['arrowtower', 'cannontower'], buildable: true, image: 'assets/buildings/guardtower.png', buildTime: 25 },
+    arrowtower: { name: 'Arrow Tower', symbol: 'T', health: 600, size: 3, cost: { gold: 300, wood: 150, stone: 100 }, maxHealth: 600, armor: 6, armorType: 'fortified', attack: 12, attackType: 'pierce', projectile: 'bolt', range: 7, attackCooldown: 18, image: 'assets/buildings/guardtower.png', buildTime: 20 },
+    cannontower: { name: 'Cannon Tower', symbol: 'C', health: 700, size: 3, cost: { gold: 500, wood: 200, stone: 300 }, maxHealth: 700, armor: 8, armorType: 'fortified', attack: 35, attackType: 'siege', projectile: 'cannonball', range: 7, attackCooldown: 60, image: 'assets/buildings/guardtower.png', buildTime: 30 },
+    lumbermill: { name: 'Lumber Mill', symbol: 'L', health: 600, size: 3, cost: { gold: 600, wood: 450 }, maxHealth: 600, armor: 3, armorType: 'fortified', dropOff: ['wood'], buildable: true, image: 'assets/buildings/lumbermill.png', buildTime: 20 },
+    miningcamp: { name: 'Mining Camp', symbol: 'M', health: 450, size: 2, cost: { gold: 300, wood: 250 }, maxHealth: 450, armor: 3, armorType: 'fortified', dropOff: ['gold', 'stone'], buildable: true, buildTime: 15 },
+    temple: { name: 'Temple', symbol: 'E', health: 700, size: 3, cost: { gold: 700, wood: 350, stone: 100 }, maxHealth: 700, armor: 4, armorType: 'fortified', trainUnits: ['priest'], buildable: true, buildTime: 30 },
+    blacksmith: { name: 'Blacksmith', symbol: 'S', health: 700, size: 3, cost: { gold: 800, wood: 450 }, maxHealth: 700, armor: 4, armorType: 'fortified', buildable: true, image: 'assets/buildings/blacksmith.png', buildTime: 30 },
+    goldmine: { name: 'Gold Mine', symbol: 'G', health: 10000, size: 3, cost: { gold: 0, wood: 0 }, maxHealth: 10000, armor: 10, armorType: 'fortified', neutral: true, goldAmount: 10000, image: 'assets/buildings/goldmine.png', buildTime: 0 }
 };
 
 export const UPGRADES = {
     iron_swords: { name: 'Iron Swords', cost: { gold: 200, wood: 100 }, effect: { attack: 2 }, description: '+2 Attack for all units' },
-    steel_armor: { name: 'Steel Armor', cost: { gold: 200, wood: 150 }, effect: { maxHealth: 20 }, description: '+20 Health for all units' }
+    steel_armor: { name: 'Steel Armor', cost: { gold: 200, wood: 150 }, effect: { armor: 2 }, description: '+2 Armor for all units' },
+    larger_baskets: { name: 'Larger Baskets', cost: { gold: 150, wood: 200 }, effect: { maxCargo: 25 }, description: 'Peasants carry 25 more resources per trip' },
+    sharpened_tools: { name: 'Sharpened Tools', cost: { gold: 250, wood: 150 }, effect: { gatherTime: -15 }, description: 'Peasants gather 25% faster' }
 };
 
-// Add research capabilities to Blacksmith
+// Add research capabilities to Blacksmith and Lumber Mill
 BUILDING_STATS.blacksmith.research = ['iron_swords', 'steel_armor'];
+BUILDING_STATS.lumbermill.research = ['larger_baskets', 'sharpened_tools'];
 
 export const AI_BUILDING_LIMITS = {
     farm: 12,
@@ -0,0 +1,44 @@
+/**
+ * @module GameRulesConfig
+ * @description Configuration for victory, defeat and elimination
+ *
+ * Conditions:
+ * - ALL_BUILDINGS: A faction is eliminated when it has no buildings left
+ * - TOWN_HALLS: A faction is eliminated when it has no town hall or keep left
+ * - TIME_LIMIT: Eliminations as ALL_BUILDINGS; when time runs out the
+ *   surviving team with the highest score wins
+ *
+ * A match ends when every surviving faction is allied with the others
+ * (see AllianceSystem), so allied factions share a team victory.
+ */
+
+export const VICTORY_CONDITIONS = {
+    ALL_BUILDINGS: 'ALL_BUILDINGS',
+    TOWN_HALLS: 'TOWN_HALLS',
+    TIME_LIMIT: 'TIME_LIMIT'
+};
+
+export const GAME_RULES_CONFIG = {
+    // Current condition
+    condition: VICTORY_CONDITIONS.ALL_BUILDINGS, // Options: see VICTORY_CONDITIONS
+
+    // Match length for TIME_LIMIT (minutes of game time)
+    timeLimitMinutes: 30,
+
+    // How often eliminations are checked (ticks, 30 = once per second)
+    checkInterval: 30
+};
+
+// Buildings that keep a faction alive under TOWN_HALLS
+export const TOWN_HALL_TYPES = ['townhall', 'keep'];
+
+/**
+ * Score = value of everything a faction owns (units, finished buildings,
+ * research) plus its stockpile, each multiplied by its weight
+ */
+export const SCORE_WEIGHTS = {
+    units: 1,
+    buildings: 1,
+    upgrades: 1,
+    resources: 0.5
+};
@@ -0,0 +1,43 @@
+/**
+ * @module MatchSettingsConfig
+ * @description Default setup for a new match (chosen in the pre-game lobby)
+ *
+ * A match is described by:
+ * - template / seed: Map generation (see map/MapGenerator.js)
+ * - factions: Who controls each faction slot
+ *   - 'human': The local player (only the PLAYER slot)
+ *   - 'ai': An AIController with a difficulty and personality (null = random)
+ *   - 'closed': The faction does not take part
+ * - alliances: An AllianceSystem config (see config/alliances.js)
+ * - startingResources: Stockpile every faction starts with
+ *
+ * The same settings object is stored in replay headers, so a replay
+ * recreates the exact match it was recorded from.
+ */
+
+import { FACTIONS } from './entityStats.js';
+import { ALLIANCE_CONFIG } from './alliances.js';
+
+export const CONTROLLERS = {
+    HUMAN: 'human',
+    AI: 'ai',
+    CLOSED: 'closed'
+};
+
+export const AI_DIFFICULTIES = ['EASY', 'NORMAL', 'HARD'];
+
+export const DEFAULT_MATCH_SETTINGS = {
+    template: 'random', // MAP_TEMPLATES.RANDOM
+    seed: undefined, // Random if omitted
+
+    factions: [
+        { id: FACTIONS.PLAYER.id, controller: CONTROLLERS.HUMAN, difficulty: 'NORMAL', personality: null },
+        { id: FACTIONS.ENEMY.id, controller: CONTROLLERS.AI, difficulty: 'NORMAL', personality: null },
+        { id: FACTIONS.ALLY.id, controller: CONTROLLERS.AI, difficulty: 'NORMAL', personality: null },
+        { id: FACTIONS.ENEMY_2.id, controller: CONTROLLERS.AI, difficulty: 'NORMAL', personality: null }
+    ],
+
+    alliances: ALLIANCE_CONFIG,
+
+    startingResources: { gold: 500, wood: 500, stone: 150 }
+};
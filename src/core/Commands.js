@@ -0,0 +1,230 @@
+/**
+ * @module Commands
+ * @description Player command layer between input and the simulation
+ *
+ * Every order the player gives (from InputManager hotkeys and clicks or from
+ * UIManager action buttons) is expressed as a plain, JSON-serializable command
+ * that refers to entities by ID. Commands are recorded for replays and then
+ * executed against the live entities.
+ *
+ * Key Features:
+ * - Single entry point (issueCommand) for all player orders
+ * - Replay recording tagged with the current tick
+ * - Identical execution path for live play and replay playback
+ * - Input is ignored while a replay is being watched
+ * - Unit orders can be queued behind the current one (shift+click)
+ * - Large group moves share one flow field (orders carry the group's destination, flowGoal)
+ *
+ * Command shapes:
+ * - move / attack / attackMove: { unitIds, positions: [{x, y}], targetId?, queued? }
+ * - gather: { unitIds, resource, x, y, targetId?, queued? }
+ * - build: { unitIds, buildingType, x, y, queued? } or { unitIds, targetId, queued? } (help with a construction site)
+ * - repair: { unitIds, targetId, queued? }
+ * - buildRoad: { unitIds, x, y, queued? } (peasants pave a road from where they stand towards x, y)
+ * - patrol: { unitIds, x, y, queued? }
+ * - guard / follow: { unitIds, targetId, queued? }
+ * - cast: { unitIds, abilityId, targetId?, queued? } (targetId for 'enemy' / 'ally' abilities)
+ * - stance: { unitIds, stance }
+ * - autoRepair: { unitIds, enabled } (peasants repair damaged buildings nearby when idle)
+ * - stop: { unitIds, buildingIds? } (buildingIds: towers drop their focus target)
+ * - hold: { unitIds }
+ * - focusFire: { buildingIds, targetId } (towers)
+ * - train: { buildingId, unitType }
+ * - research: { buildingId, upgradeId }
+ * - upgrade: { buildingId, buildingType }
+ * - cancelBuild: { buildingId } (construction site, partly refunded)
+ */
+
+import { gameState } from './GameState.js';
+import { entityRegistry } from './EntityRegistry.js';
+import { replayRecorder, replayPlayer } from '../systems/ReplaySystem.js';
+import { FLOW_FIELD_MIN_GROUP } from '../config/constants.js';
+
+export const COMMANDS = {
+    MOVE: 'move',
+    ATTACK: 'attack',
+    ATTACK_MOVE: 'attackMove',
+    GATHER: 'gather',
+    BUILD: 'build',
+    REPAIR: 'repair',
+    BUILD_ROAD: 'buildRoad',
+    PATROL: 'patrol',
+    GUARD: 'guard',
+    FOLLOW: 'follow',
+    CAST: 'cast',
+    STANCE: 'stance',
+    AUTO_REPAIR: 'autoRepair',
+    STOP: 'stop',
+    HOLD: 'hold',
+    FOCUS_FIRE: 'focusFire',
+    TRAIN: 'train',
+    RESEARCH: 'research',
+    UPGRADE: 'upgrade',
+    CANCEL_BUILD: 'cancelBuild'
+};
+
+/**
+ * Find a live unit or building by its ID
+ * @param {number} id
+ * @returns {Entity|null}
+ */
+export function findEntityById(id) {
+    const entity = entityRegistry.get(id);
+    return entity && !entity.isDead ? entity : null;
+}
+
+/**
+ * @param {Array<{x: number, y: number}>} positions - Formation slots of a group move
+ * @returns {{x: number, y: number}|null} Tile at the middle of the formation, or null if the
+ *     group is too small to be worth a flow field (units then path on their own)
+ */
+function getFlowGoal(positions) {
+    if (positions.length < FLOW_FIELD_MIN_GROUP) return null;
+    const sum = positions.reduce((acc, pos) => ({ x: acc.x + pos.x, y: acc.y + pos.y }), { x: 0, y: 0 });
+    return { x: Math.floor(sum.x / positions.length), y: Math.floor(sum.y / positions.length) };
+}
+
+/**
+ * Issue a player command: record it for the replay and execute it
+ * @param {Object} command - Command object ({ type, ... })
+ * @returns {boolean} False if the command was rejected
+ */
+export function issueCommand(command) {
+    // The replay viewer is read-only
+    if (replayPlayer.active) return false;
+
+    replayRecorder.record(gameState.gameTime, command);
+    return executeCommand(command);
+}
+
+/**
+ * Apply a command to the live entities (used by live play and replays)
+ * @param {Object} command - Command object ({ type, ... })
+ * @returns {boolean} False if none of the referenced entities exist anymore
+ */
+export function executeCommand(command) {
+    const target = findEntityById(command.targetId);
+    const unitsForCommand = (command.unitIds || []).map(findEntityById);
+    const buildingsForCommand = (command.buildingIds || []).map(findEntityById);
+
+    // Unit orders: one order per unit, replacing or queued behind its current orders
+    const giveOrders = toOrder => {
+        unitsForCommand.forEach((unit, index) => {
+            if (unit) unit.issueOrder(toOrder(index), Boolean(command.queued));
+        });
+    };
+
+    switch (command.type) {
+        case COMMANDS.MOVE:
+        case COMMANDS.ATTACK:
+        case COMMANDS.ATTACK_MOVE: {
+            const flowGoal = getFlowGoal(command.positions);
+            giveOrders(index => ({ type: command.type, ...command.positions[index], targetId: command.targetId ?? null, flowGoal }));
+            break;
+        }
+
+        case COMMANDS.GATHER:
+            giveOrders(() => ({
+                type: command.type,
+                resource: command.resource,
+                x: command.x,
+                y: command.y,
+                targetId: command.targetId ?? null
+            }));
+            break;
+
+        case COMMANDS.BUILD:
+            if (command.targetId !== undefined) {
+                if (!target) return false;
+                giveOrders(() => ({ type: command.type, targetId: command.targetId }));
+            } else {
+                giveOrders(() => ({ type: command.type, buildingType: command.buildingType, x: command.x, y: command.y }));
+            }
+            break;
+
+        case COMMANDS.REPAIR:
+        case COMMANDS.GUARD:
+        case COMMANDS.FOLLOW:
+            if (!target) return false;
+            giveOrders(() => ({ type: command.type, targetId: command.targetId }));
+            break;
+
+        case COMMANDS.BUILD_ROAD:
+        case COMMANDS.PATROL:
+            giveOrders(() => ({ type: command.type, x: command.x, y: command.y }));
+            break;
+
+        case COMMANDS.CAST:
+            if (command.targetId !== undefined && !target) return false;
+            giveOrders(() => ({ type: command.type, abilityId: command.abilityId, targetId: command.targetId ?? null }));
+            break;
+
+        case COMMANDS.STANCE:
+            unitsForCommand.forEach(unit => {
+                if (unit) unit.setStance(command.stance);
+            });
+            break;
+
+        case COMMANDS.AUTO_REPAIR:
+            unitsForCommand.forEach(unit => {
+                if (unit) unit.setAutoRepair(Boolean(command.enabled));
+            });
+            break;
+
+        case COMMANDS.STOP:
+            unitsForCommand.forEach(unit => {
+                if (unit) unit.stop();
+            });
+            buildingsForCommand.forEach(building => {
+                if (building) building.stopAttack();
+            });
+            break;
+
+        case COMMANDS.HOLD:
+            unitsForCommand.forEach(unit => {
+                if (unit) unit.hold();
+            });
+            break;
+
+        case COMMANDS.TRAIN: {
+            const building = findEntityById(command.buildingId);
+            if (!building) return false;
+            building.trainUnit(command.unitType);
+            return true;
+        }
+
+        case COMMANDS.RESEARCH: {
+            const building = findEntityById(command.buildingId);
+            if (!building) return false;
+            building.research(command.upgradeId);
+            return true;
+        }
+
+        case COMMANDS.UPGRADE: {
+            const building = findEntityById(command.buildingId);
+            if (!building) return false;
+            building.upgrade(command.buildingType);
+            return true;
+        }
+
+        case COMMANDS.CANCEL_BUILD: {
+            const building = findEntityById(command.buildingId);
+            if (!building) return false;
+            building.cancelConstruction();
+            return true;
+        }
+
+        case COMMANDS.FOCUS_FIRE:
+            if (!target) return false;
+            buildingsForCommand.forEach(building => {
+                if (building) building.focusFire(target);
+            });
+            break;
+
+        default:
+            console.warn(`Unknown command type: ${command.type}`);
+            return false;
+    }
+
+    return unitsForCommand.some(Boolean) || buildingsForCommand.some(Boolean);
+}
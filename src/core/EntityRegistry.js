@@ -0,0 +1,108 @@
+/**
+ * @module EntityRegistry
+ * @description Central index of every unit and building by ID, faction and type
+ *
+ * Entities register themselves when constructed (entities/Entity.js) and stay
+ * registered until the dead-entity sweep at the end of the simulation tick.
+ * Everything that needs to remember an entity (unit targets, control groups,
+ * commands, replays, save games) stores its numeric ID and resolves it here.
+ *
+ * Key Features:
+ * - O(1) lookup by ID
+ * - Per-faction and per-type indexes (insertion order, like the entity arrays)
+ * - Dead entities resolve until they are swept, then return null
+ * - Cleared on new match and rebuilt on load (core/GameState.js, core/SaveManager.js)
+ */
+
+export default class EntityRegistry {
+    constructor() {
+        this.clear();
+    }
+
+    clear() {
+        this.entities = new Map(); // id -> entity
+        this.byFaction = new Map(); // factionId -> Set
+        this.byType = new Map(); // type -> Set
+    }
+
+    /**
+     * @param {Entity} entity - Must already have its id, faction and type
+     */
+    add(entity) {
+        this.entities.set(entity.id, entity);
+        this.index(this.byFaction, entity.faction, entity);
+        this.index(this.byType, entity.type, entity);
+    }
+
+    remove(entity) {
+        if (this.entities.get(entity.id) !== entity) return;
+        this.entities.delete(entity.id);
+        this.unindex(this.byFaction, entity.faction, entity);
+        this.unindex(this.byType, entity.type, entity);
+    }
+
+    /**
+     * Change an entity's type and keep the type index in sync (building upgrades)
+     * @param {Entity} entity
+     * @param {string} type
+     */
+    setType(entity, type) {
+        this.unindex(this.byType, entity.type, entity);
+        entity.type = type;
+        this.index(this.byType, type, entity);
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Entity|null} The entity (possibly dead but not yet swept) or null
+     */
+    get(id) {
+        if (id === undefined || id === null) return null;
+        return this.entities.get(id) || null;
+    }
+
+    /**
+     * @param {number} factionId
+     * @returns {Array<Entity>} Live entities of the faction
+     */
+    getByFaction(factionId) {
+        return this.live(this.byFaction.get(factionId));
+    }
+
+    /**
+     * @param {string} type - Unit or building type (e.g. 'peasant', 'townhall')
+     * @returns {Array<Entity>} Live entities of the type
+     */
+    getByType(type) {
+        return this.live(this.byType.get(type));
+    }
+
+    /**
+     * Forget entities that died (called once per tick, with the entity array cleanup)
+     */
+    removeDead() {
+        this.entities.forEach(entity => {
+            if (entity.isDead) this.remove(entity);
+        });
+    }
+
+    get size() {
+        return this.entities.size;
+    }
+
+    index(map, key, entity) {
+        if (!map.has(key)) map.set(key, new Set());
+        map.get(key).add(entity);
+    }
+
+    unindex(map, key, entity) {
+        const set = map.get(key);
+        if (set) set.delete(entity);
+    }
+
+    live(set) {
+        return set ? [...set].filter(e => !e.isDead) : [];
+    }
+}
+
+export const entityRegistry = new EntityRegistry();
@@ -0,0 +1,128 @@
+/**
+ * @module EventBus
+ * @description Typed publish/subscribe hub between the simulation and everything that reacts to it
+ *
+ * Simulation code (entities, systems) only emits GAME_EVENTS; UI, audio, stats
+ * and AI subscribe to the ones they care about. The simulation therefore never
+ * touches the DOM or audio and runs unchanged in Node (headless.js).
+ *
+ * Key Features:
+ * - Closed set of event types (emitting or subscribing to an unknown type warns)
+ * - Payload shapes documented per event (see typedefs below)
+ * - on() returns an unsubscribe function
+ * - A failing subscriber is logged and cannot break the simulation tick
+ *
+ * Subscribers must not change match state: they also run during replays and
+ * replay seeking, where the commands alone have to reproduce the match.
+ */
+
+export const GAME_EVENTS = {
+    MATCH_STARTED: 'matchStarted',
+    UNIT_TRAINED: 'unitTrained',
+    UNIT_KILLED: 'unitKilled',
+    UNIT_LEVELED_UP: 'unitLeveledUp',
+    ABILITY_CAST: 'abilityCast',
+    BUILDING_PLACED: 'buildingPlaced',
+    BUILDING_COMPLETED: 'buildingCompleted',
+    BUILDING_UPGRADED: 'buildingUpgraded',
+    BUILDING_DESTROYED: 'buildingDestroyed',
+    RESOURCES_CHANGED: 'resourcesChanged',
+    RESOURCE_GATHERED: 'resourceGathered',
+    RESOURCES_DEPOSITED: 'resourcesDeposited',
+    RESEARCH_COMPLETED: 'researchCompleted',
+    TILE_CHANGED: 'tileChanged',
+    UNDER_ATTACK: 'underAttack',
+    PROJECTILE_FIRED: 'projectileFired',
+    PROJECTILE_HIT: 'projectileHit',
+    PROJECTILE_MISSED: 'projectileMissed',
+    ACTION_FAILED: 'actionFailed',
+    FACTION_ELIMINATED: 'factionEliminated',
+    MATCH_ENDED: 'matchEnded'
+};
+
+/**
+ * Event payloads
+ * @typedef {{ tick: number }} MatchStartedEvent - New match created or save loaded
+ * @typedef {{ unit: Unit, building: Building }} UnitTrainedEvent
+ * @typedef {{ unit: Unit, killer: Entity|null }} UnitKilledEvent
+ * @typedef {{ unit: Unit, level: number }} UnitLeveledUpEvent
+ * @typedef {{ unit: Unit, abilityId: string, target: Entity|null }} AbilityCastEvent - See config/abilities.js
+ * @typedef {{ building: Building, builder: Unit }} BuildingPlacedEvent
+ * @typedef {{ building: Building, builder: Unit }} BuildingCompletedEvent
+ * @typedef {{ building: Building }} BuildingUpgradedEvent
+ * @typedef {{ building: Building, killer: Entity|null }} BuildingDestroyedEvent
+ * @typedef {{ faction: number }} ResourcesChangedEvent - Stockpile or food changed
+ * @typedef {{ unit: Unit, resource: string }} ResourceGatheredEvent
+ * @typedef {{ unit: Unit, faction: number, resource: string, amount: number }} ResourcesDepositedEvent
+ * @typedef {{ building: Building, faction: number, upgradeId: string }} ResearchCompletedEvent
+ * @typedef {{ x: number, y: number, tile: Object }} TileChangedEvent - Map tile replaced (e.g. forest cut down)
+ * @typedef {{ target: Entity, attacker: Entity|null, damage: number }} UnderAttackEvent - attacker is null if a projectile outlived its shooter
+ * @typedef {{ projectile: Object, attacker: Entity }} ProjectileFiredEvent - See systems/ProjectileSystem.js
+ * @typedef {{ projectile: Object, target: Entity, damage: number }} ProjectileHitEvent
+ * @typedef {{ projectile: Object }} ProjectileMissedEvent - Target moved away or died before impact
+ * @typedef {{ faction: number, message: string }} ActionFailedEvent - Order could not be carried out
+ * @typedef {{ faction: number, tick: number }} FactionEliminatedEvent
+ * @typedef {{ winners: Array<number>, tick: number }} MatchEndedEvent
+ */
+
+const EVENT_TYPES = new Set(Object.values(GAME_EVENTS));
+
+export default class EventBus {
+    constructor() {
+        this.handlers = new Map(); // type -> Set of handlers
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} type - One of GAME_EVENTS
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Unsubscribe
+     */
+    on(type, handler) {
+        if (!EVENT_TYPES.has(type)) {
+            console.warn(`⚠️ EventBus: unknown event type "${type}"`);
+        }
+        if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+        this.handlers.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        const handlers = this.handlers.get(type);
+        if (handlers) handlers.delete(handler);
+    }
+
+    /**
+     * Notify every subscriber of an event
+     * @param {string} type - One of GAME_EVENTS
+     * @param {Object} payload - See the typedef for the event
+     */
+    emit(type, payload = {}) {
+        if (!EVENT_TYPES.has(type)) {
+            console.warn(`⚠️ EventBus: unknown event type "${type}"`);
+            return;
+        }
+
+        const handlers = this.handlers.get(type);
+        if (!handlers) return;
+
+        handlers.forEach(handler => {
+            try {
+                handler(payload);
+            } catch (e) {
+                console.error(`❌ EventBus: "${type}" handler failed`, e);
+            }
+        });
+    }
+
+    /**
+     * Remove all subscribers (of one type, or of every type)
+     * @param {string} type - Optional event type
+     */
+    clear(type) {
+        if (type) this.handlers.delete(type);
+        else this.handlers.clear();
+    }
+}
+
+export const eventBus = new EventBus();
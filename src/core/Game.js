@@ -4,53 +4,64 @@
  * 
  * This module manages:
  * - Fixed timestep game loop using requestAnimationFrame
- * - Game initialization (map generation, AI setup, entity spawning)
- * - Entity updates (units, buildings, AI controllers)
- * - Dead entity cleanup
+ * - Game initialization from the lobby's match settings (ui/LobbyScreen.js)
+ * - Driving the simulation (core/Simulation.js) at a fixed rate
  * - Camera controls and boundary clamping
  * - FPS calculation and display
  * - Periodic UI updates (resources, selection, fog of war)
+ * - Game speed (0.25x-8x, live and replays), pause and single-tick stepping
+ * - Replay recording, playback and seeking
+ * - Victory/defeat screen when the match ends
  * 
  * Key Features:
  * - Fixed timestep for consistent game logic (30 updates/sec)
  * - Variable framerate rendering via new Renderer system
  * - Lag compensation to maintain smooth updates
  * - Keyboard-based camera movement (WASD/Arrow keys)
- * - Automatic entity cleanup (dead units/buildings)
  * - Integrated Fog of War and Map updates
+ * - Deterministic match restart (same seed + same commands = same match)
+ * - Paths computed in a Web Worker (systems/PathService.js)
  */
 
-import { gameState, units, setUnits, buildings, setBuildings, aiControllers, setAIControllers } from './GameState.js';
-import { MS_PER_UPDATE, MAP_WIDTH, MAP_HEIGHT, TILE_SIZE } from '../config/constants.js';
+import { gameState } from './GameState.js';
+import { MS_PER_UPDATE, MAP_WIDTH, MAP_HEIGHT, TILE_SIZE, GAME_SPEEDS, MAX_UPDATES_PER_FRAME } from '../config/constants.js';
 import { updateFog } from '../systems/FogOfWar.js';
-import { renderer, draw } from '../rendering/Renderer.js';
-import { drawMinimap } from '../rendering/MinimapRenderer.js';
-import { updateResourcesUI, updateSelectionPanel } from '../ui/UIManager.js';
-import AIController from '../systems/AIController.js';
+import { renderer, draw, redrawWorld } from '../rendering/Renderer.js';
+import { drawMinimap, refreshMinimapTerrain } from '../rendering/MinimapRenderer.js';
+import { updateResourcesUI, updateSelectionPanel, updateSpeedIndicator, refreshMatchUI, showEndScreen, hideEndScreen } from '../ui/UIManager.js';
+import { showLobby } from '../ui/LobbyScreen.js';
 import { FACTIONS } from '../config/entityStats.js';
-import { generateMap } from '../map/MapGenerator.js';
+import { DEFAULT_MATCH_SETTINGS, CONTROLLERS } from '../config/matchSettings.js';
 import { camera } from '../rendering/Camera.js';
 import { keys, getMousePosition, updateCameraFromKeys } from '../input/InputManager.js';
 import { Profiler } from '../utils/Profiler.js';
+import { newMatch, stepSimulation } from './Simulation.js';
+import { replayRecorder, replayPlayer } from '../systems/ReplaySystem.js';
+import { pathService } from '../systems/PathService.js';
+import { gameRules } from '../systems/GameRules.js';
 
 let lastTime = 0;
 let lag = 0;
 let frameCount = 0;
 let fpsTimer = 0;
 let actualFPS = 0;
+let shownEndTick = null; // Match end already presented to the player
+let shownPlayerDefeat = false;
+let stepRequested = false; // Single tick asked for while paused, run once its paths are in
+let matchSettings = DEFAULT_MATCH_SETTINGS; // Last settings chosen in the lobby
 
 import { soundManager } from '../systems/SoundManager.js';
 
 
-export function initGame() {
-    generateMap();
-
-    // Initialize AI
-    const ais = [];
-    ais.push(new AIController(FACTIONS.ENEMY.id));
-    ais.push(new AIController(FACTIONS.ALLY.id));
-    ais.push(new AIController(FACTIONS.ENEMY_2.id));
-    setAIControllers(ais);
+/**
+ * Initialize a new match
+ * @param {Object} settings - Match settings from the lobby (see config/matchSettings.js)
+ */
+export function initGame(settings = {}) {
+    matchSettings = { ...DEFAULT_MATCH_SETTINGS, ...settings };
+    pathService.enableWorker();
+    newMatch(matchSettings);
+    recordMatch();
 
     // Initialize Audio
     soundManager.init();
@@ -58,27 +69,140 @@ export function initGame() {
     // drawStaticMap(); // Initial draw handled by renderer init
 }
 
-function updateGameLogic() {
-    Profiler.start('UpdateLogic');
-    gameState.gameTime++;
+/**
+ * Start recording the running match. The header holds the full settings with
+ * the requested template: a random pick draws from the seeded PRNG.
+ */
+function recordMatch() {
+    replayRecorder.start({ ...matchSettings, seed: gameState.seed });
+}
 
-    // Update AI
-    Profiler.start('AI');
-    aiControllers.forEach(ai => ai.update());
-    Profiler.end('AI');
+/**
+ * Throw away the running match and regenerate it from scratch
+ * @param {Object} settings - Match settings (or a replay, whose header holds them)
+ */
+function restartMatch(settings) {
+    newMatch(settings);
+    hideEndScreen();
+    shownEndTick = null;
+    shownPlayerDefeat = false;
 
-    // Unit and Building updates
-    Profiler.start('Units');
-    units.forEach(u => u.update());
-    Profiler.end('Units');
+    redrawWorld();
+    refreshMinimapTerrain();
+    refreshMatchUI();
+}
 
-    Profiler.start('Buildings');
-    buildings.forEach(b => b.update());
-    Profiler.end('Buildings');
+/**
+ * Start watching a replay from tick 0
+ * @param {Object} replay - Replay data (see systems/ReplaySystem.js)
+ */
+export function startReplay(replay) {
+    replayPlayer.load(replay);
+    restartMatch(replay);
+    lag = 0;
+    gameState.paused = false;
+}
 
-    // Remove dead entities
-    setUnits(units.filter(u => !u.isDead));
-    setBuildings(buildings.filter(b => !b.isDead));
+/**
+ * Replace the running match (or replay) with a new live one
+ * @param {Object} settings - Match settings (defaults to the last ones used)
+ */
+export function startNewMatch(settings = matchSettings) {
+    replayPlayer.stop();
+    matchSettings = settings;
+    restartMatch(matchSettings);
+    recordMatch();
+    lag = 0;
+    gameState.paused = false;
+}
+
+/**
+ * Pause the game and let the player set up the next match in the lobby
+ * @returns {Promise} Resolves once the new match has started
+ */
+export async function openLobby() {
+    gameState.paused = true;
+    const settings = await showLobby(matchSettings);
+    startNewMatch(settings);
+}
+
+/**
+ * @param {number} speed - One of GAME_SPEEDS
+ */
+export function setGameSpeed(speed) {
+    if (!GAME_SPEEDS.includes(speed)) return;
+    gameState.gameSpeed = speed;
+}
+
+/**
+ * Move to the next faster or slower game speed
+ * @param {number} direction - 1 = faster, -1 = slower
+ */
+export function changeGameSpeed(direction) {
+    const index = GAME_SPEEDS.indexOf(gameState.gameSpeed);
+    const next = Math.max(0, Math.min(GAME_SPEEDS.length - 1, index + direction));
+    setGameSpeed(GAME_SPEEDS[next]);
+}
+
+export function togglePause() {
+    gameState.paused = !gameState.paused;
+    stepRequested = false;
+    lag = 0;
+}
+
+/**
+ * Advance exactly one tick while paused (debugging AI and fights). If a path
+ * due on that tick is still in the worker, the step runs on a later frame.
+ */
+export function stepTick() {
+    if (!gameState.paused) return;
+    stepRequested = true;
+    runRequestedStep();
+}
+
+function runRequestedStep() {
+    if (!stepRequested || !pathsReady()) return;
+    stepRequested = false;
+
+    advanceTick();
+    updateFog();
+    updateSelectionPanel();
+    updateResourcesUI();
+}
+
+/**
+ * @returns {boolean} False while a path due on the next tick is still in the worker
+ */
+function pathsReady() {
+    return pathService.isReady(gameState.gameTime + 1);
+}
+
+/**
+ * Jump to a tick of the replay. Seeking backwards restarts the match and
+ * fast-forwards, since the simulation can only run forwards.
+ * @param {number} tick - Target gameState.gameTime
+ */
+export function seekReplay(tick) {
+    if (!replayPlayer.active) return;
+
+    const targetTick = Math.max(0, Math.min(Math.floor(tick), replayPlayer.endTick));
+    if (targetTick < gameState.gameTime) {
+        restartMatch(replayPlayer.replay);
+    }
+
+    console.time('ReplaySeek');
+    while (gameState.gameTime < targetTick) {
+        updateGameLogic();
+    }
+    console.timeEnd('ReplaySeek');
+
+    updateFog();
+    lag = 0;
+}
+
+function updateGameLogic() {
+    Profiler.start('UpdateLogic');
+    stepSimulation();
 
     // Update UI elements dependent on game logic
     if (gameState.gameTime % 15 === 0) {
@@ -100,18 +224,29 @@ export function startGameLoop() {
 }
 
 function gameLoop(currentTime) {
-    if (gameState.paused) {
-        requestAnimationFrame(gameLoop);
-        return;
-    }
-
     const elapsed = currentTime - lastTime;
     lastTime = currentTime;
 
-    lag += elapsed;
-    while (lag >= MS_PER_UPDATE) {
-        updateGameLogic();
-        lag -= MS_PER_UPDATE;
+    // Keep rendering while paused so the camera and replay seeking still work
+    if (gameState.paused) {
+        runRequestedStep();
+    } else {
+        lag += elapsed * gameState.gameSpeed;
+        let updates = 0;
+        while (lag >= MS_PER_UPDATE) {
+            // Wait for the path worker without building up a backlog of ticks (rendering goes on)
+            if (!pathsReady()) {
+                lag = Math.min(lag, MS_PER_UPDATE);
+                break;
+            }
+            if (!advanceTick()) break;
+            lag -= MS_PER_UPDATE;
+
+            if (++updates >= MAX_UPDATES_PER_FRAME) {
+                lag = 0;
+                break;
+            }
+        }
     }
 
     Profiler.start('Draw');
@@ -124,6 +259,8 @@ function gameLoop(currentTime) {
 
     Profiler.tick(); // Report every 60 frames
 
+    updateSpeedIndicator();
+
     // FPS Calculation
     frameCount++;
     fpsTimer += elapsed;
@@ -143,3 +280,46 @@ function gameLoop(currentTime) {
 
     requestAnimationFrame(gameLoop);
 }
+
+/**
+ * Simulate one tick and stop at the end of a replay or the match
+ * @returns {boolean} False if the game paused instead of (or after) simulating
+ */
+function advanceTick() {
+    // Stop at the end of the recording
+    if (replayPlayer.active && gameState.gameTime >= replayPlayer.endTick) {
+        gameState.paused = true;
+        lag = 0;
+        return false;
+    }
+
+    updateGameLogic();
+
+    // Show results when the match ends, or earlier if the player is knocked out
+    const playerOut = hasHumanPlayer() && gameRules.isEliminated(FACTIONS.PLAYER.id) && !shownPlayerDefeat;
+    if ((gameRules.gameOver && shownEndTick !== gameRules.endTick) || playerOut) {
+        presentMatchEnd();
+        return false;
+    }
+    return true;
+}
+
+function presentMatchEnd() {
+    if (gameRules.gameOver) shownEndTick = gameRules.endTick;
+    shownPlayerDefeat = gameRules.isEliminated(FACTIONS.PLAYER.id);
+    gameState.paused = true;
+    lag = 0;
+
+    showEndScreen(gameRules.getResults(), {
+        onContinue: () => { gameState.paused = false; },
+        onNewMatch: () => openLobby()
+    });
+}
+
+/**
+ * @returns {boolean} True if the PLAYER faction is controlled by a person
+ */
+function hasHumanPlayer() {
+    const { factions = DEFAULT_MATCH_SETTINGS.factions } = replayPlayer.active ? replayPlayer.replay : matchSettings;
+    return factions.some(f => f.id === FACTIONS.PLAYER.id && f.controller === CONTROLLERS.HUMAN);
+}
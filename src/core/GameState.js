@@ -6,7 +6,7 @@
  * - Player and faction resources (gold, wood, stone, food)
  * - Faction-specific upgrades and research
  * - Selected entities and current build mode
- * - Game time and pause state
+ * - Game time, pause state and game speed
  * - All game entities (units, buildings, map)
  * - Game systems (AI controllers, spatial hash, pathfinder, fog of war, alliances)
  * 
@@ -16,24 +16,33 @@
  * - Upgrade tracking system
  * - Entity array management (units, buildings)
  * - System instance management (pathfinder, spatial hash, AI, alliances)
+ * - Full reset to a fresh-match state (used to restart replays)
+ * - Stockpile helpers (canAfford / spendResources / addResources) for every resource type
+ * - Finite tile resources (forests run out and turn into grass)
  * 
  * @property {Object} gameState - Main game state object
  * @property {Object} gameState.resources - Player resources
  * @property {Object} gameState.factionResources - Resources for each faction (0=Player, 1=Enemy, 2=Ally, 3=Enemy2)
  * @property {Object} gameState.factionUpgrades - Researched upgrades per faction
  * @property {Array} gameState.selectedEntities - Currently selected units/buildings
+ * @property {number} gameState.seed - Seed that reproduces the current map and AI decisions
  */
 
 import AllianceSystem from '../systems/AllianceSystem.js';
 import { ALLIANCE_CONFIG } from '../config/alliances.js';
+import { TILES } from '../config/entityStats.js';
+import { entityRegistry } from './EntityRegistry.js';
+import { eventBus, GAME_EVENTS } from './EventBus.js';
+
+const STARTING_RESOURCES = { gold: 500, wood: 500, stone: 150, foodUsed: 0, foodMax: 5 };
 
 export const gameState = {
-    resources: { gold: 500, wood: 500, stone: 150, foodUsed: 0, foodMax: 5 },
+    resources: { ...STARTING_RESOURCES },
     factionResources: {
-        0: { gold: 500, wood: 500, stone: 150, foodUsed: 0, foodMax: 5 },
-        1: { gold: 500, wood: 500, stone: 150, foodUsed: 0, foodMax: 5 },
-        2: { gold: 500, wood: 500, stone: 150, foodUsed: 0, foodMax: 5 },
-        3: { gold: 500, wood: 500, stone: 150, foodUsed: 0, foodMax: 5 }
+        0: { ...STARTING_RESOURCES },
+        1: { ...STARTING_RESOURCES },
+        2: { ...STARTING_RESOURCES },
+        3: { ...STARTING_RESOURCES }
     },
     factionUpgrades: {
         0: [], 1: [], 2: [], 3: []
@@ -43,12 +52,16 @@ export const gameState = {
     targetEntity: null,
     gameTime: 0,
     paused: false,
+    gameSpeed: 1, // Simulation speed multiplier (GAME_SPEEDS), kept across matches
+    seed: null, // Map/AI PRNG seed (see utils/Random.js)
+    mapTemplate: null,
 };
 
 export let map = [];
 export let units = [];
 export let buildings = [];
 export let fogMap = [];
+export let tileResources = []; // [y][x] -> resource left in an exhaustible tile (0 elsewhere)
 export let aiControllers = [];
 export let spatialHash = null;
 export let pathfinder = null;
@@ -58,7 +71,171 @@ export function setMap(newMap) { map = newMap; }
 export function setUnits(newUnits) { units = newUnits; }
 export function setBuildings(newBuildings) { buildings = newBuildings; }
 export function setFogMap(newFogMap) { fogMap = newFogMap; }
+export function setTileResources(newTileResources) { tileResources = newTileResources; }
 export function setAIControllers(newAIControllers) { aiControllers = newAIControllers; }
 export function setSpatialHash(newSpatialHash) { spatialHash = newSpatialHash; }
 export function setPathfinder(newPathfinder) { pathfinder = newPathfinder; }
 export function setAllianceSystem(newAllianceSystem) { allianceSystem = newAllianceSystem; }
+
+/**
+ * Restore every piece of match state to its initial value, exactly as it is
+ * on page load, so that regenerating from the same seed replays identically
+ * @param {Object} options
+ * @param {Object} options.alliances - AllianceSystem config (default ALLIANCE_CONFIG)
+ * @param {Object} options.startingResources - { gold, wood, stone } every faction starts with
+ */
+export function resetGameState({ alliances = ALLIANCE_CONFIG, startingResources = {} } = {}) {
+    const start = { ...STARTING_RESOURCES, ...startingResources };
+    gameState.resources = { ...start };
+    gameState.factionResources = {
+        0: { ...start },
+        1: { ...start },
+        2: { ...start },
+        3: { ...start }
+    };
+    gameState.factionUpgrades = { 0: [], 1: [], 2: [], 3: [] };
+    gameState.selectedEntities = [];
+    gameState.buildingMode = null;
+    gameState.commandMode = null;
+    gameState.commandAbility = null;
+    gameState.targetEntity = null;
+    gameState.gameTime = 0;
+
+    units.forEach(u => { u.isDead = true; });
+    buildings.forEach(b => { b.isDead = true; });
+    entityRegistry.clear();
+
+    map = [];
+    units = [];
+    buildings = [];
+    fogMap = [];
+    tileResources = [];
+    aiControllers = [];
+    spatialHash = null;
+    pathfinder = null;
+    allianceSystem = new AllianceSystem(alliances);
+}
+
+// ========================================
+// FACTION STOCKPILES
+// ========================================
+
+export const RESOURCE_TYPES = ['gold', 'wood', 'stone'];
+
+const PLAYER_FACTION_ID = 0;
+
+/**
+ * @param {number} factionId
+ * @returns {Object} The faction's { gold, wood, stone, foodUsed, foodMax } (created empty if missing)
+ */
+export function getFactionResources(factionId) {
+    if (!gameState.factionResources[factionId]) {
+        gameState.factionResources[factionId] = { gold: 0, wood: 0, stone: 0, foodUsed: 0, foodMax: 5 };
+    }
+    return gameState.factionResources[factionId];
+}
+
+/**
+ * Copy the player's stockpile to gameState.resources (shown in the HUD)
+ * @param {number} factionId - Only the player faction is copied
+ */
+export function syncPlayerResources(factionId) {
+    if (factionId === PLAYER_FACTION_ID) {
+        Object.assign(gameState.resources, getFactionResources(factionId));
+    }
+}
+
+/**
+ * @param {number} factionId
+ * @param {Object} cost - { gold, wood, stone } (missing resources cost nothing)
+ * @returns {boolean} True if the faction has every resource the cost asks for
+ */
+export function canAfford(factionId, cost) {
+    const resources = getFactionResources(factionId);
+    return RESOURCE_TYPES.every(type => resources[type] >= (cost[type] || 0));
+}
+
+/**
+ * Deduct a cost from a faction's stockpile
+ * @param {number} factionId
+ * @param {Object} cost - { gold, wood, stone }
+ * @returns {boolean} False (nothing deducted) if the faction cannot afford it
+ */
+export function spendResources(factionId, cost) {
+    if (!canAfford(factionId, cost)) return false;
+
+    const resources = getFactionResources(factionId);
+    RESOURCE_TYPES.forEach(type => { resources[type] -= cost[type] || 0; });
+    syncPlayerResources(factionId);
+    return true;
+}
+
+/**
+ * Add gathered (or refunded) resources to a faction's stockpile
+ * @param {number} factionId
+ * @param {string} type - One of RESOURCE_TYPES
+ * @param {number} amount
+ */
+export function addResources(factionId, type, amount) {
+    getFactionResources(factionId)[type] += amount;
+    syncPlayerResources(factionId);
+}
+
+// ========================================
+// MAP TILES
+// ========================================
+
+/**
+ * Fill tileResources from the current map (every tile with a resourceAmount,
+ * i.e. forests, starts full)
+ */
+export function initTileResources() {
+    tileResources = map.map(row => row.map(tile => tile.resourceAmount || 0));
+}
+
+/**
+ * The placement rule shared by the player, the AI and the placement preview
+ * @param {number} x - Top-left tile of the footprint
+ * @param {number} y
+ * @param {number} size - Footprint edge in tiles
+ * @returns {boolean} True if every tile is buildable (TILES buildable) and no building is in the way
+ */
+export function isBuildableArea(x, y, size) {
+    for (let ty = y; ty < y + size; ty++) {
+        for (let tx = x; tx < x + size; tx++) {
+            if (ty < 0 || ty >= map.length || tx < 0 || tx >= map[0].length || !map[ty][tx].buildable) return false;
+        }
+    }
+    return !buildings.some(b => !b.isDead &&
+        x < b.x + b.size && x + size > b.x && y < b.y + b.size && y + size > b.y);
+}
+
+/**
+ * Replace a map tile and tell everything that caches the terrain
+ * (the pathfinder directly, renderers through TILE_CHANGED)
+ * @param {number} x
+ * @param {number} y
+ * @param {Object} tile - One of TILES
+ */
+export function setTile(x, y, tile) {
+    map[y][x] = tile;
+    tileResources[y][x] = tile.resourceAmount || 0;
+    if (pathfinder) pathfinder.updateTile(x, y);
+    eventBus.emit(GAME_EVENTS.TILE_CHANGED, { x, y, tile });
+}
+
+/**
+ * Take resources out of a tile; an exhausted forest becomes grass
+ * @param {number} x
+ * @param {number} y
+ * @param {number} amount - Wanted amount
+ * @returns {number} Amount actually taken (the full amount for inexhaustible tiles like stone)
+ */
+export function harvestTile(x, y, amount) {
+    if (!map[y][x].resourceAmount) return amount;
+
+    const taken = Math.min(amount, tileResources[y][x]);
+    tileResources[y][x] -= taken;
+    if (tileResources[y][x] <= 0) setTile(x, y, TILES.GRASS);
+    return taken;
+}
@@ -0,0 +1,345 @@
+/**
+ * @module SaveManager
+ * @description Full match serialization (save/load)
+ *
+ * This module snapshots and restores the complete simulation state:
+ * - Map tiles, remaining forest wood and fog of war
+ * - Every unit and building (queues, cargo, paths, stances, targets)
+ * - Faction resources and researched upgrades
+ * - Alliance relations
+ * - AI controller state and personality
+ * - Entity ID counter and the replay recorded so far
+ * - Victory conditions and eliminations
+ * - Projectiles in flight
+ *
+ * Key Features:
+ * - Versioned save format (SAVE_VERSION)
+ * - Named localStorage slots
+ * - Downloadable / importable JSON save files
+ * - Entity cross-references stored by entity ID
+ * - SpatialHash, EntityRegistry and Pathfinder rebuilt on load (path requests in flight are sent again)
+ */
+
+import {
+    gameState, map, units, buildings, fogMap, tileResources, aiControllers, allianceSystem,
+    setMap, setUnits, setBuildings, setFogMap, setTileResources, setAIControllers,
+    setSpatialHash, setPathfinder, setAllianceSystem
+} from './GameState.js';
+import { MAP_WIDTH, MAP_HEIGHT } from '../config/constants.js';
+import { TILES, BUILDING_STATS } from '../config/entityStats.js';
+import Entity, { getNextEntityId, resetEntityIds } from '../entities/Entity.js';
+import Unit from '../entities/Unit.js';
+import Building from '../entities/Building.js';
+import SpatialHash from '../map/SpatialHash.js';
+import Pathfinder from '../systems/Pathfinder.js';
+import AllianceSystem from '../systems/AllianceSystem.js';
+import AIController from '../systems/AIController.js';
+import { rng } from '../utils/Random.js';
+import { replayRecorder, replayPlayer } from '../systems/ReplaySystem.js';
+import { gameRules } from '../systems/GameRules.js';
+import { projectileSystem } from '../systems/ProjectileSystem.js';
+import { pathService } from '../systems/PathService.js';
+import { entityRegistry } from './EntityRegistry.js';
+import { eventBus, GAME_EVENTS } from './EventBus.js';
+import { redrawWorld } from '../rendering/Renderer.js';
+import { refreshMinimapTerrain } from '../rendering/MinimapRenderer.js';
+
+export const SAVE_VERSION = 4;
+
+const SLOT_PREFIX = 'rts_save_';
+
+// Runtime-only properties that must never be written to a save
+const TRANSIENT_KEYS = new Set(['_spatialKeys', 'selected', 'animationState']);
+
+const TILES_BY_ID = Object.fromEntries(Object.values(TILES).map(tile => [tile.id, tile]));
+
+// ========================================
+// ENCODING HELPERS
+// ========================================
+
+function encodeValue(value) {
+    if (value instanceof Entity) {
+        return value.isDead ? null : { $id: value.id }; // Dropped (dead/removed) entities become null
+    }
+    if (Array.isArray(value)) {
+        return value.map(encodeValue);
+    }
+    if (value && typeof value === 'object') {
+        const out = {};
+        for (const key in value) {
+            out[key] = encodeValue(value[key]);
+        }
+        return out;
+    }
+    return value;
+}
+
+function decodeValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(decodeValue);
+    }
+    if (value && typeof value === 'object') {
+        if (value.$id !== undefined) return entityRegistry.get(value.$id);
+        const out = {};
+        for (const key in value) {
+            out[key] = decodeValue(value[key]);
+        }
+        return out;
+    }
+    return value;
+}
+
+function serializeEntity(entity, skipKeys = []) {
+    const data = {};
+    for (const key of Object.keys(entity)) {
+        if (TRANSIENT_KEYS.has(key) || skipKeys.includes(key)) continue;
+        data[key] = encodeValue(entity[key]);
+    }
+    return data;
+}
+
+// ========================================
+// SERIALIZATION
+// ========================================
+
+/**
+ * Build a plain JSON-compatible snapshot of the current match
+ * @returns {Object} Save data
+ */
+export function serializeGame() {
+    const liveUnits = units.filter(u => !u.isDead);
+    const liveBuildings = buildings.filter(b => !b.isDead);
+
+    return {
+        version: SAVE_VERSION,
+        savedAt: new Date().toISOString(),
+        gameState: {
+            resources: { ...gameState.resources },
+            factionResources: JSON.parse(JSON.stringify(gameState.factionResources)),
+            factionUpgrades: JSON.parse(JSON.stringify(gameState.factionUpgrades)),
+            gameTime: gameState.gameTime,
+            seed: gameState.seed,
+            mapTemplate: gameState.mapTemplate
+        },
+        rng: rng.getState(),
+        nextEntityId: getNextEntityId(),
+        // Commands since tick 0, so a loaded match can still be exported as a replay
+        replay: replayRecorder.getState(),
+        rules: gameRules.getState(),
+        projectiles: projectileSystem.getState(),
+        map: map.map(row => row.map(tile => tile.id)),
+        tileResources: tileResources.map(row => [...row]),
+        fogMap: fogMap.map(row => [...row]),
+        units: liveUnits.map(u => serializeEntity(u)),
+        // Building stats are shared config objects, restored from `type`
+        buildings: liveBuildings.map(b => serializeEntity(b, ['stats'])),
+        alliances: {
+            config: JSON.parse(JSON.stringify(allianceSystem.config)),
+            relations: [...allianceSystem.alliances.entries()]
+        },
+        ai: aiControllers.map(ai => ({
+            factionId: ai.factionId,
+            difficulty: ai.difficulty,
+            personality: JSON.parse(JSON.stringify(ai.personality)),
+            state: ai.state,
+            timer: ai.timer,
+            explorationGrid: JSON.parse(JSON.stringify(ai.worldView.getExplorationGrid())),
+            armyWaveIndex: ai.armyManager.waveIndex,
+            attackWaveIndex: ai.attackManager.waveIndex
+        }))
+    };
+}
+
+// ========================================
+// DESERIALIZATION
+// ========================================
+
+/**
+ * Replace the running match with the contents of a save
+ * @param {Object} data - Save data produced by serializeGame()
+ */
+export function deserializeGame(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Invalid save data');
+    }
+    if (data.version !== SAVE_VERSION) {
+        throw new Error(`Unsupported save version ${data.version} (expected ${SAVE_VERSION})`);
+    }
+    if (data.map.length !== MAP_HEIGHT || data.map[0].length !== MAP_WIDTH) {
+        throw new Error(`Save map size ${data.map[0].length}x${data.map.length} does not match ${MAP_WIDTH}x${MAP_HEIGHT}`);
+    }
+
+    // A loaded save replaces whatever replay was being watched
+    replayPlayer.stop();
+
+    // Retire the current entities so stale references (control groups, selections) drop them
+    units.forEach(u => { u.isDead = true; });
+    buildings.forEach(b => { b.isDead = true; });
+
+    // 1. Map & fog
+    const newMap = data.map.map(row => row.map(id => TILES_BY_ID[id] || TILES.GRASS));
+    setMap(newMap);
+    setTileResources(data.tileResources.map(row => [...row]));
+    setFogMap(data.fogMap.map(row => [...row]));
+
+    // 2. Systems (must exist before entities are inserted)
+    const newSpatialHash = new SpatialHash(10);
+    setSpatialHash(newSpatialHash);
+    const newPathfinder = new Pathfinder(MAP_WIDTH, MAP_HEIGHT, TILES, newMap);
+    setPathfinder(newPathfinder);
+
+    // 3. Entities: register shells under their saved IDs first so cross-references
+    // can resolve, bypassing constructors to avoid their side effects (food, upgrades)
+    entityRegistry.clear();
+    const shell = (prototype, { id, faction, type }) => {
+        const entity = Object.assign(Object.create(prototype), { id, faction, type });
+        entityRegistry.add(entity);
+        return entity;
+    };
+    const newUnits = data.units.map(saved => shell(Unit.prototype, saved));
+    const newBuildings = data.buildings.map(saved => shell(Building.prototype, saved));
+
+    data.units.forEach((saved, i) => {
+        Object.assign(newUnits[i], decodeValue(saved), { selected: false });
+    });
+    data.buildings.forEach((saved, i) => {
+        Object.assign(newBuildings[i], decodeValue(saved), {
+            stats: BUILDING_STATS[saved.type],
+            selected: false
+        });
+    });
+
+    [...newBuildings, ...newUnits].forEach(e => newSpatialHash.insert(e));
+    newPathfinder.setBuildings(newBuildings);
+    setUnits(newUnits);
+    setBuildings(newBuildings);
+
+    // 4. Game state
+    const saved = data.gameState;
+    gameState.resources = { ...saved.resources };
+    gameState.factionResources = saved.factionResources;
+    gameState.factionUpgrades = saved.factionUpgrades;
+    gameState.gameTime = saved.gameTime;
+    gameState.seed = saved.seed;
+    gameState.mapTemplate = saved.mapTemplate;
+    gameState.selectedEntities = [];
+    gameState.buildingMode = null;
+    gameState.commandMode = null;
+    gameState.commandAbility = null;
+
+    // 5. Alliances
+    const alliances = new AllianceSystem(data.alliances.config);
+    alliances.alliances = new Map(data.alliances.relations);
+    setAllianceSystem(alliances);
+
+    // 6. AI controllers (constructors draw from the PRNG, so restore its state afterwards)
+    setAIControllers(data.ai.map(savedAI => {
+        const ai = new AIController(savedAI.factionId, savedAI.difficulty);
+        // Managers share the personality object, so mutate it in place
+        Object.assign(ai.personality, savedAI.personality);
+        ai.state = savedAI.state;
+        ai.timer = savedAI.timer;
+        ai.worldView.explorationGrid = savedAI.explorationGrid;
+        ai.armyManager.waveIndex = savedAI.armyWaveIndex;
+        ai.attackManager.waveIndex = savedAI.attackWaveIndex;
+        return ai;
+    }));
+
+    rng.setState(data.rng);
+    resetEntityIds(data.nextEntityId);
+    replayRecorder.setState(data.replay);
+    gameRules.setState(data.rules);
+    projectileSystem.setState(data.projectiles);
+    pathService.reset(newPathfinder, newUnits); // Units that were waiting for a path ask again
+
+    // 7. Refresh cached render layers
+    redrawWorld();
+    refreshMinimapTerrain();
+
+    eventBus.emit(GAME_EVENTS.MATCH_STARTED, { tick: gameState.gameTime });
+    console.log(`💾 Loaded save from ${data.savedAt} (${newUnits.length} units, ${newBuildings.length} buildings)`);
+}
+
+// ========================================
+// LOCAL STORAGE SLOTS
+// ========================================
+
+/**
+ * Save the current match to a named localStorage slot
+ * @param {string} slot - Slot name
+ */
+export function saveToSlot(slot) {
+    const data = serializeGame();
+    localStorage.setItem(SLOT_PREFIX + slot, JSON.stringify(data));
+    console.log(`💾 Saved game to slot "${slot}"`);
+    return data;
+}
+
+/**
+ * Load a match from a named localStorage slot
+ * @param {string} slot - Slot name
+ */
+export function loadFromSlot(slot) {
+    const raw = localStorage.getItem(SLOT_PREFIX + slot);
+    if (!raw) throw new Error(`Save slot "${slot}" is empty`);
+    deserializeGame(JSON.parse(raw));
+}
+
+export function deleteSaveSlot(slot) {
+    localStorage.removeItem(SLOT_PREFIX + slot);
+}
+
+/**
+ * List saved slots with their metadata
+ * @returns {Array<{slot: string, version: number, savedAt: string, gameTime: number}>}
+ */
+export function listSaveSlots() {
+    const slots = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (!key.startsWith(SLOT_PREFIX)) continue;
+
+        try {
+            const data = JSON.parse(localStorage.getItem(key));
+            slots.push({
+                slot: key.slice(SLOT_PREFIX.length),
+                version: data.version,
+                savedAt: data.savedAt,
+                gameTime: data.gameState.gameTime
+            });
+        } catch (e) {
+            console.warn(`Corrupt save slot ${key}`, e);
+        }
+    }
+    return slots.sort((a, b) => a.slot.localeCompare(b.slot));
+}
+
+// ========================================
+// JSON FILES
+// ========================================
+
+/**
+ * Download the current match as a JSON file
+ * @param {string} filename - Download file name
+ */
+export function downloadSave(filename = `rts-save-${Date.now()}.json`) {
+    const blob = new Blob([JSON.stringify(serializeGame())], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Load a match from a user-selected JSON file
+ * @param {File} file - File from an <input type="file">
+ * @returns {Promise} Resolves once the save has been applied
+ */
+export async function loadFromFile(file) {
+    const text = await file.text();
+    deserializeGame(JSON.parse(text));
+}
@@ -0,0 +1,114 @@
+/**
+ * @module Simulation
+ * @description Fixed-timestep game simulation, independent of rendering and UI
+ *
+ * This module owns everything that changes the match state:
+ * - Creating a match from lobby settings (map, factions, alliances, resources)
+ * - Advancing the simulation by one tick
+ * - Victory/defeat checks (systems/GameRules.js)
+ *
+ * Key Features:
+ * - No DOM, canvas or audio requirements (runs in the browser and in Node)
+ * - Deterministic: same seed + same commands = same match
+ * - Replay commands applied at the start of the tick they were issued on
+ * - Path requests sent at the end of a tick and answered at the start of the next (systems/PathService.js)
+ *
+ * Used by core/Game.js (browser loop) and headless.js (Node CLI runner).
+ */
+
+import { gameState, units, setUnits, buildings, setBuildings, pathfinder, aiControllers, setAIControllers, resetGameState } from './GameState.js';
+import { DEFAULT_MATCH_SETTINGS, CONTROLLERS } from '../config/matchSettings.js';
+import { generateMap } from '../map/MapGenerator.js';
+import AIController from '../systems/AIController.js';
+import { replayPlayer } from '../systems/ReplaySystem.js';
+import { gameRules } from '../systems/GameRules.js';
+import { projectileSystem } from '../systems/ProjectileSystem.js';
+import { pathService } from '../systems/PathService.js';
+import { resetEntityIds } from '../entities/Entity.js';
+import { Profiler } from '../utils/Profiler.js';
+import { executeCommand } from './Commands.js';
+import { entityRegistry } from './EntityRegistry.js';
+import { eventBus, GAME_EVENTS } from './EventBus.js';
+
+/**
+ * @param {Array<Object>} factions - Faction slots (see config/matchSettings.js)
+ * @returns {Array<AIController>} One controller per AI-controlled slot
+ */
+export function createAIControllers(factions = DEFAULT_MATCH_SETTINGS.factions) {
+    return factions
+        .filter(f => f.controller === CONTROLLERS.AI)
+        .map(f => new AIController(f.id, f.difficulty, f.personality));
+}
+
+/**
+ * Start a fresh match, discarding any previous one
+ * @param {Object} settings - See DEFAULT_MATCH_SETTINGS (missing fields use the defaults)
+ * @param {string} settings.template - Map template (MAP_TEMPLATES)
+ * @param {number|string} settings.seed - Seed (random if omitted)
+ * @param {Array<Object>} settings.factions - Human/AI/closed slot per faction
+ * @param {Object} settings.alliances - AllianceSystem config
+ * @param {Object} settings.startingResources - { gold, wood, stone }
+ * @param {Object} settings.rules - Victory conditions (see config/gameRules.js)
+ */
+export function newMatch({
+    template,
+    seed,
+    factions = DEFAULT_MATCH_SETTINGS.factions,
+    alliances = DEFAULT_MATCH_SETTINGS.alliances,
+    startingResources = DEFAULT_MATCH_SETTINGS.startingResources,
+    rules
+} = {}) {
+    const activeFactions = factions.filter(f => f.controller !== CONTROLLERS.CLOSED);
+
+    resetGameState({ alliances, startingResources });
+    resetEntityIds();
+    generateMap(template, seed, activeFactions.map(f => f.id));
+    pathService.reset(pathfinder);
+    setAIControllers(createAIControllers(activeFactions));
+    gameRules.reset(rules);
+    projectileSystem.reset();
+    eventBus.emit(GAME_EVENTS.MATCH_STARTED, { tick: gameState.gameTime });
+}
+
+/**
+ * Advance the simulation by one fixed tick (MS_PER_UPDATE)
+ */
+export function stepSimulation() {
+    // Replay: apply the commands the player issued before this tick
+    if (replayPlayer.active) {
+        replayPlayer.getCommands(gameState.gameTime).forEach(executeCommand);
+    }
+
+    gameState.gameTime++;
+
+    // Paths requested PATH_DELIVERY_TICKS ago
+    pathService.deliver(gameState.gameTime);
+
+    // Update AI
+    Profiler.start('AI');
+    aiControllers.forEach(ai => {
+        if (!gameRules.isEliminated(ai.factionId)) ai.update();
+    });
+    Profiler.end('AI');
+
+    // Unit and Building updates
+    Profiler.start('Units');
+    units.forEach(u => u.update());
+    Profiler.end('Units');
+
+    Profiler.start('Buildings');
+    buildings.forEach(b => b.update());
+    Profiler.end('Buildings');
+
+    projectileSystem.update();
+
+    gameRules.update();
+
+    // Remove dead entities
+    setUnits(units.filter(u => !u.isDead));
+    setBuildings(buildings.filter(b => !b.isDead));
+    entityRegistry.removeDead();
+
+    // Compute (or send to the path worker) this tick's share of the path requests
+    pathService.dispatch(gameState.gameTime);
+}
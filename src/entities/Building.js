@@ -5,35 +5,66 @@
  * This module manages all building functionality including:
  * - Unit training and production queues
  * - Technology research (upgrades)
- * - Blueprint/construction phase
- * - Defensive capabilities (Guard Tower)
+ * - Blueprint/construction phase (progress kept on the site, several builders)
+ * - Defensive capabilities (Guard Tower and its upgrades)
  * 
  * Key Features:
  * - Multi-unit training queue with progress tracking
  * - Research system for faction-wide upgrades
- * - Blueprint construction phase
+ * - Blueprint construction phase: progress lives on the building, so sites
+ *   survive their builders and extra builders help with diminishing returns
+ * - Cancelling a construction site refunds part of its cost
+ * - Paid repair: REPAIR_COST_RATIO of the gold and wood cost per full health bar
  * - Automatic upgrade application to existing units
- * - Defensive tower AI (Guard Tower)
+ * - Defensive tower AI: alliance-aware, circular range, prioritised targets
+ * - Tower focus fire (player picks the target) and stop
+ * - Upgrades to another building type (Keep, Arrow/Cannon Tower)
  * - Food capacity provision (Farm)
+ * - Resource drop-off points (stats.dropOff lists the accepted resources)
+ * - Finite gold in mines (collapse when empty)
+ * - Footprint blocks pathfinding from placement (blueprints too) until destroyed
+ * - Reports training, research and destruction on the event bus
  * 
  * Building Types:
  * - Town Hall/Keep: Trains peasants, provides food capacity
  * - Barracks: Trains military units
  * - Farm: Provides food capacity for unit production
- * - Lumber Mill: Wood gathering drop-off point
+ * - Lumber Mill: Wood drop-off point, researches gathering upgrades
+ * - Mining Camp: Gold and stone drop-off point
  * - Blacksmith: Research attack/defense upgrades
- * - Guard Tower: Defensive structure with auto-attack
- * - Gold Mine: Resource gathering point (neutral)
+ * - Guard Tower: Defensive structure that fires bolts at nearby enemies
+ * - Arrow Tower / Cannon Tower: Guard Tower upgrades (faster bolts / siege cannonballs)
+ * - Gold Mine: Resource gathering point (neutral), holds goldAmount gold
  */
 
-import Entity from './Entity.js';
+import Entity, { defineEntityReference } from './Entity.js';
 import { BUILDING_STATS, UNIT_STATS, FACTIONS, UPGRADES } from '../config/entityStats.js';
-import { gameState, units, buildings } from '../core/GameState.js';
-import { logGameMessage } from '../utils/Logger.js';
-import { updateResourcesUI, updateSelectionPanel } from '../ui/UIManager.js';
-import { soundManager } from '../systems/SoundManager.js';
+import { gameState, units, buildings, spatialHash, pathfinder, allianceSystem, canAfford, spendResources, addResources, RESOURCE_TYPES } from '../core/GameState.js';
+import { eventBus, GAME_EVENTS } from '../core/EventBus.js';
+import { entityRegistry } from '../core/EntityRegistry.js';
+import { projectileSystem, getEntityCenter } from '../systems/ProjectileSystem.js';
 import Unit from './Unit.js';
 
+// Each extra builder (or repairer) working on a building in the same tick adds this much less (100%, 60%, 36%, ...)
+const ASSIST_EFFICIENCY = 0.6;
+
+// Repairing a building from 0 to full health costs this share of its gold and wood
+const REPAIR_COST_RATIO = 0.3;
+
+// Share of the cost returned when a construction site is cancelled
+const CANCEL_REFUND = 0.75;
+
+// Tower target order, lowest first (ties go to the nearest enemy)
+const TOWER_TARGET_PRIORITY = {
+    BUILDING_ATTACKER: 0, // Attacking a friendly or allied building
+    UNIT_ATTACKER: 1, // Attacking a friendly or allied unit
+    UNIT: 2,
+    BUILDING: 3
+};
+
+// Spatial hash positions are top-left corners, so tower queries reach this much further
+const MAX_BUILDING_SIZE = Math.max(...Object.values(BUILDING_STATS).map(stats => stats.size));
+
 /**
  * @class Building
  * @extends Entity
@@ -41,13 +72,23 @@ import Unit from './Unit.js';
  */
 export default class Building extends Entity {
     constructor(x, y, faction, type, isBlueprint = false) {
-        super(x, y, faction, BUILDING_STATS[type]);
-        this.type = type;
+        super(x, y, faction, type, BUILDING_STATS[type]);
         this.size = this.stats.size;
         this.isBlueprint = isBlueprint;
+        this.constructionProgress = 0; // Builder ticks of work done on a blueprint
+        this.constructionTick = null; // Tick of the last work, with buildersThisTick
+        this.buildersThisTick = 0;
+        this.repairDebt = { gold: 0, wood: 0 }; // Fractions of repair cost not charged yet
+        if (isBlueprint) this.health = 1; // Grows with construction
         this.trainingQueue = [];
         this.trainingProgress = 0;
-        this.attackCooldown = 0; // For Guard Tower
+        this.attackCooldown = 0; // For towers
+        this.focusTarget = null; // Tower focus fire (player order)
+        if (this.stats.goldAmount) this.goldRemaining = this.stats.goldAmount; // For Gold Mine
+
+        // Units walk around the footprint (buildings created while generating a map are
+        // added when its pathfinder is set up, see Pathfinder.setBuildings)
+        if (pathfinder) pathfinder.addBuilding(this);
 
         // Update food capacity if not a blueprint
         if (!this.isBlueprint && this.stats.foodCapacity) {
@@ -58,14 +99,43 @@ export default class Building extends Entity {
 
             if (this.faction === FACTIONS.PLAYER.id) {
                 gameState.resources.foodMax = gameState.factionResources[this.faction].foodMax;
-                updateResourcesUI();
             }
+            eventBus.emit(GAME_EVENTS.RESOURCES_CHANGED, { faction: this.faction });
+        }
+    }
+
+    /**
+     * @param {string} resourceType - 'gold', 'wood' or 'stone'
+     * @returns {boolean} True if gatherers can deposit this resource here
+     */
+    acceptsResource(resourceType) {
+        return !this.isBlueprint && !this.isDead && !!this.stats.dropOff?.includes(resourceType);
+    }
+
+    /**
+     * Take gold out of a mine; the mine collapses once it runs dry
+     * @param {number} amount - Wanted amount
+     * @returns {number} Gold actually mined
+     */
+    mineGold(amount) {
+        const mined = Math.min(amount, this.goldRemaining);
+        this.goldRemaining -= mined;
+
+        if (this.goldRemaining <= 0 && !this.isDead) {
+            console.log(`⛏️ Gold mine at (${this.x}, ${this.y}) collapsed`);
+            this.die();
         }
+        return mined;
     }
 
-    die() {
+    /**
+     * @param {Entity} killer - Entity that destroyed the building (null if removed otherwise)
+     */
+    die(killer = null) {
         super.die();
-        if (this.stats.foodCapacity) {
+        if (pathfinder) pathfinder.removeBuilding(this);
+        eventBus.emit(GAME_EVENTS.BUILDING_DESTROYED, { building: this, killer });
+        if (this.stats.foodCapacity && !this.isBlueprint) {
             if (gameState.factionResources[this.faction]) {
                 gameState.factionResources[this.faction].foodMax -= this.stats.foodCapacity;
                 // Prevent negative food max (safety, though base is 5)
@@ -76,8 +146,8 @@ export default class Building extends Entity {
 
             if (this.faction === FACTIONS.PLAYER.id) {
                 gameState.resources.foodMax = gameState.factionResources[this.faction].foodMax;
-                updateResourcesUI();
             }
+            eventBus.emit(GAME_EVENTS.RESOURCES_CHANGED, { faction: this.faction });
         }
     }
 
@@ -97,32 +167,209 @@ export default class Building extends Entity {
             }
         }
 
-        // Guard Tower Attack Logic
+        // Tower Attack Logic
         if (this.stats.attack) {
             if (this.attackCooldown > 0) this.attackCooldown--;
             else {
-                // Find target
-                const range = this.stats.range;
-                const target = units.find(u =>
-                    !u.isDead &&
-                    u.faction !== this.faction &&
-                    u.faction !== FACTIONS.NEUTRAL.id && // Towers don't attack neutral gold mines
-                    Math.abs(u.x - this.x) <= range &&
-                    Math.abs(u.y - this.y) <= range
-                );
-
+                const target = this.findTowerTarget();
                 if (target) {
                     this.attackCooldown = this.stats.attackCooldown;
-                    target.health -= this.stats.attack;
-                    if (target.health <= 0) {
-                        target.die();
-                        logGameMessage(`${this.stats.name} eliminated an enemy!`);
-                    }
+                    projectileSystem.fire(this, target);
                 }
             }
         }
     }
 
+    /**
+     * @returns {number} Ticks of work a single builder needs to finish this building
+     */
+    getConstructionFrames() {
+        return (this.stats.buildTime || 30) * 30; // buildTime in seconds * 30 ticks/second
+    }
+
+    /**
+     * @returns {number} How much the next builder or repairer adds this tick
+     * (1 for the first, ASSIST_EFFICIENCY times less for each one after it)
+     */
+    takeWorkerShare() {
+        if (this.constructionTick !== gameState.gameTime) {
+            this.constructionTick = gameState.gameTime;
+            this.buildersThisTick = 0;
+        }
+        return Math.pow(ASSIST_EFFICIENCY, this.buildersThisTick++);
+    }
+
+    /**
+     * A builder's work on this blueprint for the current tick. Several builders
+     * can work at once; each one after the first adds ASSIST_EFFICIENCY times less.
+     * @param {Unit} builder
+     */
+    construct(builder) {
+        if (!this.isBlueprint || this.isDead) return;
+
+        const work = this.takeWorkerShare();
+        const totalFrames = this.getConstructionFrames();
+
+        this.constructionProgress = Math.min(totalFrames, this.constructionProgress + work);
+        this.health = Math.min(this.maxHealth, this.health + this.maxHealth * work / totalFrames);
+
+        if (this.constructionProgress >= totalFrames) this.completeConstruction(builder);
+    }
+
+    /**
+     * @param {Unit} builder - Peasant that finished the work
+     */
+    completeConstruction(builder) {
+        this.isBlueprint = false;
+        this.health = this.maxHealth;
+
+        // Update food capacity for the faction
+        if (this.stats.foodCapacity) {
+            if (!gameState.factionResources[this.faction]) {
+                gameState.factionResources[this.faction] = { gold: 0, wood: 0, stone: 0, foodUsed: 0, foodMax: 5 };
+            }
+            gameState.factionResources[this.faction].foodMax += this.stats.foodCapacity;
+
+            if (this.faction === FACTIONS.PLAYER.id) {
+                gameState.resources.foodMax = gameState.factionResources[this.faction].foodMax;
+            }
+            eventBus.emit(GAME_EVENTS.RESOURCES_CHANGED, { faction: this.faction });
+        }
+
+        eventBus.emit(GAME_EVENTS.BUILDING_COMPLETED, { building: this, builder });
+    }
+
+    /**
+     * @param {number} hp - Health to restore
+     * @returns {{ gold: number, wood: number }} Repair cost (fractional)
+     */
+    getRepairCost(hp) {
+        const share = REPAIR_COST_RATIO * hp / this.maxHealth;
+        return { gold: (this.stats.cost.gold || 0) * share, wood: (this.stats.cost.wood || 0) * share };
+    }
+
+    /**
+     * @returns {boolean} True if the owner can pay for at least a little repair
+     */
+    canAffordRepair() {
+        const cost = this.getRepairCost(1);
+        return canAfford(this.faction, { gold: Math.ceil(cost.gold), wood: Math.ceil(cost.wood) });
+    }
+
+    /**
+     * A repairer's work for the current tick: restores health at the
+     * construction rate (shared like construct()) and charges the owner for it.
+     * Whole resources are charged; the fractions carry over in repairDebt.
+     * @returns {boolean} False if the owner cannot pay (nothing repaired)
+     */
+    repair() {
+        if (this.isBlueprint || this.isDead || this.health >= this.maxHealth) return false;
+
+        const hp = Math.min(this.maxHealth - this.health, this.maxHealth * this.takeWorkerShare() / this.getConstructionFrames());
+        const cost = this.getRepairCost(hp);
+        const owed = { gold: this.repairDebt.gold + cost.gold, wood: this.repairDebt.wood + cost.wood };
+        const charge = { gold: Math.floor(owed.gold), wood: Math.floor(owed.wood) };
+
+        if (!spendResources(this.faction, charge)) return false;
+        if (charge.gold || charge.wood) eventBus.emit(GAME_EVENTS.RESOURCES_CHANGED, { faction: this.faction });
+
+        this.repairDebt = { gold: owed.gold - charge.gold, wood: owed.wood - charge.wood };
+        this.health = Math.min(this.maxHealth, this.health + hp);
+        return true;
+    }
+
+    /**
+     * Tear down a construction site and get CANCEL_REFUND of its cost back
+     */
+    cancelConstruction() {
+        if (!this.isBlueprint || this.isDead) return;
+
+        const cost = this.stats.cost;
+        RESOURCE_TYPES.forEach(type => {
+            if (cost[type]) addResources(this.faction, type, Math.floor(cost[type] * CANCEL_REFUND));
+        });
+        eventBus.emit(GAME_EVENTS.RESOURCES_CHANGED, { faction: this.faction });
+        this.die();
+    }
+
+    /**
+     * Pick what a tower shoots at: its focus target while that is in range,
+     * otherwise the enemy with the best TOWER_TARGET_PRIORITY
+     * @returns {Entity|null}
+     */
+    findTowerTarget() {
+        const focus = this.focusTarget;
+        if (focus && !focus.isDead && this.isInTowerRange(focus)) return focus;
+        if (!spatialHash) return null;
+
+        const center = getEntityCenter(this);
+        const reach = this.stats.range + this.size / 2 + MAX_BUILDING_SIZE;
+        const enemies = spatialHash.queryEnemies(center.x, center.y, reach, this.faction, allianceSystem, FACTIONS.NEUTRAL.id);
+
+        let best = null;
+        let bestPriority = Infinity;
+        let bestDistance = Infinity;
+        enemies.forEach(enemy => {
+            if (!this.isInTowerRange(enemy)) return;
+
+            const priority = this.getTowerTargetPriority(enemy);
+            const distance = this.distanceToCenter(enemy);
+            // Entity ID breaks ties so the choice does not depend on spatial hash order
+            if (priority < bestPriority ||
+                (priority === bestPriority && (distance < bestDistance || (distance === bestDistance && enemy.id < best.id)))) {
+                best = enemy;
+                bestPriority = priority;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * @param {Entity} enemy
+     * @returns {number} One of TOWER_TARGET_PRIORITY
+     */
+    getTowerTargetPriority(enemy) {
+        if (enemy instanceof Building) return TOWER_TARGET_PRIORITY.BUILDING;
+
+        const victim = enemy.targetEntity;
+        if (victim && !victim.isDead && allianceSystem.areAllies(this.faction, victim.faction)) {
+            return victim instanceof Building ? TOWER_TARGET_PRIORITY.BUILDING_ATTACKER : TOWER_TARGET_PRIORITY.UNIT_ATTACKER;
+        }
+        return TOWER_TARGET_PRIORITY.UNIT;
+    }
+
+    /**
+     * Range is a circle counted from the tower's edge; buildings are in range
+     * once roughly their nearest tile is
+     * @param {Entity} target
+     */
+    isInTowerRange(target) {
+        return this.distanceToCenter(target) <= this.stats.range + this.size / 2 + ((target.size || 1) - 1) / 2;
+    }
+
+    distanceToCenter(target) {
+        const from = getEntityCenter(this);
+        const to = getEntityCenter(target);
+        return Math.hypot(to.x - from.x, to.y - from.y);
+    }
+
+    /**
+     * Tower focus fire: shoot this target whenever it is in range (until it dies or stopAttack)
+     * @param {Entity} target
+     */
+    focusFire(target) {
+        if (!this.stats.attack || target.faction === FACTIONS.NEUTRAL.id || !allianceSystem.areEnemies(this.faction, target.faction)) return;
+        this.focusTarget = target;
+    }
+
+    /**
+     * Drop the focus target and go back to picking targets automatically
+     */
+    stopAttack() {
+        this.focusTarget = null;
+    }
+
     spawnUnit(unitType) {
         // Spawn slightly outside the building
         const newUnit = new Unit(this.x + this.size, this.y + this.size, this.faction, unitType);
@@ -136,11 +383,10 @@ export default class Building extends Entity {
 
         if (this.faction === FACTIONS.PLAYER.id) {
             gameState.resources.foodUsed = gameState.factionResources[this.faction].foodUsed;
-            updateResourcesUI();
-            soundManager.play('build_complete');
         }
 
-        logGameMessage(`${newUnit.stats.name} trained at ${this.stats.name}.`);
+        eventBus.emit(GAME_EVENTS.RESOURCES_CHANGED, { faction: this.faction });
+        eventBus.emit(GAME_EVENTS.UNIT_TRAINED, { unit: newUnit, building: this });
     }
 
     trainUnit(unitType) {
@@ -153,60 +399,46 @@ export default class Building extends Entity {
         const resources = gameState.factionResources[this.faction];
 
         if (resources.foodUsed + unitStats.cost.food > resources.foodMax) {
-            if (this.faction === FACTIONS.PLAYER.id) logGameMessage("Not enough food capacity!");
+            eventBus.emit(GAME_EVENTS.ACTION_FAILED, { faction: this.faction, message: "Not enough food capacity!" });
             return;
         }
 
-        // Safe wood cost check (handle undefined or 0)
-        const woodCost = unitStats.cost.wood || 0;
-        if (resources.gold < unitStats.cost.gold || resources.wood < woodCost) {
-            if (this.faction === FACTIONS.PLAYER.id) logGameMessage("Not enough resources!");
+        if (!spendResources(this.faction, unitStats.cost)) {
+            eventBus.emit(GAME_EVENTS.ACTION_FAILED, { faction: this.faction, message: "Not enough resources!" });
             return;
         }
-
-        resources.gold -= unitStats.cost.gold;
-        resources.wood -= woodCost; // Always deduct wood (even if 0)
-
-        if (this.faction === FACTIONS.PLAYER.id) {
-            gameState.resources.gold = resources.gold;
-            gameState.resources.wood = resources.wood;
-            updateResourcesUI();
-        }
+        eventBus.emit(GAME_EVENTS.RESOURCES_CHANGED, { faction: this.faction });
 
         this.trainingQueue.push(unitType);
         if (this.trainingQueue.length === 1) this.trainingProgress = 0;
     }
 
-    upgrade() {
-        if (!this.stats.upgradeTo) return;
-        const upgradeType = this.stats.upgradeTo;
+    /**
+     * @returns {Array<string>} Building types this building can be upgraded to
+     */
+    getUpgradeOptions() {
+        return [].concat(this.stats.upgradeTo || []);
+    }
+
+    /**
+     * @param {string} upgradeType - One of getUpgradeOptions() (defaults to the first)
+     */
+    upgrade(upgradeType = this.getUpgradeOptions()[0]) {
+        if (this.isBlueprint || !this.getUpgradeOptions().includes(upgradeType)) return;
         const upgradeStats = BUILDING_STATS[upgradeType];
 
         // Check resources for THIS faction
-        if (!gameState.factionResources[this.faction]) {
-            gameState.factionResources[this.faction] = { gold: 0, wood: 0, stone: 0, foodUsed: 0, foodMax: 5 };
-        }
-        const resources = gameState.factionResources[this.faction];
+        if (spendResources(this.faction, upgradeStats.cost)) {
+            eventBus.emit(GAME_EVENTS.RESOURCES_CHANGED, { faction: this.faction });
 
-        if (resources.gold >= upgradeStats.cost.gold && resources.wood >= upgradeStats.cost.wood) {
-            resources.gold -= upgradeStats.cost.gold;
-            resources.wood -= upgradeStats.cost.wood;
-
-            if (this.faction === FACTIONS.PLAYER.id) {
-                gameState.resources.gold = resources.gold;
-                gameState.resources.wood = resources.wood;
-                updateResourcesUI();
-            }
-
-            this.type = upgradeType;
+            entityRegistry.setType(this, upgradeType);
             this.stats = upgradeStats;
             this.health = this.stats.maxHealth; // Heal on upgrade
             this.maxHealth = this.stats.maxHealth;
 
-            logGameMessage(`Upgraded to ${this.stats.name}!`);
-            updateSelectionPanel(); // Refresh UI
+            eventBus.emit(GAME_EVENTS.BUILDING_UPGRADED, { building: this });
         } else {
-            logGameMessage("Not enough resources to upgrade!");
+            eventBus.emit(GAME_EVENTS.ACTION_FAILED, { faction: this.faction, message: "Not enough resources to upgrade!" });
         }
     }
 
@@ -216,25 +448,16 @@ export default class Building extends Entity {
 
         // Check if already researched
         if (gameState.factionUpgrades[this.faction].includes(upgradeId)) {
-            logGameMessage("Already researched!");
+            eventBus.emit(GAME_EVENTS.ACTION_FAILED, { faction: this.faction, message: "Already researched!" });
             return;
         }
 
         // Check resources
-        const resources = gameState.factionResources[this.faction];
-        if (resources.gold >= upgrade.cost.gold && resources.wood >= upgrade.cost.wood) {
-            resources.gold -= upgrade.cost.gold;
-            resources.wood -= upgrade.cost.wood;
-
-            if (this.faction === FACTIONS.PLAYER.id) {
-                gameState.resources.gold = resources.gold;
-                gameState.resources.wood = resources.wood;
-                updateResourcesUI();
-            }
+        if (spendResources(this.faction, upgrade.cost)) {
+            eventBus.emit(GAME_EVENTS.RESOURCES_CHANGED, { faction: this.faction });
 
             // Apply Upgrade
             gameState.factionUpgrades[this.faction].push(upgradeId);
-            logGameMessage(`Researched ${upgrade.name}!`);
 
             // Apply to existing units
             units.filter(u => !u.isDead && u.faction === this.faction).forEach(u => {
@@ -245,12 +468,18 @@ export default class Building extends Entity {
                         u.maxHealth = u.stats.maxHealth;
                         u.health += effect[key]; // Heal the difference
                     }
+                    if (key === 'maxCargo') {
+                        u.maxCargo = u.stats.maxCargo;
+                    }
                 }
             });
 
-            updateSelectionPanel();
+            eventBus.emit(GAME_EVENTS.RESEARCH_COMPLETED, { building: this, faction: this.faction, upgradeId });
         } else {
-            logGameMessage("Not enough resources for research!");
+            eventBus.emit(GAME_EVENTS.ACTION_FAILED, { faction: this.faction, message: "Not enough resources for research!" });
         }
     }
 }
+
+// Kept as an entity ID (see Entity.defineEntityReference)
+defineEntityReference(Building.prototype, 'focusTarget');
@@ -5,6 +5,9 @@
  * This module defines the base Entity class that is extended by Unit and Building.
  * 
  * Key Features:
+ * - Sequential numeric IDs (stable across replays of the same seed)
+ * - Registered in the EntityRegistry for lookup by ID, faction and type
+ * - ID-backed entity references (defineEntityReference)
  * - Position and faction management
  * - Health tracking and display
  * - Selection state
@@ -15,6 +18,46 @@
  */
 
 import { spatialHash } from '../core/GameState.js';
+import { entityRegistry } from '../core/EntityRegistry.js';
+
+let nextEntityId = 1;
+
+/**
+ * Restart ID assignment (new match, replay restart or loaded save)
+ * @param {number} next - ID given to the next created entity
+ */
+export function resetEntityIds(next = 1) {
+    nextEntityId = next;
+}
+
+export function getNextEntityId() {
+    return nextEntityId;
+}
+
+/**
+ * Turn a property into a reference stored by entity ID
+ *
+ * The property reads and writes entities as before, but only the ID is kept
+ * (in `<name>Ref`) and resolved through the EntityRegistry, so the reference
+ * survives save/load and resolves to null once the entity has been removed.
+ * Non-entity values (e.g. a tree tile position) are stored as they are.
+ *
+ * @param {Object} prototype - Class prototype to define the property on
+ * @param {string} name - Property name (e.g. 'targetEntity')
+ */
+export function defineEntityReference(prototype, name) {
+    const key = `${name}Ref`;
+    Object.defineProperty(prototype, name, {
+        get() {
+            const ref = this[key];
+            return typeof ref === 'number' ? entityRegistry.get(ref) : (ref ?? null);
+        },
+        set(value) {
+            this[key] = value instanceof Entity ? value.id : value;
+        },
+        configurable: true
+    });
+}
 
 /**
  * @class Entity
@@ -25,20 +68,23 @@ import { spatialHash } from '../core/GameState.js';
  * - Faction ownership
  * - Health management
  * - Selection state
- * - Spatial hash registration
+ * - Spatial hash and entity registry registration
  * - Death state and cleanup
  */
 export default class Entity {
-    constructor(x, y, faction, stats) {
+    constructor(x, y, faction, type, stats) {
+        this.id = nextEntityId++;
         this.x = x;
         this.y = y;
         this.faction = faction;
+        this.type = type;
         this.stats = stats;
         this.health = stats.maxHealth;
         this.maxHealth = stats.maxHealth;
         this.selected = false;
         this.isDead = false;
         if (spatialHash) spatialHash.insert(this);
+        entityRegistry.add(this);
     }
 
     die() {
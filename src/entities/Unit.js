@@ -5,36 +5,76 @@
  * This module manages all unit behavior including:
  * - Movement with A* pathfinding
  * - Combat and attack logic
- * - Resource gathering (gold from mines, wood from trees)
- * - Building construction (for peasants)
+ * - Resource gathering (gold from mines, wood from trees, stone from quarries)
+ * - Building construction and road paving (for peasants)
  * - Upgrade application
+ * - Order queue (shift-queued move/attack/attack-move/gather/build/patrol/repair/guard/follow/cast)
+ * - Stop and hold position (attack only what comes into range, never move)
+ * - Abilities paid with mana or energy (systems/AbilitySystem.js, config/abilities.js)
  * 
  * Key Features:
- * - A* pathfinding for intelligent movement
+ * - A* pathfinding for intelligent movement; units of a large group move follow the
+ *   group's shared flow field instead (flowGoal)
+ * - Paths are requested (systems/PathService.js) and arrive on a later tick; meanwhile
+ *   the unit walks straight towards its target
  * - Automatic attack targeting and cooldown management
- * - Resource gathering cycle (gather -> return to town hall -> repeat)
- * - Building construction with progress tracking
+ * - Damage by attack type vs armor class (systems/DamageSystem.js)
+ * - Archers shoot arrows that can miss a moving target (systems/ProjectileSystem.js)
+ * - Resource gathering cycle (gather -> return to the nearest drop-off -> repeat), moving on to
+ *   the next tree or rock when one is used up
+ * - Building construction; several peasants can work on one site (progress is kept on the Building)
+ * - Paid repair of damaged buildings, optionally automatic (autoRepair) for idle peasants
+ * - Roads paved tile by tile along a straight line (paid per tile, see TILES.ROAD)
+ * - Terrain speed: units move faster on roads and slower through fords and thickets (TILES speed)
  * - Dynamic stat modification through upgrades
  * - Spatial hash integration for efficient collision detection
  * - Visual feedback via Particle System (combat effects)
+ * - Reports combat, construction and gathering on the event bus
  * 
  * Unit Types:
- * - Peasant: Gathers resources and constructs buildings
+ * - Peasant: Gathers resources, constructs buildings and paves roads
  * - Soldier: Basic melee combat unit
- * - Archer: Ranged combat unit
- * - Knight: Heavy melee unit
+ * - Archer: Ranged combat unit (volley)
+ * - Knight: Heavy melee unit (charge)
+ * - Priest: Heals friendly units
  */
 
-import Entity from './Entity.js';
-import { UNIT_STATS, BUILDING_STATS, UPGRADES, FACTIONS } from '../config/entityStats.js';
-import { gameState, spatialHash, pathfinder, buildings, units, map, allianceSystem } from '../core/GameState.js';
+import Entity, { defineEntityReference } from './Entity.js';
+import { UNIT_STATS, BUILDING_STATS, UPGRADES, FACTIONS, TILES } from '../config/entityStats.js';
+import { gameState, spatialHash, pathfinder, buildings, units, map, allianceSystem, spendResources, addResources, harvestTile, setTile } from '../core/GameState.js';
+import { entityRegistry } from '../core/EntityRegistry.js';
 import { MAP_WIDTH, MAP_HEIGHT, TILE_SIZE } from '../config/constants.js';
-import { logGameMessage } from '../utils/Logger.js';
-import { updateResourcesUI, updateSelectionPanel } from '../ui/UIManager.js';
-import { soundManager } from '../systems/SoundManager.js';
-import { renderer, updateTileRenderer } from '../rendering/Renderer.js';
+import { eventBus, GAME_EVENTS } from '../core/EventBus.js';
+import { COMMANDS, findEntityById } from '../core/Commands.js';
+import { calculateDamage, applyDamage } from '../systems/DamageSystem.js';
+import { projectileSystem, getEntityCenter } from '../systems/ProjectileSystem.js';
+import { cast, canCast, isValidTarget, isInCastRange, updateAbilities, getSpeedMultiplier, consumeAttackBonus } from '../systems/AbilitySystem.js';
+import { ABILITIES } from '../config/abilities.js';
+import { pathService, PATH_PRIORITY } from '../systems/PathService.js';
+import { renderer } from '../rendering/Renderer.js';
 import Building from './Building.js';
 
+// Tiles that hold each tile-based resource, and how far a gatherer looks for
+// another one when its tree is cut down
+const RESOURCE_TILES = { wood: TILES.TREE.id, stone: TILES.STONE.id };
+const NEXT_RESOURCE_RADIUS = 6;
+
+// Guard and follow: how close to stay (tiles from the target's edge), and how
+// far from the guarded entity its attackers are chased
+const GUARD_DISTANCE = 3;
+const GUARD_CHASE_RANGE = 8;
+const FOLLOW_DISTANCE = 1.5;
+
+// Auto-repair: idle peasants look this far for damaged buildings, once per interval (ticks)
+const AUTO_REPAIR_RANGE = 8;
+const AUTO_REPAIR_SCAN_INTERVAL = 30;
+
+// Longest road (in tiles) a single order paves
+const ROAD_MAX_LENGTH = 12;
+
+// Priority of the path requests made right now: orders being started go first
+let pathPriority = PATH_PRIORITY.ROUTINE;
+
 /**
  * @class Unit
  * @extends Entity
@@ -42,8 +82,7 @@ import Building from './Building.js';
  */
 export default class Unit extends Entity {
     constructor(x, y, faction, type) {
-        super(x, y, faction, UNIT_STATS[type]);
-        this.type = type;
+        super(x, y, faction, type, UNIT_STATS[type]);
         // Clone stats to allow modification
         this.stats = { ...UNIT_STATS[type] };
 
@@ -68,9 +107,9 @@ export default class Unit extends Entity {
 
         // Resource Gathering
         this.isGathering = false;
-        this.resourceType = null; // 'gold', 'wood'
+        this.resourceType = null; // 'gold', 'wood', 'stone'
         this.cargo = 0;
-        this.maxCargo = 100;
+        this.maxCargo = this.stats.maxCargo || 0; // Raised by lumber mill research
         this.gatherTarget = null;
         this.returnTarget = null;
         this.gatherTimer = 0;
@@ -79,10 +118,31 @@ export default class Unit extends Entity {
         this.isBuilding = false;
         this.buildTarget = null;
 
+        // Repair
+        this.isRepairing = false;
+        this.repairTarget = null;
+        this.autoRepair = false; // Idle peasant repairs damaged buildings nearby by itself
+
+        // Road
+        this.roadPlan = null; // Tiles still to pave, in order ([{ x, y }])
+        this.roadTimer = 0; // Ticks of work on the first of them
+
+        // Abilities (pools start full)
+        this.maxMana = this.stats.maxMana || 0;
+        this.mana = this.maxMana;
+        this.maxEnergy = this.stats.maxEnergy || 0;
+        this.energy = this.maxEnergy;
+        this.abilityCooldowns = {}; // abilityId -> ticks left
+        this.buffs = []; // Temporary effects ({ abilityId, ticks, speedMultiplier?, bonusAttack? })
+        this.castAbilityId = null; // Targeted ability waiting for castTarget to come into range
+        this.castTarget = null;
+
         // Pathfinding
         this.path = [];
         this.pathIndex = 0;
         this.repathTimer = 0;
+        this.flowGoal = null; // Destination tile of the group move this unit is part of (flow field)
+        this.pathRequest = null; // Path asked for and not received yet ({ seq, priority, repath }, systems/PathService.js)
 
         // Smart Commands
         this.isPatrolling = false;
@@ -90,6 +150,13 @@ export default class Unit extends Entity {
         this.patrolEnd = null;
         this.holdPosition = false;
         this.scanForEnemies = false;
+        this.isAttackMoving = false;
+        this.attackMoveTarget = null;
+        this.guardTarget = null;
+        this.followTarget = null;
+
+        // Orders waiting for the current one to finish ({ type, x, y, targetId, ... })
+        this.orderQueue = [];
 
         // New Features Initialization
         this.leashPoint = { x, y };
@@ -115,9 +182,10 @@ export default class Unit extends Entity {
         if (this.attackCooldown > 0) this.attackCooldown--;
         if (this.repathTimer > 0) this.repathTimer--;
         if (this.pathValidationTimer > 0) this.pathValidationTimer--;
+        updateAbilities(this); // Mana/energy, ability cooldowns and buffs
 
-        // 2. Path Validation
-        if (this.isMoving && this.pathValidationTimer === 0) {
+        // 2. Path Validation (not while waiting for a new path)
+        if (this.isMoving && !this.pathRequest && this.pathValidationTimer === 0) {
             if (!this.isPathValid()) {
                 this.repath();
             }
@@ -132,7 +200,11 @@ export default class Unit extends Entity {
         // 4. Auto-Acquire Targets
         // Improved: AI units can auto-acquire even while moving
         if (!this.targetEntity && this.shouldAutoAcquire()) {
-            if (this.stance === 'aggressive' || this.stance === 'defensive') {
+            if (this.holdPosition) {
+                // Hold position: only fight what is already in range
+                const enemy = this.findNearestEnemy();
+                if (enemy && this.isInAttackRange(enemy)) this.targetEntity = enemy;
+            } else if (this.stance === 'aggressive' || this.stance === 'defensive') {
                 const enemy = this.findNearestEnemy();
                 if (enemy) {
                     const dist = Math.sqrt(
@@ -157,37 +229,336 @@ export default class Unit extends Entity {
         // AI units should attack even while moving (for responsiveness)
         // Player units only attack when idle
         const canAttack = this.faction !== FACTIONS.PLAYER.id ?
-            (!this.isGathering && !this.isBuilding) :
-            (!this.isMoving && !this.isGathering && !this.isBuilding);
+            (!this.isGathering && !this.isBuilding && !this.isRepairing) :
+            (!this.isMoving && !this.isGathering && !this.isBuilding && !this.isRepairing);
 
         if (this.targetEntity && canAttack) {
             this.engageTarget();
         }
 
-        // 6. Building Logic (Peasant only)
+        // 6. Building, Repair and Road Logic (Peasant only)
         if (this.isBuilding && this.buildTarget) {
             this.build();
         }
+        if (this.isRepairing) {
+            this.updateRepair();
+        }
+        if (this.roadPlan) {
+            this.updateRoad();
+        }
 
         // 7. Gathering Logic (Peasant only)
         if (this.isGathering) {
             this.gatherResource();
         }
 
-        // 8. Smart Commands (Patrol)
-        if (this.isPatrolling && !this.isMoving && !this.targetEntity) {
+        // 8. Smart Commands (Patrol: like attack-move, fight anything met on the route)
+        if (this.isPatrolling && !this.targetEntity && !this.engageNearbyEnemy() && !this.isMoving) {
             // Reached patrol end, go back to start
             const atEnd = Math.abs(this.x - this.patrolEnd.x) < 1 &&
                 Math.abs(this.y - this.patrolEnd.y) < 1;
             const atStart = Math.abs(this.x - this.patrolStart.x) < 1 &&
                 Math.abs(this.y - this.patrolStart.y) < 1;
 
-            if (atEnd) {
+            if ((atEnd || atStart) && this.orderQueue.length > 0) {
+                // Patrol never ends by itself: hand over to the next queued order
+                this.isPatrolling = false;
+            } else if (atEnd) {
                 this.moveTo(this.patrolStart.x, this.patrolStart.y);
             } else if (atStart) {
                 this.moveTo(this.patrolEnd.x, this.patrolEnd.y);
+            } else if (this.repathTimer === 0) {
+                // Pulled off the route (e.g. by a fight), resume it
+                this.moveTo(this.patrolEnd.x, this.patrolEnd.y);
+                this.repathTimer = 30;
             }
         }
+
+        // 9. Attack-Move: fight anything met on the way, then continue
+        if (this.isAttackMoving && !this.targetEntity) {
+            this.updateAttackMove();
+        }
+
+        // 10. Guard / Follow
+        if (this.guardTarget) this.updateGuard();
+        if (this.followTarget) this.updateFollow();
+
+        // 11. Order Queue
+        if (this.orderQueue.length > 0 && this.isIdle()) {
+            this.executeOrder(this.orderQueue.shift());
+        }
+
+        // 12. Auto-Repair (staggered by ID so peasants do not all scan on the same tick)
+        if (this.autoRepair && this.isIdle() && gameState.gameTime % AUTO_REPAIR_SCAN_INTERVAL === this.id % AUTO_REPAIR_SCAN_INTERVAL) {
+            const building = this.findBuildingToRepair();
+            if (building) this.startRepair(building);
+        }
+
+        // 13. Ability Casting (walk into range of the target first)
+        if (this.castAbilityId) {
+            this.updateCast();
+        }
+    }
+
+    /**
+     * @returns {boolean} True if the unit has finished its current order
+     */
+    isIdle() {
+        return !this.isMoving && !this.targetEntity && !this.isBuilding && !this.isRepairing && !this.roadPlan &&
+            !this.isGathering && !this.isPatrolling && !this.isAttackMoving &&
+            !this.guardTarget && !this.followTarget && !this.castAbilityId;
+    }
+
+    // --- Orders ---
+
+    /**
+     * Give the unit an order
+     * @param {Object} order - { type (COMMANDS), x, y, targetId, resource, buildingType, abilityId }
+     * @param {boolean} queued - Append after the current orders instead of replacing them
+     */
+    issueOrder(order, queued = false) {
+        if (queued && (!this.isIdle() || this.orderQueue.length > 0)) {
+            this.orderQueue.push(order);
+            return;
+        }
+
+        this.orderQueue = [];
+        this.executeOrder(order);
+    }
+
+    /**
+     * Start carrying out an order, replacing the current activity
+     * @param {Object} order - See issueOrder()
+     */
+    executeOrder(order) {
+        pathPriority = PATH_PRIORITY.ORDER;
+        this.startOrder(order);
+        pathPriority = PATH_PRIORITY.ROUTINE;
+    }
+
+    startOrder(order) {
+        const target = findEntityById(order.targetId);
+
+        this.isPatrolling = false;
+        this.isAttackMoving = false;
+        this.guardTarget = null;
+        this.followTarget = null;
+        this.castAbilityId = null;
+        this.castTarget = null;
+        this.roadPlan = null;
+        if (order.type !== COMMANDS.REPAIR) this.stopRepair();
+        if (order.type !== COMMANDS.GATHER) this.stopGathering();
+        if (order.type !== COMMANDS.BUILD) this.stopBuilding();
+        this.holdPosition = this.stance === 'hold';
+
+        switch (order.type) {
+            case COMMANDS.MOVE:
+            case COMMANDS.ATTACK:
+                // A target that died in the meantime leaves a plain move
+                this.moveTo(order.x, order.y, target, order.flowGoal);
+                break;
+
+            case COMMANDS.ATTACK_MOVE:
+                this.attackMove(order.x, order.y, order.flowGoal);
+                break;
+
+            case COMMANDS.GATHER:
+                if (order.resource === 'gold' && !target) return;
+                this.startGathering(order.resource, order.x, order.y, target);
+                break;
+
+            case COMMANDS.BUILD:
+                // With a targetId: help with (or resume) an existing construction site
+                if (order.targetId !== undefined) {
+                    if (target) this.assistBuilding(target);
+                } else {
+                    this.startBuilding(order.buildingType, order.x, order.y);
+                }
+                break;
+
+            case COMMANDS.REPAIR:
+                if (target) this.startRepair(target);
+                break;
+
+            case COMMANDS.BUILD_ROAD:
+                this.buildRoad(order.x, order.y);
+                break;
+
+            case COMMANDS.PATROL:
+                this.patrol(this.x, this.y, order.x, order.y);
+                break;
+
+            case COMMANDS.GUARD:
+                if (target) this.guard(target);
+                break;
+
+            case COMMANDS.FOLLOW:
+                if (target) this.follow(target);
+                break;
+
+            case COMMANDS.CAST:
+                this.castAbility(order.abilityId, target);
+                break;
+
+            default:
+                console.warn(`Unknown order type: ${order.type}`);
+        }
+    }
+
+    /**
+     * Drop the current and all queued orders and stand still
+     */
+    stop() {
+        this.orderQueue = [];
+        this.isMoving = false;
+        this.path = [];
+        this.pathRequest = null;
+        this.targetX = this.x;
+        this.targetY = this.y;
+        this.targetEntity = null;
+
+        this.isPatrolling = false;
+        this.isAttackMoving = false;
+        this.isGathering = false;
+        this.isBuilding = false;
+        this.isRepairing = false;
+        this.gatherTarget = null;
+        this.returnTarget = null;
+        this.buildTarget = null;
+        this.repairTarget = null;
+        this.roadPlan = null;
+        this.guardTarget = null;
+        this.followTarget = null;
+        this.castAbilityId = null;
+        this.castTarget = null;
+        this.holdPosition = this.stance === 'hold';
+    }
+
+    /**
+     * Stop and stay here: attack enemies in range but never chase them
+     * (until the next order)
+     */
+    hold() {
+        this.stop();
+        this.holdPosition = true;
+    }
+
+    patrol(startX, startY, endX, endY) {
+        this.patrolStart = { x: Math.floor(startX), y: Math.floor(startY) };
+        this.patrolEnd = { x: endX, y: endY };
+        this.targetEntity = null;
+        this.moveTo(endX, endY);
+        this.isPatrolling = true;
+    }
+
+    attackMove(targetX, targetY, flowGoal = null) {
+        this.attackMoveTarget = { x: targetX, y: targetY, flowGoal };
+        this.targetEntity = null;
+        this.moveTo(targetX, targetY, null, flowGoal);
+        this.isAttackMoving = true;
+    }
+
+    updateAttackMove() {
+        if (this.engageNearbyEnemy() || this.isMoving) return;
+
+        const { x, y, flowGoal } = this.attackMoveTarget;
+        if (Math.abs(this.x - (x + 0.5)) < 1 && Math.abs(this.y - (y + 0.5)) < 1) {
+            this.isAttackMoving = false;
+        } else {
+            this.moveTo(x, y, null, flowGoal); // Ends the attack-move if there is no way left (receivePath)
+        }
+    }
+
+    /**
+     * Attack-move and patrol: go after an enemy within auto-acquire range, whatever the stance
+     * @returns {boolean} True if the unit turned to fight
+     */
+    engageNearbyEnemy() {
+        const enemy = this.findNearestEnemy();
+        if (!enemy || Math.hypot(enemy.x - this.x, enemy.y - this.y) >= this.autoAcquireRange) return false;
+
+        this.targetEntity = enemy;
+        this.moveTo(enemy.getTileX(), enemy.getTileY(), enemy);
+        return true;
+    }
+
+    /**
+     * Stay close to a friendly unit or building and fight whatever attacks it
+     * @param {Entity} target
+     */
+    guard(target) {
+        this.targetEntity = null;
+        this.guardTarget = target;
+        this.repathTimer = 0;
+    }
+
+    updateGuard() {
+        const ward = this.guardTarget;
+        if (!ward || ward.isDead || this.orderQueue.length > 0) {
+            // Guarding only ends with the ward, or hands over to the next queued order
+            this.guardTarget = null;
+            return;
+        }
+
+        const center = getEntityCenter(ward);
+
+        if (this.targetEntity) {
+            // Fight near the ward, but do not get lured away from it
+            if (Math.hypot(this.targetEntity.x - center.x, this.targetEntity.y - center.y) <= GUARD_CHASE_RANGE) return;
+            this.targetEntity = null;
+        }
+
+        const enemy = this.findNearestEnemy(center, GUARD_CHASE_RANGE);
+        if (enemy && Math.hypot(enemy.x - center.x, enemy.y - center.y) <= GUARD_CHASE_RANGE) {
+            this.targetEntity = enemy;
+            this.moveTo(enemy.getTileX(), enemy.getTileY(), enemy);
+            return;
+        }
+
+        this.keepCloseTo(ward, GUARD_DISTANCE);
+    }
+
+    /**
+     * Stay close behind a unit wherever it goes
+     * @param {Entity} target
+     */
+    follow(target) {
+        this.targetEntity = null;
+        this.followTarget = target;
+        this.repathTimer = 0;
+    }
+
+    updateFollow() {
+        const leader = this.followTarget;
+        if (!leader || leader.isDead || this.orderQueue.length > 0) {
+            this.followTarget = null;
+            return;
+        }
+
+        // Auto-acquired fights take priority, the unit catches up afterwards
+        if (this.targetEntity) return;
+
+        this.keepCloseTo(leader, FOLLOW_DISTANCE);
+    }
+
+    /**
+     * Walk towards an entity until within `distance` tiles of its edge
+     * @param {Entity} entity
+     * @param {number} distance
+     */
+    keepCloseTo(entity, distance) {
+        const center = getEntityCenter(entity);
+        const reach = distance + (entity.size || 1) / 2;
+
+        if (Math.hypot(center.x - this.x, center.y - this.y) > reach) {
+            if (!this.isMoving || this.repathTimer === 0) {
+                this.moveTo(Math.floor(center.x), Math.floor(center.y));
+                this.repathTimer = 15;
+            }
+        } else if (this.isMoving) {
+            this.isMoving = false;
+            this.path = [];
+        }
     }
 
     isPathValid() {
@@ -207,14 +578,10 @@ export default class Unit extends Entity {
                 return false; // Path is blocked
             }
 
-            // Check for buildings blocking path
-            const blocked = buildings.some(b =>
-                !b.isDead &&
-                tx >= b.x && tx < b.x + b.size &&
-                ty >= b.y && ty < b.y + b.size
-            );
-
-            if (blocked) return false;
+            // A building placed on the path since (a unit caught inside a footprint is walking out of it)
+            if (pathfinder && pathfinder.occupancy.isBlocked(tx, ty) && !pathfinder.occupancy.isBlocked(this.getTileX(), this.getTileY())) {
+                return false;
+            }
         }
 
         return true;
@@ -222,18 +589,49 @@ export default class Unit extends Entity {
 
     repath() {
         // console.log(`Unit ${this.type} repathing...`);
-        if (pathfinder) {
-            this.path = pathfinder.findPath(this.x, this.y, this.targetX, this.targetY);
-            this.pathIndex = 0;
+        if (pathfinder) this.requestPath(true);
+    }
 
-            if (this.path.length === 0) {
-                this.isMoving = false;
-                this.targetEntity = null;
-            }
+    /**
+     * Ask for a path to (targetX, targetY), dropping the current one; the unit
+     * walks straight towards the target until it arrives (receivePath)
+     * @param {boolean} repath - The old path got blocked (the target is given up if there is no way left)
+     */
+    requestPath(repath = false) {
+        this.path = [];
+        this.pathIndex = 0;
+        this.pathRequest = { ...pathService.request(this, pathPriority), repath };
+    }
+
+    /**
+     * The path asked for has been computed (systems/PathService.js)
+     * @param {Array<{x: number, y: number}>} path - Empty if the target cannot be reached
+     */
+    receivePath(path) {
+        const { repath } = this.pathRequest;
+        this.pathRequest = null;
+        if (!this.isMoving) return; // Stopped or arrived meanwhile
+
+        this.path = path;
+        this.pathIndex = 0;
+        if (path.length > 0) return;
+
+        // No way to the target
+        this.isMoving = false;
+        if (repath) this.targetEntity = null;
+        if (this.isAttackMoving && !this.targetEntity) this.isAttackMoving = false;
+        if (this.castAbilityId) {
+            this.castAbilityId = null;
+            this.castTarget = null;
         }
     }
 
     moveTowardsTarget() {
+        if (this.pathRequest) {
+            this.moveStraightTowardsTarget();
+            return;
+        }
+
         if (this.path.length === 0 || this.pathIndex >= this.path.length) {
             this.isMoving = false;
             return;
@@ -244,7 +642,7 @@ export default class Unit extends Entity {
         const dy = nextNode.y - this.y;
         const dist = Math.sqrt(dx * dx + dy * dy);
 
-        const speed = this.stats.speed * 0.03;
+        const speed = this.stats.speed * 0.03 * getSpeedMultiplier(this) * this.getTerrainSpeed();
 
         if (dist < speed) {
             // Reached waypoint
@@ -275,6 +673,46 @@ export default class Unit extends Entity {
         }
     }
 
+    /**
+     * @returns {number} Speed factor of the terrain under the unit (TILES speed)
+     */
+    getTerrainSpeed() {
+        const tileX = this.getTileX();
+        const tileY = this.getTileY();
+        if (tileX < 0 || tileX >= MAP_WIDTH || tileY < 0 || tileY >= MAP_HEIGHT) return 1;
+        return map[tileY][tileX].speed ?? 1;
+    }
+
+    /**
+     * Waiting for a path: head straight for the target, stopping short of blocked
+     * tiles (a unit caught inside a building footprint may walk out of it)
+     */
+    moveStraightTowardsTarget() {
+        const dx = this.targetX - this.x;
+        const dy = this.targetY - this.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        const speed = this.stats.speed * 0.03 * getSpeedMultiplier(this) * this.getTerrainSpeed();
+
+        if (dist < speed) {
+            // Got there before the path did
+            this.x = this.targetX;
+            this.y = this.targetY;
+            this.isMoving = false;
+            this.pathRequest = null;
+            return;
+        }
+
+        const nextX = this.x + (dx / dist) * speed;
+        const nextY = this.y + (dy / dist) * speed;
+        if (pathfinder && !pathfinder.isPassable(Math.floor(nextX), Math.floor(nextY)) &&
+            pathfinder.isPassable(this.getTileX(), this.getTileY())) {
+            return;
+        }
+
+        this.x = nextX;
+        this.y = nextY;
+    }
+
     calculateAvoidance() {
         const AVOIDANCE_RADIUS = 1.5;
         const nearbyUnits = spatialHash ? spatialHash.query(this.x, this.y, AVOIDANCE_RADIUS) : [];
@@ -314,7 +752,8 @@ export default class Unit extends Entity {
     }
 
     // Simplified logic: move directly to the tile center
-    moveTo(targetTileX, targetTileY, targetEntity = null) {
+    // flowGoal: destination tile of the group move this is part of (shared flow field), if any
+    moveTo(targetTileX, targetTileY, targetEntity = null, flowGoal = null) {
         const newTargetX = targetTileX + 0.5;
         const newTargetY = targetTileY + 0.5;
 
@@ -324,36 +763,32 @@ export default class Unit extends Entity {
             Math.abs(this.targetY - newTargetY) > 1
         );
 
-        // Only repath if needed
-        if (!this.isMoving || targetChanged || this.path.length === 0) {
+        // Only repath if needed (and not while the path is on its way)
+        if (!this.isMoving || targetChanged || (this.path.length === 0 && !this.pathRequest)) {
             this.targetX = newTargetX;
             this.targetY = newTargetY;
             this.targetEntity = targetEntity;
+            this.flowGoal = flowGoal;
             this.hasPlayerCommand = true; // Assume explicit move is player command
 
             // Check if we're already at target
             const distToTarget = Math.abs(this.targetX - this.x) + Math.abs(this.targetY - this.y);
             if (distToTarget < 0.5) {
                 this.isMoving = false;
+                this.pathRequest = null;
                 return;
             }
 
-            // Calculate new path
+            // Ask for a new path (along the group's flow field when part of a large group move)
             if (pathfinder) {
-                this.path = pathfinder.findPath(this.x, this.y, this.targetX, this.targetY);
-                this.pathIndex = 0;
-
-                if (this.path.length === 0) {
-                    this.isMoving = false;
-                    // console.warn(`No path found for unit ${this.type} to (${this.targetX}, ${this.targetY})`);
-                } else {
-                    this.isMoving = true;
-                }
+                this.requestPath();
+                this.isMoving = true;
             }
         }
 
         // Reset states
         if (!this.isBuilding) this.buildTarget = null;
+        if (!this.isRepairing) this.repairTarget = null;
         if (!this.isGathering) {
             this.gatherTarget = null;
             this.returnTarget = null;
@@ -365,7 +800,7 @@ export default class Unit extends Entity {
         const finalX = targetTileX + formationOffset.x;
         const finalY = targetTileY + formationOffset.y;
 
-        this.moveTo(finalX, finalY, targetEntity);
+        this.moveTo(finalX, finalY, targetEntity, { x: Math.floor(targetTileX), y: Math.floor(targetTileY) });
     }
 
     engageTarget() {
@@ -394,8 +829,12 @@ export default class Unit extends Entity {
             return;
         }
 
-        // Out of range, chase
+        // Out of range, chase (units holding position let it go instead)
         if (dist > this.stats.range + 0.5) {
+            if (this.holdPosition) {
+                this.targetEntity = null;
+                return;
+            }
             if (this.repathTimer === 0) {
                 this.moveTo(
                     this.targetEntity.getTileX(),
@@ -413,6 +852,14 @@ export default class Unit extends Entity {
         }
     }
 
+    /**
+     * @param {Entity} target
+     * @returns {boolean} True if the target can be attacked without moving
+     */
+    isInAttackRange(target) {
+        return Math.hypot(target.x - this.x, target.y - this.y) <= this.stats.range + 0.5;
+    }
+
     isPlayerControlled() {
         return this.faction === FACTIONS.PLAYER.id && this.hasPlayerCommand;
     }
@@ -422,6 +869,9 @@ export default class Unit extends Entity {
      * AI units always auto-acquire, player units only when not busy
      */
     shouldAutoAcquire() {
+        // On the way to cast at a target
+        if (this.castAbilityId) return false;
+
         // AI units: always search for enemies (unless gathering or building)
         if (this.faction !== FACTIONS.PLAYER.id) {
             return !this.isGathering && !this.isBuilding;
@@ -433,41 +883,52 @@ export default class Unit extends Entity {
 
     performAttack() {
         this.attackCooldown = 30;
-        const damage = this.stats.attack;
-
-        this.targetEntity.health -= damage;
+        const target = this.targetEntity;
 
-        if (this.targetEntity.health <= 0) {
-            // Gain experience on kill
-            const expGain = this.targetEntity instanceof Building ? 50 : 25;
-            this.gainExperience(expGain);
-            this.killCount++;
-
-            this.targetEntity.die();
-            this.targetEntity = null;
-            this.isMoving = false;
+        // Ranged units fire a projectile; damage is dealt when it lands
+        if (this.stats.projectile) {
+            projectileSystem.fire(this, target);
+            return;
+        }
 
-            if (this.faction === FACTIONS.PLAYER.id) {
-                logGameMessage(`${this.stats.name} destroyed the enemy!`);
-            }
+        const bonus = consumeAttackBonus(this); // Charge
+        const damage = calculateDamage(bonus ? { ...this.stats, attack: this.stats.attack + bonus } : this.stats, target);
+        if (applyDamage(this, target, damage)) {
+            this.onKill(target);
         } else {
-            // Play sound
-            if (this.type === 'archer') {
-                soundManager.playSpatial('attack_bow', this.x, this.y);
-            } else {
-                soundManager.playSpatial('attack_sword', this.x, this.y);
-            }
-
             // Particle effect
             if (renderer && renderer.particleSystem) {
                 renderer.particleSystem.swordHit(
-                    this.targetEntity.x * TILE_SIZE,
-                    this.targetEntity.y * TILE_SIZE
+                    target.x * TILE_SIZE,
+                    target.y * TILE_SIZE
                 );
             }
         }
     }
 
+    /**
+     * Credit a killing blow (melee hit or one of this unit's projectiles)
+     * @param {Entity} target - The entity that was killed
+     */
+    onKill(target) {
+        const expGain = target instanceof Building ? 50 : 25;
+        this.gainExperience(expGain);
+        this.killCount++;
+
+        if (this.targetEntity === target) {
+            this.targetEntity = null;
+            this.isMoving = false;
+        }
+    }
+
+    /**
+     * @param {Entity} killer - Entity that dealt the killing blow (null if removed otherwise)
+     */
+    die(killer = null) {
+        super.die();
+        eventBus.emit(GAME_EVENTS.UNIT_KILLED, { unit: this, killer });
+    }
+
     gainExperience(amount) {
         this.experience += amount;
 
@@ -487,11 +948,7 @@ export default class Unit extends Entity {
         this.health = this.stats.maxHealth; // Full heal on level up
         this.stats.attack = Math.floor(this.stats.attack * 1.1);
 
-        // Visual feedback
-        if (this.faction === FACTIONS.PLAYER.id) {
-            logGameMessage(`${this.stats.name} reached level ${this.level}! ⭐`);
-            soundManager.play('level_up');
-        }
+        eventBus.emit(GAME_EVENTS.UNIT_LEVELED_UP, { unit: this, level: this.level });
 
         // Particle effect
         if (renderer && renderer.particleSystem) {
@@ -504,8 +961,13 @@ export default class Unit extends Entity {
         }
     }
 
-    findNearestEnemy() {
-        const nearbyEntities = spatialHash ? spatialHash.query(this.x, this.y, this.autoAcquireRange) : [];
+    /**
+     * @param {{x: number, y: number}} origin - Where to search around (default: this unit)
+     * @param {number} range - Search radius in tiles
+     * @returns {Entity|null} Closest enemy to the origin
+     */
+    findNearestEnemy(origin = this, range = this.autoAcquireRange) {
+        const nearbyEntities = spatialHash ? spatialHash.query(origin.x, origin.y, range) : [];
 
         let nearest = null;
         let minDist = Infinity;
@@ -525,8 +987,8 @@ export default class Unit extends Entity {
             if (!isEnemy) return;
 
             const dist = Math.sqrt(
-                Math.pow(entity.x - this.x, 2) +
-                Math.pow(entity.y - this.y, 2)
+                Math.pow(entity.x - origin.x, 2) +
+                Math.pow(entity.y - origin.y, 2)
             );
 
             if (dist < minDist) {
@@ -551,36 +1013,22 @@ export default class Unit extends Entity {
     }
 
     startBuilding(buildingType, x, y, bypassCost = false) {
-        if (this.type !== 'peasant') return logGameMessage("Only Peasants can build!");
+        if (this.type !== 'peasant') {
+            eventBus.emit(GAME_EVENTS.ACTION_FAILED, { faction: this.faction, message: "Only Peasants can build!" });
+            return;
+        }
         const cost = BUILDING_STATS[buildingType].cost;
 
         // Check and deduct resources for ALL factions (not just player)
         if (!bypassCost) {
-            // Ensure faction resources exist
-            if (!gameState.factionResources[this.faction]) {
-                gameState.factionResources[this.faction] = { gold: 0, wood: 0, stone: 0, foodUsed: 0, foodMax: 5 };
-            }
-
-            const resources = gameState.factionResources[this.faction];
-
-            // Check if faction has enough resources
-            if (resources.gold < cost.gold || resources.wood < cost.wood) {
-                if (this.faction === FACTIONS.PLAYER.id) {
-                    logGameMessage(`Not enough resources to build ${BUILDING_STATS[buildingType].name}!`);
-                }
+            if (!spendResources(this.faction, cost)) {
+                eventBus.emit(GAME_EVENTS.ACTION_FAILED, {
+                    faction: this.faction,
+                    message: `Not enough resources to build ${BUILDING_STATS[buildingType].name}!`
+                });
                 return;
             }
-
-            // Deduct resources
-            resources.gold -= cost.gold;
-            resources.wood -= cost.wood;
-
-            // Sync player UI if this is player faction
-            if (this.faction === FACTIONS.PLAYER.id) {
-                gameState.resources.gold = resources.gold;
-                gameState.resources.wood = resources.wood;
-                updateResourcesUI();
-            }
+            eventBus.emit(GAME_EVENTS.RESOURCES_CHANGED, { faction: this.faction });
         }
 
         // Create blueprint
@@ -590,68 +1038,241 @@ export default class Unit extends Entity {
         this.buildTarget = blueprint;
         this.isBuilding = true;
         this.isGathering = false; // Stop gathering
-        this.constructionProgress = 0; // Initialize construction progress
+        this.isRepairing = false;
         this.moveTo(x, y);
 
-        if (this.faction === FACTIONS.PLAYER.id) {
-            soundManager.play('build_start');
-            logGameMessage(`${this.stats.name} starts building ${blueprint.stats.name}.`);
-        }
+        eventBus.emit(GAME_EVENTS.BUILDING_PLACED, { building: blueprint, builder: this });
+    }
+
+    /**
+     * Work on a construction site that already exists (placed by someone else or abandoned)
+     * @param {Building} blueprint - Friendly building still under construction
+     */
+    assistBuilding(blueprint) {
+        if (this.type !== 'peasant' || !blueprint.isBlueprint || blueprint.faction !== this.faction) return;
+
+        this.buildTarget = blueprint;
+        this.isBuilding = true;
+        this.isGathering = false;
+        this.isRepairing = false;
+        this.moveTo(blueprint.x, blueprint.y);
+    }
+
+    /**
+     * @param {Building} building
+     * @returns {boolean} True if close enough to work on the building (from any side)
+     */
+    isNextToBuilding(building) {
+        // Distance to the footprint rather than to its center: paths end on the nearest free
+        // tile, which can be a corner of a large building
+        const dx = Math.max(building.x - this.x, 0, this.x - (building.x + building.size));
+        const dy = Math.max(building.y - this.y, 0, this.y - (building.y + building.size));
+        return Math.hypot(dx, dy) <= 1.5;
+    }
+
+    /**
+     * Leave the construction site (its progress stays on the site)
+     */
+    stopBuilding() {
+        this.isBuilding = false;
+        this.buildTarget = null;
     }
 
     build() {
-        if (!this.buildTarget || this.buildTarget.isDead) {
+        const site = this.buildTarget;
+        // Finished (by us or another builder)
+        if (!site || site.isDead || !site.isBlueprint) {
             this.isBuilding = false;
             this.buildTarget = null;
             return;
         }
 
-        const dist = Math.sqrt(Math.pow(this.buildTarget.x - this.x, 2) + Math.pow(this.buildTarget.y - this.y, 2));
-
         // If close enough, build. If not, move closer.
-        if (dist < 2.5) {
+        if (this.isNextToBuilding(site)) {
             this.isMoving = false; // Stop moving to focus on building
+            site.construct(this);
+        } else if (!this.isMoving) {
+            // If we are not moving but too far, move closer
+            this.moveTo(site.x, site.y);
+        }
+    }
 
-            // Timer-based construction (similar to unit training)
-            const buildTime = this.buildTarget.stats.buildTime || 30; // Default 30s if not defined
-            const totalFrames = buildTime * 30; // buildTime in seconds * 30 frames/second
+    // --- Repair ---
 
-            this.constructionProgress++;
+    /**
+     * Repair a damaged friendly building (paid per health point, see Building.repair)
+     * @param {Building} target - A construction site is built instead
+     */
+    startRepair(target) {
+        if (this.type !== 'peasant' || target.faction !== this.faction) return;
+        if (target.isBlueprint) {
+            this.assistBuilding(target);
+            return;
+        }
 
-            // Update building health proportionally to progress
-            const progressRatio = this.constructionProgress / totalFrames;
-            this.buildTarget.health = Math.floor(this.buildTarget.maxHealth * progressRatio);
+        this.repairTarget = target;
+        this.isRepairing = true;
+        this.isBuilding = false;
+        this.isGathering = false;
+        this.moveTo(target.x, target.y);
+    }
 
-            // Check if construction is complete
-            if (this.constructionProgress >= totalFrames) {
-                this.buildTarget.health = this.buildTarget.maxHealth;
-                this.buildTarget.isBlueprint = false;
+    stopRepair() {
+        this.isRepairing = false;
+        this.repairTarget = null;
+    }
 
-                // Update food capacity for the faction
-                if (this.buildTarget.stats.foodCapacity) {
-                    if (!gameState.factionResources[this.faction]) {
-                        gameState.factionResources[this.faction] = { gold: 0, wood: 0, stone: 0, foodUsed: 0, foodMax: 5 };
-                    }
-                    gameState.factionResources[this.faction].foodMax += this.buildTarget.stats.foodCapacity;
+    updateRepair() {
+        const building = this.repairTarget;
+        if (!building || building.isDead || building.health >= building.maxHealth) {
+            this.stopRepair();
+            return;
+        }
 
-                    if (this.faction === FACTIONS.PLAYER.id) {
-                        gameState.resources.foodMax = gameState.factionResources[this.faction].foodMax;
-                        updateResourcesUI();
-                    }
-                }
+        if (this.isNextToBuilding(building)) {
+            this.isMoving = false;
+            if (!building.repair()) {
+                this.stopRepair();
+                eventBus.emit(GAME_EVENTS.ACTION_FAILED, { faction: this.faction, message: "Not enough resources to repair!" });
+            }
+        } else if (!this.isMoving) {
+            this.moveTo(building.x, building.y);
+        }
+    }
+
+    /**
+     * @returns {Building|null} Nearest damaged building of ours within AUTO_REPAIR_RANGE that we can pay to repair
+     */
+    findBuildingToRepair() {
+        let nearest = null;
+        let nearestDist = AUTO_REPAIR_RANGE;
+        buildings.forEach(b => {
+            if (b.isDead || b.isBlueprint || b.faction !== this.faction || b.health >= b.maxHealth) return;
+            const center = getEntityCenter(b);
+            const dist = Math.hypot(center.x - this.x, center.y - this.y) - b.size / 2;
+            if (dist <= nearestDist && b.canAffordRepair()) {
+                nearest = b;
+                nearestDist = dist;
+            }
+        });
+        return nearest;
+    }
 
-                this.isBuilding = false;
-                this.buildTarget = null;
-                this.constructionProgress = 0;
-                soundManager.play('build_complete');
+    setAutoRepair(enabled) {
+        if (this.type === 'peasant') this.autoRepair = enabled;
+    }
 
-                if (this.faction === FACTIONS.PLAYER.id) {
-                    logGameMessage("Building complete!");
-                }
+    // --- Roads ---
+
+    /**
+     * Pave a road in a straight line from our tile towards a tile (up to ROAD_MAX_LENGTH
+     * tiles). Only free grass is paved; each tile is paid when it is finished.
+     * @param {number} targetX - Tile the road leads to
+     * @param {number} targetY
+     */
+    buildRoad(targetX, targetY) {
+        if (this.type !== 'peasant') {
+            eventBus.emit(GAME_EVENTS.ACTION_FAILED, { faction: this.faction, message: "Only Peasants can build roads!" });
+            return;
+        }
+
+        const plan = getLineTiles(this.getTileX(), this.getTileY(), targetX, targetY)
+            .slice(0, ROAD_MAX_LENGTH)
+            .filter(({ x, y }) => this.canPave(x, y));
+        if (plan.length === 0) return;
+
+        this.roadPlan = plan;
+        this.roadTimer = 0;
+        this.isBuilding = false;
+        this.isGathering = false;
+        this.isRepairing = false;
+    }
+
+    /**
+     * @returns {boolean} True if the tile is grass with no building on it
+     */
+    canPave(x, y) {
+        return x >= 0 && x < MAP_WIDTH && y >= 0 && y < MAP_HEIGHT &&
+            map[y][x].id === TILES.GRASS.id && (!pathfinder || pathfinder.isPassable(x, y));
+    }
+
+    updateRoad() {
+        // Skip tiles built over (or paved by someone else) in the meantime
+        while (this.roadPlan.length > 0 && !this.canPave(this.roadPlan[0].x, this.roadPlan[0].y)) {
+            this.roadPlan.shift();
+            this.roadTimer = 0;
+        }
+        if (this.roadPlan.length === 0) {
+            this.roadPlan = null;
+            return;
+        }
+
+        const tile = this.roadPlan[0];
+        if (Math.hypot(tile.x + 0.5 - this.x, tile.y + 0.5 - this.y) <= 1.5) {
+            this.isMoving = false;
+            if (++this.roadTimer < TILES.ROAD.buildTime) return;
+
+            if (!spendResources(this.faction, TILES.ROAD.buildCost)) {
+                this.roadPlan = null;
+                eventBus.emit(GAME_EVENTS.ACTION_FAILED, { faction: this.faction, message: "Not enough resources to build a road!" });
+                return;
             }
+            eventBus.emit(GAME_EVENTS.RESOURCES_CHANGED, { faction: this.faction });
+            setTile(tile.x, tile.y, TILES.ROAD);
+
+            this.roadPlan.shift();
+            this.roadTimer = 0;
+            if (this.roadPlan.length === 0) this.roadPlan = null;
         } else if (!this.isMoving) {
-            // If we are not moving but too far, move closer
-            this.moveTo(this.buildTarget.x, this.buildTarget.y);
+            this.moveTo(tile.x, tile.y);
+        }
+    }
+
+    // --- Abilities ---
+
+    /**
+     * Cast an ability: instant ones at once, targeted ones after walking into range
+     * @param {string} abilityId - Key of ABILITIES the unit knows
+     * @param {Entity} target - Unit to cast at ('enemy' and 'ally' abilities)
+     * @returns {boolean} True if the ability was cast or the unit is on its way to cast it
+     */
+    castAbility(abilityId, target = null) {
+        if (!canCast(this, abilityId)) return false;
+        const ability = ABILITIES[abilityId];
+
+        if (ability.targeting === 'none') return cast(this, abilityId);
+        if (!isValidTarget(this, ability, target)) return false;
+
+        this.targetEntity = null;
+        this.castAbilityId = abilityId;
+        this.castTarget = target;
+        this.repathTimer = 0;
+        this.updateCast();
+        return true;
+    }
+
+    updateCast() {
+        const ability = ABILITIES[this.castAbilityId];
+        const target = this.castTarget;
+        if (!canCast(this, this.castAbilityId) || !isValidTarget(this, ability, target)) {
+            this.castAbilityId = null;
+            this.castTarget = null;
+            return;
+        }
+
+        if (isInCastRange(this, ability, target)) {
+            const abilityId = this.castAbilityId;
+            this.castAbilityId = null;
+            this.castTarget = null;
+            this.isMoving = false;
+            this.path = [];
+            cast(this, abilityId, target);
+        } else if (this.holdPosition) {
+            this.castAbilityId = null;
+            this.castTarget = null;
+        } else if (this.repathTimer === 0) {
+            this.moveTo(target.getTileX(), target.getTileY()); // The cast is dropped if there is no way (receivePath)
+            this.repathTimer = 30;
         }
     }
 
@@ -662,6 +1283,7 @@ export default class Unit extends Entity {
 
         this.isGathering = true;
         this.isBuilding = false;
+        this.isRepairing = false;
         this.resourceType = resourceType;
         this.gatherStuckTimer = 0; // Anti-stuck timer
 
@@ -676,6 +1298,15 @@ export default class Unit extends Entity {
         this.moveTo(targetX, targetY);
     }
 
+    /**
+     * Stop gathering (the next gather order starts with an empty load)
+     */
+    stopGathering() {
+        this.isGathering = false;
+        this.gatherTarget = null;
+        this.returnTarget = null;
+    }
+
     gatherResource() {
         // Anti-stuck mechanism
         this.gatherStuckTimer++;
@@ -695,29 +1326,30 @@ export default class Unit extends Entity {
             return;
         }
 
-        // Validate gather target still exists
-        if (this.resourceType === 'gold') {
-            if (!this.gatherTarget || (this.gatherTarget instanceof Building && this.gatherTarget.isDead)) {
+        // Exhausted target (mine collapsed, forest cut down): carry on at the next
+        // tree or rock nearby, otherwise bring home whatever has been gathered
+        if (this.cargo < this.maxCargo && !this.hasResourceAt(this.gatherTarget)) {
+            this.gatherTarget = this.resourceType === 'gold' ? null : this.findNearbyResourceTile(this.gatherTarget || this);
+
+            if (!this.gatherTarget && this.cargo === 0) {
                 this.isGathering = false;
-                logGameMessage("Gold mine depleted or destroyed!");
+                if (this.resourceType === 'gold') {
+                    eventBus.emit(GAME_EVENTS.ACTION_FAILED, { faction: this.faction, message: "Gold mine depleted or destroyed!" });
+                }
                 return;
             }
         }
 
-        if (this.cargo < this.maxCargo) {
+        if (this.cargo < this.maxCargo && this.gatherTarget) {
             // Gather phase
-            if (!this.gatherTarget) {
-                this.isGathering = false;
-                return;
-            }
-
+            const isTile = !(this.gatherTarget instanceof Building);
             const dist = Math.sqrt(
-                Math.pow(this.gatherTarget.x - this.x, 2) +
-                Math.pow(this.gatherTarget.y - this.y, 2)
+                Math.pow(this.gatherTarget.x + (isTile ? 0.5 : 0) - this.x, 2) + // Tiles: measure to the centre
+                Math.pow(this.gatherTarget.y + (isTile ? 0.5 : 0) - this.y, 2)
             );
 
             let interactDist = 1.5;
-            if (this.resourceType === 'gold' && this.gatherTarget instanceof Building) {
+            if (this.resourceType === 'gold' && !isTile) {
                 interactDist = this.gatherTarget.size / 2 + 1.0;
             }
 
@@ -728,44 +1360,41 @@ export default class Unit extends Entity {
             } else {
                 // Close enough to gather
                 this.isMoving = false;
-                this.gatherTimer = 60;
-                this.cargo = Math.min(this.cargo + 10, this.maxCargo);
+                this.gatherTimer = this.stats.gatherTime;
                 this.gatherStuckTimer = 0; // Reset stuck timer
 
-                if (this.resourceType === 'gold') {
-                    soundManager.playSpatial('gather_gold', this.x, this.y);
-                } else {
-                    soundManager.playSpatial('gather_wood', this.x, this.y);
-                    // updateTileRenderer(this.gatherTarget.x, this.gatherTarget.y);
-                }
+                const wanted = Math.min(10, this.maxCargo - this.cargo);
+                this.cargo += this.gatherTarget instanceof Building
+                    ? this.gatherTarget.mineGold(wanted)
+                    : harvestTile(Math.floor(this.gatherTarget.x), Math.floor(this.gatherTarget.y), wanted);
+
+                eventBus.emit(GAME_EVENTS.RESOURCE_GATHERED, { unit: this, resource: this.resourceType });
             }
         } else {
             // Return phase
-            if (!this.returnTarget) {
-                const townHalls = buildings.filter(b =>
-                    !b.isDead &&
-                    (b.type === 'townhall' || b.type === 'keep') &&
-                    b.faction === this.faction
+            if (!this.returnTarget || this.returnTarget.isDead) {
+                const dropOffs = entityRegistry.getByFaction(this.faction).filter(b =>
+                    b instanceof Building && b.acceptsResource(this.resourceType)
                 );
 
-                if (townHalls.length === 0) {
+                if (dropOffs.length === 0) {
                     this.isGathering = false;
-                    logGameMessage("No town hall to return resources!");
+                    eventBus.emit(GAME_EVENTS.ACTION_FAILED, { faction: this.faction, message: `No drop-off point for ${this.resourceType}!` });
                     return;
                 }
 
-                // Find closest town hall
-                let closest = townHalls[0];
+                // Find closest drop-off (town hall, keep, lumber mill or mining camp)
+                let closest = dropOffs[0];
                 let minDist = Infinity;
 
-                townHalls.forEach(th => {
+                dropOffs.forEach(b => {
                     const d = Math.sqrt(
-                        Math.pow(th.x - this.x, 2) +
-                        Math.pow(th.y - this.y, 2)
+                        Math.pow(b.x + b.size / 2 - this.x, 2) +
+                        Math.pow(b.y + b.size / 2 - this.y, 2)
                     );
                     if (d < minDist) {
                         minDist = d;
-                        closest = th;
+                        closest = b;
                     }
                 });
 
@@ -788,28 +1417,25 @@ export default class Unit extends Entity {
                 this.gatherStuckTimer = 0; // Reset stuck timer
 
                 // Deposit resources
-                if (!gameState.factionResources[this.faction]) {
-                    gameState.factionResources[this.faction] = {
-                        gold: 0, wood: 0, stone: 0, foodUsed: 0, foodMax: 5
-                    };
-                }
-
-                if (this.resourceType === 'gold') {
-                    gameState.factionResources[this.faction].gold += this.cargo;
-                } else if (this.resourceType === 'wood') {
-                    gameState.factionResources[this.faction].wood += this.cargo;
-                }
-
-                // Sync player UI
-                if (this.faction === FACTIONS.PLAYER.id) {
-                    gameState.resources.gold = gameState.factionResources[this.faction].gold;
-                    gameState.resources.wood = gameState.factionResources[this.faction].wood;
-                    updateResourcesUI();
-                }
+                addResources(this.faction, this.resourceType, this.cargo);
+                eventBus.emit(GAME_EVENTS.RESOURCES_DEPOSITED, {
+                    unit: this,
+                    faction: this.faction,
+                    resource: this.resourceType,
+                    amount: this.cargo
+                });
+                eventBus.emit(GAME_EVENTS.RESOURCES_CHANGED, { faction: this.faction });
 
                 this.cargo = 0;
                 this.returnTarget = null;
 
+                // Gathering never ends by itself: hand over to the next queued order
+                if (this.orderQueue.length > 0) {
+                    this.isGathering = false;
+                    this.gatherTarget = null;
+                    return;
+                }
+
                 // Return to gather
                 if (this.gatherTarget) {
                     this.moveTo(this.gatherTarget.x, this.gatherTarget.y);
@@ -817,4 +1443,72 @@ export default class Unit extends Entity {
             }
         }
     }
+
+    /**
+     * @param {Building|{x: number, y: number}} target - Gold mine or resource tile
+     * @returns {boolean} True if there is still something to gather there
+     */
+    hasResourceAt(target) {
+        if (!target) return false;
+        if (target instanceof Building) return !target.isDead;
+        if (this.resourceType === 'gold') return true;
+
+        const tile = map[Math.floor(target.y)]?.[Math.floor(target.x)];
+        return !!tile && tile.id === RESOURCE_TILES[this.resourceType];
+    }
+
+    /**
+     * Nearest tile of the resource being gathered, searching rings around a point
+     * @param {{x: number, y: number}} origin
+     * @returns {{x: number, y: number}|null}
+     */
+    findNearbyResourceTile(origin) {
+        const tileId = RESOURCE_TILES[this.resourceType];
+        const ox = Math.floor(origin.x);
+        const oy = Math.floor(origin.y);
+
+        for (let r = 0; r <= NEXT_RESOURCE_RADIUS; r++) {
+            for (let dy = -r; dy <= r; dy++) {
+                for (let dx = -r; dx <= r; dx++) {
+                    if (Math.max(Math.abs(dx), Math.abs(dy)) !== r) continue; // Ring only
+
+                    const x = ox + dx;
+                    const y = oy + dy;
+                    if (map[y]?.[x]?.id === tileId) return { x, y };
+                }
+            }
+        }
+        return null;
+    }
 }
+
+/**
+ * @returns {Array<{x: number, y: number}>} Tiles on the straight line between two tiles (Bresenham), both ends included
+ */
+function getLineTiles(x0, y0, x1, y1) {
+    const tiles = [];
+    const dx = Math.abs(x1 - x0);
+    const dy = Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    let err = dx - dy;
+
+    while (true) {
+        tiles.push({ x: x0, y: y0 });
+        if (x0 === x1 && y0 === y1) break;
+        const e2 = 2 * err;
+        if (e2 > -dy) {
+            err -= dy;
+            x0 += sx;
+        }
+        if (e2 < dx) {
+            err += dx;
+            y0 += sy;
+        }
+    }
+    return tiles;
+}
+
+// Targets are kept as entity IDs (see Entity.defineEntityReference)
+['targetEntity', 'gatherTarget', 'buildTarget', 'repairTarget', 'returnTarget', 'guardTarget', 'followTarget', 'castTarget']
+    .forEach(name => defineEntityReference(Unit.prototype, name));
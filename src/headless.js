@@ -0,0 +1,184 @@
+/**
+ * @module Headless
+ * @description Command-line simulation runner for Node (no DOM, canvas or audio)
+ *
+ * Runs the fixed-timestep simulation as fast as possible and prints a summary
+ * of the final state, so balance and AI changes can be checked without a browser.
+ *
+ * Key Features:
+ * - AI-vs-AI matches (every faction, including the player slot, gets an AIController)
+ * - Seed and map template selection (same seed = same result)
+ * - Replay files from the in-game 🎬 menu can be re-simulated
+ * - Stops early when the match is won (systems/GameRules.js)
+ * - Human-readable table or JSON output
+ *
+ * Usage:
+ *   node --experimental-default-type=module src/headless.js [options]
+ *
+ *   --ticks <n>      Ticks to simulate (default 9000 = 5 minutes, or the replay's length)
+ *   --seed <seed>    Map/AI seed (random if omitted)
+ *   --map <name>     Map template (random, forest, open, islands, highlands)
+ *   --difficulty <d> AI difficulty for every faction (EASY, NORMAL, HARD; default NORMAL)
+ *   --replay <file>  Re-simulate a replay file instead of an AI-vs-AI match
+ *   --json           Print the summary as JSON
+ *   --verbose        Keep the game's console logging (AI decisions, map generation)
+ */
+
+import { readFile } from 'node:fs/promises';
+import { MAP_TEMPLATES } from './map/TerrainGenerator.js';
+import { FACTIONS } from './config/entityStats.js';
+import { MS_PER_UPDATE } from './config/constants.js';
+import { CONTROLLERS, AI_DIFFICULTIES } from './config/matchSettings.js';
+
+const DEFAULT_TICKS = 9000;
+
+const PLAYABLE_FACTIONS = [FACTIONS.PLAYER, FACTIONS.ENEMY, FACTIONS.ALLY, FACTIONS.ENEMY_2];
+
+function parseArgs(argv) {
+    const options = { ticks: null, seed: undefined, map: MAP_TEMPLATES.RANDOM, difficulty: 'NORMAL', replay: null, json: false, verbose: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--ticks': options.ticks = parseInt(argv[++i], 10); break;
+            case '--seed': options.seed = argv[++i]; break;
+            case '--map': options.map = argv[++i]; break;
+            case '--difficulty': options.difficulty = String(argv[++i]).toUpperCase(); break;
+            case '--replay': options.replay = argv[++i]; break;
+            case '--json': options.json = true; break;
+            case '--verbose': options.verbose = true; break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    if (options.ticks !== null && (!Number.isInteger(options.ticks) || options.ticks < 0)) {
+        throw new Error('--ticks must be a non-negative integer');
+    }
+    if (!Object.values(MAP_TEMPLATES).includes(options.map)) {
+        throw new Error(`Unknown map template "${options.map}"`);
+    }
+    if (!AI_DIFFICULTIES.includes(options.difficulty)) {
+        throw new Error(`Unknown difficulty "${options.difficulty}"`);
+    }
+    return options;
+}
+
+function countByType(entities) {
+    const counts = {};
+    entities.forEach(e => { counts[e.type] = (counts[e.type] || 0) + 1; });
+    return counts;
+}
+
+/**
+ * @returns {Object} Final-state summary of the running match
+ */
+function summarize({ gameState, units, buildings }, gameRules, wallTimeMs) {
+    const results = gameRules.getResults();
+    return {
+        seed: gameState.seed,
+        mapTemplate: gameState.mapTemplate,
+        ticks: gameState.gameTime,
+        gameSeconds: Math.floor(gameState.gameTime * MS_PER_UPDATE / 1000),
+        wallTimeMs: Math.round(wallTimeMs),
+        gameOver: gameRules.gameOver,
+        factions: PLAYABLE_FACTIONS.map(faction => {
+            const myUnits = units.filter(u => !u.isDead && u.faction === faction.id);
+            const myBuildings = buildings.filter(b => !b.isDead && b.faction === faction.id);
+            const result = results.find(r => r.factionId === faction.id);
+            return {
+                id: faction.id,
+                name: faction.name,
+                alive: myUnits.length > 0 || myBuildings.length > 0,
+                victory: result ? result.victory : false,
+                eliminatedAt: result ? result.eliminatedAt : null,
+                score: result ? result.score : 0,
+                resources: { ...gameState.factionResources[faction.id] },
+                upgrades: [...gameState.factionUpgrades[faction.id]],
+                units: countByType(myUnits),
+                buildings: countByType(myBuildings)
+            };
+        })
+    };
+}
+
+function formatCounts(counts) {
+    return Object.entries(counts).map(([type, n]) => `${n} ${type}`).join(', ') || '-';
+}
+
+function printSummary(summary) {
+    const msPerTick = summary.ticks > 0 ? (summary.wallTimeMs / summary.ticks).toFixed(2) : '0';
+    const minutes = Math.floor(summary.gameSeconds / 60);
+    const seconds = String(summary.gameSeconds % 60).padStart(2, '0');
+
+    console.log(`🏁 Seed ${summary.seed} (map: ${summary.mapTemplate})`);
+    if (summary.gameOver) {
+        const winners = summary.factions.filter(f => f.victory).map(f => f.name).join(' + ');
+        console.log(`   🏆 Match over, winner: ${winners}`);
+    }
+    console.log(`   ${summary.ticks} ticks (${minutes}:${seconds} game time) in ${(summary.wallTimeMs / 1000).toFixed(1)}s (${msPerTick} ms/tick)`);
+
+    summary.factions.forEach(f => {
+        const r = f.resources;
+        const eliminated = f.eliminatedAt !== null ? ` (eliminated at tick ${f.eliminatedAt})` : '';
+        console.log(`\n${f.victory ? '🏆' : f.alive ? '🟢' : '💀'} [${f.id}] ${f.name} - score ${f.score}${eliminated}`);
+        console.log(`   Resources: ${r.gold} gold, ${r.wood} wood, ${r.stone} stone, food ${r.foodUsed}/${r.foodMax}`);
+        console.log(`   Units:     ${formatCounts(f.units)}`);
+        console.log(`   Buildings: ${formatCounts(f.buildings)}`);
+        if (f.upgrades.length > 0) console.log(`   Upgrades:  ${f.upgrades.join(', ')}`);
+    });
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    // The game logs AI decisions every tick; only the summary is wanted here
+    const log = console.log;
+    if (!options.verbose) {
+        console.log = () => { };
+        console.time = () => { };
+        console.timeEnd = () => { };
+    }
+
+    // Game modules log while initializing, so load them once logging is configured
+    const state = await import('./core/GameState.js');
+    const { newMatch, stepSimulation } = await import('./core/Simulation.js');
+    const { replayPlayer } = await import('./systems/ReplaySystem.js');
+    const { gameRules } = await import('./systems/GameRules.js');
+
+    let ticks = options.ticks ?? DEFAULT_TICKS;
+    if (options.replay) {
+        const replay = JSON.parse(await readFile(options.replay, 'utf8'));
+        replayPlayer.load(replay);
+        newMatch(replay);
+        ticks = options.ticks ?? replay.endTick;
+    } else {
+        newMatch({
+            template: options.map,
+            seed: options.seed,
+            factions: PLAYABLE_FACTIONS.map(f => ({
+                id: f.id,
+                controller: CONTROLLERS.AI,
+                difficulty: options.difficulty,
+                personality: null
+            }))
+        });
+    }
+
+    const start = performance.now();
+    for (let i = 0; i < ticks && !gameRules.gameOver; i++) {
+        stepSimulation();
+    }
+    const summary = summarize(state, gameRules, performance.now() - start);
+
+    console.log = log;
+    if (options.json) {
+        console.log(JSON.stringify(summary, null, 2));
+    } else {
+        printSummary(summary);
+    }
+}
+
+main().catch(e => {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+});
@@ -15,10 +15,18 @@
  * - Drag-box selection for multiple units
  * - Context-sensitive right-click actions
  * - Building placement validation
- * - Formation movement for groups
+ * - Formation movement for groups (Alt+right-click: line instead of grid)
+ * - Shift+right-click queues orders (waypoints, build chains)
  * - Smart command targeting (attack vs move vs gather)
+ * - Selected towers: right-click an enemy to focus fire, H to stop
+ * - Peasants: right-click an own construction site to help build, a damaged building to repair; R toggles auto-repair,
+ *   J paves a road towards the right-clicked tile
+ * - Ability hotkeys of the selected units (config/abilities.js) take precedence over the other hotkeys
  * - Minimap click-to-navigate
  * - Keyboard state tracking
+ * - Game speed hotkeys (+/- speed, Pause, . to step one tick while paused)
+ * - Control groups (Ctrl+1-9) stored as entity IDs, cleared when a match starts
+ * - All orders go through core/Commands.js (recorded for replays)
  * 
  * Input Modes:
  * - Selection mode: Click or drag to select units/buildings
@@ -27,12 +35,18 @@
  * - Minimap mode: Click minimap to move camera
  */
 
-import { gameState, units, buildings, map } from '../core/GameState.js';
+import { gameState, units, buildings, map, allianceSystem, isBuildableArea } from '../core/GameState.js';
+import { issueCommand, COMMANDS, findEntityById } from '../core/Commands.js';
+import { eventBus, GAME_EVENTS } from '../core/EventBus.js';
+import { changeGameSpeed, togglePause, stepTick } from '../core/Game.js';
+import { replayPlayer } from '../systems/ReplaySystem.js';
 import { camera } from '../rendering/Camera.js';
 import { setDragState } from '../rendering/Renderer.js';
-import { updateSelectionPanel, enterBuildingMode } from '../ui/UIManager.js';
+import { updateSelectionPanel, enterBuildingMode, enterAbilityMode, getSelectedCasters } from '../ui/UIManager.js';
 import { TILE_SIZE, MAP_WIDTH, MAP_HEIGHT } from '../config/constants.js';
 import { FACTIONS, BUILDING_STATS, TILES } from '../config/entityStats.js';
+import { ABILITIES } from '../config/abilities.js';
+import { getAbilities, isValidTarget } from '../systems/AbilitySystem.js';
 import { logGameMessage } from '../utils/Logger.js';
 import { soundManager } from '../systems/SoundManager.js';
 import Unit from '../entities/Unit.js';
@@ -56,27 +70,56 @@ const HOTKEYS = {
     'KeyL': 'lumbermill',
     'KeyT': 'guardtower',
     'KeyK': 'blacksmith',
+    'KeyM': 'miningcamp',
+    'KeyE': 'temple',
 
     // Unit production
     'KeyS': 'soldier',
     'KeyA': 'archer',
     'KeyN': 'knight',
     'KeyP': 'peasant',
-
-    // Commands
-    'KeyH': 'stop',      // Halt
-    'KeyG': 'patrol',
-    'KeyX': 'scatter',   // Spread formation
+    'KeyI': 'priest',
+
+    // Commands (same names as the command types, so targeted ones become gameState.commandMode)
+    'KeyH': COMMANDS.STOP,        // Halt
+    'KeyZ': COMMANDS.HOLD,        // Hold position (freeze)
+    'KeyQ': COMMANDS.ATTACK_MOVE,
+    'KeyG': COMMANDS.PATROL,
+    'KeyU': COMMANDS.GUARD,
+    'KeyO': COMMANDS.FOLLOW,
+    'KeyX': 'scatter',            // Spread formation
+    'KeyR': COMMANDS.AUTO_REPAIR, // Toggle for selected peasants
+    'KeyJ': COMMANDS.BUILD_ROAD,  // Peasants pave a road
 
     // Other
     'Escape': 'cancel'
 };
 
-// Control Groups
+// Orders that wait for a right-click (gameState.commandMode holds the command type;
+// targeted abilities use COMMANDS.CAST with gameState.commandAbility, see UIManager.enterAbilityMode)
+const TARGETED_COMMANDS = {
+    [COMMANDS.ATTACK_MOVE]: 'Attack-move: right-click a destination',
+    [COMMANDS.PATROL]: 'Patrol: right-click the far end of the route',
+    [COMMANDS.GUARD]: 'Guard: right-click a friendly unit or building',
+    [COMMANDS.FOLLOW]: 'Follow: right-click a unit',
+    [COMMANDS.BUILD_ROAD]: 'Road: right-click where it should lead (paved from each peasant)'
+};
+
+// Game speed keys work during replays and without a selection
+const SPEED_KEYS = {
+    'Equal': () => changeGameSpeed(1),
+    'NumpadAdd': () => changeGameSpeed(1),
+    'Minus': () => changeGameSpeed(-1),
+    'NumpadSubtract': () => changeGameSpeed(-1),
+    'Pause': togglePause,
+    'Period': stepTick
+};
+
+// Control Groups (entity IDs)
 const controlGroups = {};
 
 function setControlGroup(num) {
-    controlGroups[num] = [...gameState.selectedEntities];
+    controlGroups[num] = gameState.selectedEntities.map(e => e.id);
     logGameMessage(`Control group ${num} set (${controlGroups[num].length} units)`);
     soundManager.play('select_unit');
 }
@@ -88,9 +131,10 @@ function selectControlGroup(num) {
     gameState.selectedEntities.forEach(e => e.selected = false);
     gameState.selectedEntities = [];
 
-    // Select group (filter dead units)
-    controlGroups[num] = controlGroups[num].filter(e => !e.isDead);
-    controlGroups[num].forEach(e => {
+    // Select group (drop dead units)
+    const members = controlGroups[num].map(findEntityById).filter(Boolean);
+    controlGroups[num] = members.map(e => e.id);
+    members.forEach(e => {
         e.selected = true;
         gameState.selectedEntities.push(e);
     });
@@ -99,12 +143,34 @@ function selectControlGroup(num) {
     soundManager.play('select_unit');
 }
 
+/**
+ * @returns {Array<Building>} Selected player buildings that can shoot
+ */
+function getSelectedTowers() {
+    return gameState.selectedEntities.filter(e =>
+        e instanceof Building && !e.isBlueprint && e.stats.attack && e.faction === FACTIONS.PLAYER.id
+    );
+}
+
+/**
+ * @param {string} code - KeyboardEvent.code
+ * @returns {string|null} Ability of a selected player unit cast with this key
+ */
+function findAbilityForKey(code) {
+    for (const entity of gameState.selectedEntities) {
+        if (!(entity instanceof Unit) || entity.faction !== FACTIONS.PLAYER.id) continue;
+        const abilityId = getAbilities(entity).find(id => `Key${ABILITIES[id].hotkey}` === code);
+        if (abilityId) return abilityId;
+    }
+    return null;
+}
+
 function handleHotkey(action) {
     const selected = gameState.selectedEntities[0];
-    if (!selected) return;
+    if (!selected || replayPlayer.active) return;
 
     // Building hotkeys
-    if (['barracks', 'farm', 'lumbermill', 'guardtower', 'blacksmith'].includes(action)) {
+    if (['barracks', 'farm', 'lumbermill', 'guardtower', 'blacksmith', 'miningcamp', 'temple'].includes(action)) {
         if (selected.type === 'peasant') {
             enterBuildingMode(action);
             logGameMessage(`Build mode: ${action}`);
@@ -112,29 +178,41 @@ function handleHotkey(action) {
     }
 
     // Unit production
-    if (['soldier', 'archer', 'knight', 'peasant'].includes(action)) {
-        if (selected instanceof Building && selected.stats.trains?.includes(action)) {
-            selected.trainUnit(action);
+    if (['soldier', 'archer', 'knight', 'peasant', 'priest'].includes(action)) {
+        if (selected instanceof Building && selected.stats.trainUnits?.includes(action)) {
+            issueCommand({ type: COMMANDS.TRAIN, buildingId: selected.id, unitType: action });
         }
     }
 
-    // Commands
-    if (action === 'stop') {
-        gameState.selectedEntities.forEach(e => {
-            if (e instanceof Unit) {
-                e.stop();
-            }
+    // Commands (stop also sends selected towers back to picking their own targets)
+    if (action === COMMANDS.STOP || action === COMMANDS.HOLD) {
+        issueCommand({
+            type: action,
+            unitIds: gameState.selectedEntities.filter(e => e instanceof Unit).map(e => e.id),
+            ...(action === COMMANDS.STOP && { buildingIds: getSelectedTowers().map(b => b.id) })
         });
     }
 
-    if (action === 'patrol') {
-        gameState.commandMode = 'patrol_start';
-        logGameMessage("Patrol mode: Click start point");
+    if (action === COMMANDS.AUTO_REPAIR) {
+        const peasants = gameState.selectedEntities.filter(e => e instanceof Unit && e.type === 'peasant' && e.faction === FACTIONS.PLAYER.id);
+        if (peasants.length > 0) {
+            const enabled = !peasants.every(p => p.autoRepair);
+            issueCommand({ type: COMMANDS.AUTO_REPAIR, unitIds: peasants.map(p => p.id), enabled });
+            logGameMessage(`Auto-repair ${enabled ? 'on' : 'off'}.`);
+            updateSelectionPanel();
+        }
+    }
+
+    if (TARGETED_COMMANDS[action] && selected instanceof Unit) {
+        gameState.buildingMode = null;
+        gameState.commandMode = action;
+        logGameMessage(TARGETED_COMMANDS[action]);
     }
 
     if (action === 'cancel') {
         gameState.buildingMode = null;
         gameState.commandMode = null;
+        gameState.commandAbility = null;
         logGameMessage("Cancelled.");
     }
 }
@@ -166,13 +244,26 @@ export function getMousePosition() {
 }
 
 export function initInput(canvas, minimapCanvas) {
+    // IDs restart with every match, so old groups would point at new entities
+    eventBus.on(GAME_EVENTS.MATCH_STARTED, () => {
+        Object.keys(controlGroups).forEach(num => delete controlGroups[num]);
+    });
+
     // Keyboard
     window.addEventListener('keydown', (e) => {
         keys[e.code] = true;
         soundManager.tryPlayMusic();
 
-        // Handle hotkeys
-        if (HOTKEYS[e.code]) {
+        if (SPEED_KEYS[e.code] && !e.target.matches('input, select, textarea')) {
+            SPEED_KEYS[e.code]();
+            return;
+        }
+
+        // Handle hotkeys (abilities of the selection first)
+        const abilityId = findAbilityForKey(e.code);
+        if (abilityId) {
+            if (!replayPlayer.active) enterAbilityMode(abilityId);
+        } else if (HOTKEYS[e.code]) {
             handleHotkey(HOTKEYS[e.code]);
         }
 
@@ -345,57 +436,51 @@ export function initInput(canvas, minimapCanvas) {
         const tileX = Math.floor(clickX / TILE_SIZE);
         const tileY = Math.floor(clickY / TILE_SIZE);
 
-        const selected = gameState.selectedEntities[0];
-        if (!selected) return;
+        // Units lead a mixed selection (units and towers): they take the orders
+        const selected = gameState.selectedEntities.find(e => e instanceof Unit && e.faction === FACTIONS.PLAYER.id) ||
+            gameState.selectedEntities[0];
+        if (!selected || replayPlayer.active) return;
+
+        // Shift appends to the units' order queues instead of replacing their orders
+        const queued = event.shiftKey;
 
         // 1. Building Mode
         if (gameState.buildingMode && selected.type === 'peasant') {
             const stats = BUILDING_STATS[gameState.buildingMode];
 
-            // Check if the proposed building area is clear and on passable ground
-            let canBuild = true;
-            for (let y = 0; y < stats.size; y++) {
-                for (let x = 0; x < stats.size; x++) {
-                    const currentTileX = tileX + x;
-                    const currentTileY = tileY + y;
-
-                    if (currentTileX < 0 || currentTileX >= MAP_WIDTH || currentTileY < 0 || currentTileY >= MAP_HEIGHT) {
-                        canBuild = false; // Out of bounds
-                        break;
-                    }
-                    const tile = map[currentTileY][currentTileX];
-                    if (!tile.passable || tile.id !== TILES.GRASS.id) {
-                        canBuild = false; // Not passable or not grass
-                        break;
-                    }
-                    // Check for overlap with existing buildings
-                    if (buildings.some(b =>
-                        currentTileX < b.x + b.size && currentTileX + 1 > b.x && currentTileY < b.y + b.size && currentTileY + 1 > b.y
-                    )) {
-                        canBuild = false; // Overlaps with another building
-                        break;
-                    }
-                }
-                if (!canBuild) break;
-            }
-
-            if (canBuild) {
-                selected.startBuilding(gameState.buildingMode, tileX, tileY);
-                gameState.buildingMode = null; // Exit build mode
+            // Check if the proposed building area is clear and on buildable ground
+            if (isBuildableArea(tileX, tileY, stats.size)) {
+                issueCommand({
+                    type: COMMANDS.BUILD,
+                    unitIds: [selected.id],
+                    buildingType: gameState.buildingMode,
+                    x: tileX,
+                    y: tileY,
+                    queued
+                });
+                if (!queued) gameState.buildingMode = null; // Exit build mode (stay in it to queue more)
             } else {
                 logGameMessage("Cannot build there! Obstacle, water, or existing structure.");
             }
 
-            // 2. Patrol Mode
-        } else if (gameState.commandMode === 'patrol_start') {
-            const selectedUnits = gameState.selectedEntities.filter(e => e instanceof Unit && e.faction === FACTIONS.PLAYER.id);
-            selectedUnits.forEach(u => {
-                u.patrol(u.x, u.y, tileX, tileY);
-            });
-            gameState.commandMode = null;
-            logGameMessage("Patrol route set.");
+            // 2. Targeted Command Mode (attack-move / patrol / guard / follow / targeted ability)
+        } else if (gameState.commandMode) {
+            issueTargetedCommand(gameState.commandMode, tileX, tileY, queued);
+
+            // 3. Tower Focus Fire (towers only: selected units move or attack instead)
+        } else if (getSelectedTowers().length > 0 && !(selected instanceof Unit)) {
+            const target = units.find(u => !u.isDead && Math.abs(u.x - tileX) < 1 && Math.abs(u.y - tileY) < 1) ||
+                buildings.find(b => !b.isDead && tileX >= b.x && tileX < b.x + b.size && tileY >= b.y && tileY < b.y + b.size);
+
+            if (target && target.faction !== FACTIONS.NEUTRAL.id && allianceSystem.areEnemies(FACTIONS.PLAYER.id, target.faction)) {
+                issueCommand({ type: COMMANDS.FOCUS_FIRE, buildingIds: getSelectedTowers().map(b => b.id), targetId: target.id });
+                soundManager.play('command_attack');
+                logGameMessage(`Towers focusing fire on ${target.stats.name}!`);
+            } else {
+                logGameMessage("Towers can only focus fire on enemies.");
+            }
 
-            // 3. Unit Command Mode (Move/Attack/Gather)
+            // 4. Unit Command Mode (Move/Attack/Gather)
         } else if (selected instanceof Unit) {
             const targetUnit = units.find(u => !u.isDead && Math.abs(u.x - tileX) < 1 && Math.abs(u.y - tileY) < 1 && u.faction !== selected.faction);
             const targetBuilding = buildings.find(b => !b.isDead && tileX >= b.x && tileX < b.x + b.size && tileY >= b.y && tileY < b.y + b.size && b.faction !== selected.faction);
@@ -404,28 +489,40 @@ export function initInput(canvas, minimapCanvas) {
 
             // Filter selected entities to only include Units (just in case)
             const selectedUnits = gameState.selectedEntities.filter(e => e instanceof Unit && e.faction === FACTIONS.PLAYER.id);
-
-            if (selectedUnits.length > 1) {
+            const selectedPeasants = selectedUnits.filter(u => u.type === 'peasant');
+            const ownBuilding = buildings.find(b => !b.isDead && b.faction === FACTIONS.PLAYER.id &&
+                tileX >= b.x && tileX < b.x + b.size && tileY >= b.y && tileY < b.y + b.size);
+
+            if (ownBuilding && ownBuilding.isBlueprint && selectedPeasants.length > 0) {
+                // Help with (or resume) construction; every extra builder speeds it up a little less
+                issueCommand({ type: COMMANDS.BUILD, unitIds: selectedPeasants.map(u => u.id), targetId: ownBuilding.id, queued });
+                soundManager.play('command_move');
+                logGameMessage(`${selectedPeasants.length > 1 ? 'Peasants' : 'Peasant'} working on ${ownBuilding.stats.name}.`);
+
+            } else if (ownBuilding && ownBuilding.health < ownBuilding.maxHealth && selectedPeasants.length > 0) {
+                // Paid repair (gold and wood per health point)
+                issueCommand({ type: COMMANDS.REPAIR, unitIds: selectedPeasants.map(u => u.id), targetId: ownBuilding.id, queued });
+                soundManager.play('command_move');
+                logGameMessage(`${selectedPeasants.length > 1 ? 'Peasants' : 'Peasant'} repairing ${ownBuilding.stats.name}.`);
+
+            } else if (selectedUnits.length > 1) {
                 // --- FORMATION MOVEMENT ---
-                const formationType = keys['ShiftLeft'] ? 'line' : 'grid'; // Shift for Line formation
+                const formationType = event.altKey ? 'line' : 'grid'; // Alt for Line formation (Shift queues)
                 const positions = getFormationPositions(tileX, tileY, selectedUnits, formationType);
-
-                selectedUnits.forEach((unit, index) => {
-                    const pos = positions[index];
-                    const offset = {
-                        x: pos.x - tileX,
-                        y: pos.y - tileY
-                    };
-
-                    // If attacking, all attack the target but keep formation
-                    if (targetEntity && targetEntity.faction !== FACTIONS.NEUTRAL.id) {
-                        unit.moveToWithFormation(targetEntity.x, targetEntity.y, offset, targetEntity);
-                    } else {
-                        unit.moveToWithFormation(tileX, tileY, offset);
-                    }
+                const isAttack = targetEntity && targetEntity.faction !== FACTIONS.NEUTRAL.id;
+
+                // If attacking, all attack the target but keep formation
+                issueCommand({
+                    type: isAttack ? COMMANDS.ATTACK : COMMANDS.MOVE,
+                    unitIds: selectedUnits.map(u => u.id),
+                    positions: isAttack
+                        ? positions.map(pos => ({ x: targetEntity.x + pos.x - tileX, y: targetEntity.y + pos.y - tileY }))
+                        : positions,
+                    targetId: isAttack ? targetEntity.id : null,
+                    queued
                 });
 
-                if (targetEntity && targetEntity.faction !== FACTIONS.NEUTRAL.id) {
+                if (isAttack) {
                     soundManager.play('command_attack');
                     logGameMessage(`Group ordered to attack ${targetEntity.stats.name}.`);
                 } else {
@@ -438,32 +535,42 @@ export function initInput(canvas, minimapCanvas) {
                 if (targetEntity) {
                     if (targetEntity.faction !== selected.faction && targetEntity.faction !== FACTIONS.NEUTRAL.id) {
                         // Attack Enemy
-                        selected.moveTo(targetEntity.getTileX(), targetEntity.getTileY(), targetEntity);
+                        issueCommand({
+                            type: COMMANDS.ATTACK,
+                            unitIds: [selected.id],
+                            positions: [{ x: targetEntity.getTileX(), y: targetEntity.getTileY() }],
+                            targetId: targetEntity.id,
+                            queued
+                        });
                         soundManager.play('command_attack');
                         logGameMessage(`${selected.stats.name} attacking ${targetEntity.stats.name}!`);
                     } else if (targetEntity.faction === FACTIONS.NEUTRAL.id && targetEntity.type === 'goldmine' && selected.type === 'peasant') {
                         // Gather Gold
-                        selected.startGathering('gold', targetEntity.x, targetEntity.y, targetEntity);
+                        issueCommand({
+                            type: COMMANDS.GATHER,
+                            unitIds: [selected.id],
+                            resource: 'gold',
+                            x: targetEntity.x,
+                            y: targetEntity.y,
+                            targetId: targetEntity.id,
+                            queued
+                        });
                         soundManager.play('command_move');
                         logGameMessage("Peasant gathering gold.");
-                    } else if (targetEntity.faction === selected.faction && targetEntity instanceof Building && targetEntity.health < targetEntity.maxHealth && selected.type === 'peasant') {
-                        // Repair (using build logic)
-                        selected.buildTarget = targetEntity;
-                        selected.isBuilding = true;
-                        selected.isGathering = false;
-                        selected.moveTo(targetEntity.x, targetEntity.y);
-                        logGameMessage("Peasant repairing.");
                     } else {
                         // Move to friendly/neutral unit/building
-                        selected.moveTo(tileX, tileY);
+                        issueCommand({ type: COMMANDS.MOVE, unitIds: [selected.id], positions: [{ x: tileX, y: tileY }], queued });
                     }
                 } else {
-                    // Move to Ground / Gather Wood
+                    // Move to Ground / Gather Wood / Quarry Stone
                     if (tile.id === TILES.TREE.id && selected.type === 'peasant') {
-                        selected.startGathering('wood', tileX, tileY);
+                        issueCommand({ type: COMMANDS.GATHER, unitIds: [selected.id], resource: 'wood', x: tileX, y: tileY, queued });
                         logGameMessage("Peasant gathering wood.");
+                    } else if (tile.id === TILES.STONE.id && selected.type === 'peasant') {
+                        issueCommand({ type: COMMANDS.GATHER, unitIds: [selected.id], resource: 'stone', x: tileX, y: tileY, queued });
+                        logGameMessage("Peasant quarrying stone.");
                     } else if (tile.passable) {
-                        selected.moveTo(tileX, tileY);
+                        issueCommand({ type: COMMANDS.MOVE, unitIds: [selected.id], positions: [{ x: tileX, y: tileY }], queued });
                     } else {
                         logGameMessage("Cannot move there!");
                     }
@@ -472,6 +579,85 @@ export function initInput(canvas, minimapCanvas) {
         }
     });
 
+    /**
+     * Carry out the order picked with a command hotkey at the right-clicked tile
+     * (the mode stays active if the click did not hit a valid target)
+     */
+    function issueTargetedCommand(mode, tileX, tileY, queued) {
+        const selectedUnits = gameState.selectedEntities.filter(e => e instanceof Unit && e.faction === FACTIONS.PLAYER.id);
+        const unitIds = selectedUnits.map(u => u.id);
+        const clickedUnit = units.find(u => !u.isDead && Math.abs(u.x - tileX) < 1 && Math.abs(u.y - tileY) < 1);
+        const clickedBuilding = buildings.find(b => !b.isDead && tileX >= b.x && tileX < b.x + b.size && tileY >= b.y && tileY < b.y + b.size);
+
+        switch (mode) {
+            case COMMANDS.ATTACK_MOVE: {
+                const positions = selectedUnits.length > 1
+                    ? getFormationPositions(tileX, tileY, selectedUnits, 'grid')
+                    : [{ x: tileX, y: tileY }];
+                issueCommand({ type: COMMANDS.ATTACK_MOVE, unitIds, positions, queued });
+                soundManager.play('command_attack');
+                logGameMessage("Attack-moving.");
+                break;
+            }
+
+            case COMMANDS.PATROL:
+                issueCommand({ type: COMMANDS.PATROL, unitIds, x: tileX, y: tileY, queued });
+                logGameMessage("Patrol route set.");
+                break;
+
+            case COMMANDS.BUILD_ROAD: {
+                const peasantIds = selectedUnits.filter(u => u.type === 'peasant').map(u => u.id);
+                if (peasantIds.length === 0) {
+                    logGameMessage("Only Peasants can build roads!");
+                    break;
+                }
+                issueCommand({ type: COMMANDS.BUILD_ROAD, unitIds: peasantIds, x: tileX, y: tileY, queued });
+                soundManager.play('command_move');
+                logGameMessage("Paving a road.");
+                break;
+            }
+
+            case COMMANDS.GUARD: {
+                const ward = clickedUnit || clickedBuilding;
+                if (!ward || !allianceSystem.areAllies(ward.faction, FACTIONS.PLAYER.id)) {
+                    logGameMessage("Can only guard friendly units and buildings.");
+                    return;
+                }
+                issueCommand({ type: COMMANDS.GUARD, unitIds: unitIds.filter(id => id !== ward.id), targetId: ward.id, queued });
+                soundManager.play('command_move');
+                logGameMessage(`Guarding ${ward.stats.name}.`);
+                break;
+            }
+
+            case COMMANDS.FOLLOW:
+                if (!clickedUnit) {
+                    logGameMessage("Can only follow units.");
+                    return;
+                }
+                issueCommand({ type: COMMANDS.FOLLOW, unitIds: unitIds.filter(id => id !== clickedUnit.id), targetId: clickedUnit.id, queued });
+                soundManager.play('command_move');
+                logGameMessage(`Following ${clickedUnit.stats.name}.`);
+                break;
+
+            case COMMANDS.CAST: {
+                const abilityId = gameState.commandAbility;
+                const ability = ABILITIES[abilityId];
+                const casters = getSelectedCasters(abilityId);
+                if (casters.length === 0) break; // Not ready anymore
+                if (!isValidTarget(casters[0], ability, clickedUnit)) {
+                    logGameMessage(`${ability.name} needs ${ability.targeting === 'enemy' ? 'an enemy' : 'a friendly'} unit.`);
+                    return;
+                }
+                issueCommand({ type: COMMANDS.CAST, unitIds: casters.map(u => u.id), abilityId, targetId: clickedUnit.id, queued });
+                soundManager.play(ability.targeting === 'enemy' ? 'command_attack' : 'command_move');
+                logGameMessage(`${ability.name} on ${clickedUnit.stats.name}.`);
+                break;
+            }
+        }
+        gameState.commandMode = null;
+        gameState.commandAbility = null;
+    }
+
     function getFormationPositions(centerX, centerY, units, formationType = 'grid') {
         const positions = [];
         const count = units.length;
@@ -4,6 +4,7 @@
  * 
  * This module bootstraps the entire application by:
  * - Setting up canvas elements and their rendering contexts
+ * - Showing the pre-game lobby (ui/LobbyScreen.js)
  * - Initializing all game systems (UI, rendering, input, game logic)
  * - Starting the main game loop
  * - Handling window resize events
@@ -21,9 +22,12 @@ import { initRenderer } from './rendering/Renderer.js';
 import { initMinimapRenderer } from './rendering/MinimapRenderer.js';
 import { initInput } from './input/InputManager.js';
 import { initUI } from './ui/UIManager.js';
+import { initReplayViewer } from './ui/ReplayViewer.js';
+import { showLobby } from './ui/LobbyScreen.js';
 import { MAP_WIDTH, MAP_HEIGHT, TILE_SIZE } from './config/constants.js';
 import { preloadBuildingAssets, preloadUnitAssets, preloadTileAssets } from './utils/AssetLoader.js';
 import { BUILDING_STATS, UNIT_STATS, TILES } from './config/entityStats.js';
+import { DEFAULT_MATCH_SETTINGS } from './config/matchSettings.js';
 
 
 /**
@@ -61,11 +65,20 @@ window.onload = async () => {
     ]);
     console.log('✅ All assets loaded!');
 
+    // Pre-game lobby: map, factions, difficulty, alliances, resources
+    // ?seed=123&map=forest prefills a specific map and AI behaviour
+    const params = new URLSearchParams(window.location.search);
+    const settings = await showLobby({
+        template: params.get('map') || DEFAULT_MATCH_SETTINGS.template,
+        seed: params.get('seed') ?? undefined
+    });
+
     // Start Game Logic (Generates Map)
-    initGame();
+    initGame(settings);
 
     // Initialize Systems
     initUI();
+    initReplayViewer();
     initRenderer(canvas, ctx, mapCanvas, mapCtx);
     initMinimapRenderer(minimapCanvas, minimapCtx);
     initInput(canvas, minimapCanvas);
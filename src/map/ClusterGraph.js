@@ -0,0 +1,331 @@
+/**
+ * @module ClusterGraph
+ * @description Abstract graph for hierarchical pathfinding (HPA*)
+ *
+ * The map is cut into square clusters. Wherever two neighboring clusters share
+ * a walkable stretch of border there is an entrance, with a portal tile on each
+ * side of it. Portals are the nodes of the graph; edges join the two portals of
+ * an entrance (one step) and every pair of portals inside a cluster (the cost of
+ * the shortest walk between them without leaving the cluster). Costs are weighted
+ * by terrain the same way as in Pathfinder.getNeighbors.
+ * systems/Pathfinder.js searches this small graph for long queries and then
+ * refines each hop with ordinary A*.
+ *
+ * Key Features:
+ * - Entrances of LONG_ENTRANCE tiles or more get a portal at each end, shorter ones one in the middle
+ * - Tile changes (trees cut, roads paved, buildings placed or destroyed) only mark the clusters
+ *   around them; those are rebuilt, with their neighbors, on the next query
+ * - Edges are kept sorted, so a search never depends on the order clusters were rebuilt in
+ */
+
+import MinHeap from '../utils/MinHeap.js';
+
+const LONG_ENTRANCE = 6;
+
+// Same moves and costs as Pathfinder.getNeighbors (before terrain)
+const DIRECTIONS = [
+    { x: -1, y: 0, cost: 1.0 }, { x: 1, y: 0, cost: 1.0 }, { x: 0, y: -1, cost: 1.0 }, { x: 0, y: 1, cost: 1.0 },
+    { x: -1, y: -1, cost: 1.414 }, { x: 1, y: -1, cost: 1.414 }, { x: -1, y: 1, cost: 1.414 }, { x: 1, y: 1, cost: 1.414 }
+];
+
+const END = -1; // Search node standing for the destination
+
+export default class ClusterGraph {
+    /**
+     * @param {number} width - Map size in tiles
+     * @param {number} height
+     * @param {number} clusterSize - Edge of a cluster in tiles
+     * @param {Function} isPassable - (x, y) => boolean
+     * @param {Function} getMoveCost - (x, y) => terrain cost of a walkable tile
+     * @param {Function} getHeuristicScale - () => cheapest terrain cost on the map (keeps the heuristic from overestimating)
+     */
+    constructor(width, height, clusterSize, isPassable, getMoveCost, getHeuristicScale) {
+        this.width = width;
+        this.height = height;
+        this.clusterSize = clusterSize;
+        this.isPassable = isPassable;
+        this.getMoveCost = getMoveCost;
+        this.getHeuristicScale = getHeuristicScale;
+        this.cols = Math.ceil(width / clusterSize);
+        this.rows = Math.ceil(height / clusterSize);
+
+        this.entrances = new Map(); // 'a-b' (neighboring clusters, a < b) -> [[tile in a, tile in b]]
+        this.nodes = new Map(); // tile index -> { x, y, cluster, edges: [{ to, cost }] } (sorted by to)
+        this.clusterNodes = new Map(); // cluster -> tile indices of its portals
+        this.dirty = new Set(); // Clusters to rebuild before the next search
+        this.invalidateAll();
+    }
+
+    invalidateAll() {
+        for (let cluster = 0; cluster < this.cols * this.rows; cluster++) this.dirty.add(cluster);
+    }
+
+    /**
+     * Tiles changed passability or terrain: rebuild the clusters around them before the next search
+     * @param {number} x - Top-left tile
+     * @param {number} y
+     * @param {number} width - In tiles
+     * @param {number} height
+     */
+    invalidate(x, y, width, height) {
+        // (the entrances on their borders, and so the clusters next door, follow in update())
+        const size = this.clusterSize;
+        const minCX = Math.max(0, Math.floor(x / size));
+        const minCY = Math.max(0, Math.floor(y / size));
+        const maxCX = Math.min(this.cols - 1, Math.floor((x + width - 1) / size));
+        const maxCY = Math.min(this.rows - 1, Math.floor((y + height - 1) / size));
+
+        for (let cy = minCY; cy <= maxCY; cy++) {
+            for (let cx = minCX; cx <= maxCX; cx++) this.dirty.add(cy * this.cols + cx);
+        }
+    }
+
+    clusterOf(x, y) {
+        return Math.floor(y / this.clusterSize) * this.cols + Math.floor(x / this.clusterSize);
+    }
+
+    getBounds(cluster) {
+        const cx = cluster % this.cols;
+        const cy = Math.floor(cluster / this.cols);
+        return {
+            minX: cx * this.clusterSize,
+            minY: cy * this.clusterSize,
+            maxX: Math.min(this.width, (cx + 1) * this.clusterSize) - 1,
+            maxY: Math.min(this.height, (cy + 1) * this.clusterSize) - 1
+        };
+    }
+
+    /**
+     * @returns {Array<string>} Keys of the borders the cluster shares with its neighbors
+     */
+    getBorders(cluster) {
+        const cx = cluster % this.cols;
+        const cy = Math.floor(cluster / this.cols);
+        const borders = [];
+        if (cx > 0) borders.push(`${cluster - 1}-${cluster}`);
+        if (cx < this.cols - 1) borders.push(`${cluster}-${cluster + 1}`);
+        if (cy > 0) borders.push(`${cluster - this.cols}-${cluster}`);
+        if (cy < this.rows - 1) borders.push(`${cluster}-${cluster + this.cols}`);
+        return borders;
+    }
+
+    /**
+     * Rebuild the dirty clusters (called before every search)
+     */
+    update() {
+        if (this.dirty.size === 0) return;
+
+        // The portals on a dirty cluster's borders change, and with them the
+        // nodes of the cluster on the other side
+        const rebuild = new Set();
+        const borders = new Set();
+        this.dirty.forEach(cluster => {
+            this.getBorders(cluster).forEach(key => {
+                borders.add(key);
+                key.split('-').forEach(c => rebuild.add(Number(c)));
+            });
+            rebuild.add(cluster);
+        });
+        this.dirty.clear();
+
+        borders.forEach(key => this.findEntrances(key));
+        [...rebuild].sort((a, b) => a - b).forEach(cluster => this.buildCluster(cluster));
+    }
+
+    findEntrances(key) {
+        const [a, b] = key.split('-').map(Number);
+        const boundsA = this.getBounds(a);
+        const boundsB = this.getBounds(b);
+        const vertical = b === a + 1; // b is to the right of a (else below it)
+
+        const from = vertical ? boundsA.minY : boundsA.minX;
+        const to = vertical ? boundsA.maxY : boundsA.maxX;
+        const tilePair = i => vertical
+            ? [[boundsA.maxX, i], [boundsB.minX, i]]
+            : [[i, boundsA.maxY], [i, boundsB.minY]];
+
+        const entrances = [];
+        const addPortal = i => {
+            const [[ax, ay], [bx, by]] = tilePair(i);
+            entrances.push([ay * this.width + ax, by * this.width + bx]);
+        };
+
+        let runStart = null;
+        for (let i = from; i <= to + 1; i++) {
+            let open = false;
+            if (i <= to) {
+                const [[ax, ay], [bx, by]] = tilePair(i);
+                open = this.isPassable(ax, ay) && this.isPassable(bx, by);
+            }
+            if (open && runStart === null) runStart = i;
+            if (!open && runStart !== null) {
+                const runEnd = i - 1;
+                if (runEnd - runStart + 1 >= LONG_ENTRANCE) {
+                    addPortal(runStart);
+                    addPortal(runEnd);
+                } else {
+                    addPortal(Math.floor((runStart + runEnd) / 2));
+                }
+                runStart = null;
+            }
+        }
+
+        this.entrances.set(key, entrances);
+    }
+
+    buildCluster(cluster) {
+        (this.clusterNodes.get(cluster) || []).forEach(index => this.nodes.delete(index));
+
+        // Portals of this cluster and the portal across each of their entrances
+        const crossings = new Map(); // tile index -> tile indices on the other side
+        this.getBorders(cluster).forEach(key => {
+            const first = Number(key.split('-')[0]) === cluster;
+            (this.entrances.get(key) || []).forEach(([tileA, tileB]) => {
+                const own = first ? tileA : tileB;
+                if (!crossings.has(own)) crossings.set(own, []);
+                crossings.get(own).push(first ? tileB : tileA);
+            });
+        });
+
+        const indices = [...crossings.keys()].sort((a, b) => a - b);
+        const bounds = this.getBounds(cluster);
+
+        indices.forEach(index => {
+            const x = index % this.width;
+            const y = Math.floor(index / this.width);
+            const edges = crossings.get(index).map(to => ({ to, cost: this.getStepCost(index, to) }));
+
+            const costs = this.searchCluster(bounds, x, y);
+            indices.forEach(other => {
+                if (other === index) return;
+                const cost = costs.get(other);
+                if (cost !== undefined) edges.push({ to: other, cost });
+            });
+
+            edges.sort((a, b) => a.to - b.to);
+            this.nodes.set(index, { x, y, cluster, edges });
+        });
+
+        this.clusterNodes.set(cluster, indices);
+    }
+
+    /**
+     * @returns {number} Cost of the straight step between the two portals of an entrance
+     */
+    getStepCost(from, to) {
+        const w = this.width;
+        return (this.getMoveCost(from % w, Math.floor(from / w)) + this.getMoveCost(to % w, Math.floor(to / w))) / 2;
+    }
+
+    /**
+     * Dijkstra from a tile without leaving the cluster
+     * @returns {Map<number, number>} Tile index -> walking cost, for every reachable tile
+     */
+    searchCluster(bounds, startX, startY) {
+        const costs = new Map([[startY * this.width + startX, 0]]);
+        const open = new MinHeap();
+        open.push({ x: startX, y: startY, f: 0 });
+
+        while (open.length > 0) {
+            const node = open.pop();
+            if (node.f > costs.get(node.y * this.width + node.x)) continue; // Stale entry
+
+            for (let dir of DIRECTIONS) {
+                const nx = node.x + dir.x;
+                const ny = node.y + dir.y;
+                if (nx < bounds.minX || nx > bounds.maxX || ny < bounds.minY || ny > bounds.maxY) continue;
+                if (!this.isPassable(nx, ny)) continue;
+                // No corner cutting
+                if (dir.x !== 0 && dir.y !== 0 && !(this.isPassable(nx, node.y) && this.isPassable(node.x, ny))) continue;
+
+                const index = ny * this.width + nx;
+                const cost = node.f + dir.cost * (this.getMoveCost(node.x, node.y) + this.getMoveCost(nx, ny)) / 2;
+                if (!costs.has(index) || cost < costs.get(index)) {
+                    costs.set(index, cost);
+                    open.push({ x: nx, y: ny, f: cost });
+                }
+            }
+        }
+
+        return costs;
+    }
+
+    /**
+     * Search the abstract graph between two walkable tiles in different clusters
+     * @returns {Array<{x: number, y: number}>|null} Tiles to walk through, from the start to the end
+     *     (consecutive ones are in the same cluster or across an entrance), or null if
+     *     both are in the same cluster or there is no way
+     */
+    findAbstractPath(startX, startY, endX, endY) {
+        const startCluster = this.clusterOf(startX, startY);
+        const endCluster = this.clusterOf(endX, endY);
+        if (startCluster === endCluster) return null;
+
+        this.update();
+
+        const scale = this.getHeuristicScale();
+        const heuristic = (x, y) => {
+            const dx = Math.abs(x - endX);
+            const dy = Math.abs(y - endY);
+            return (Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy)) * scale;
+        };
+
+        // Walking costs from the start and (the same both ways) to the end inside their clusters
+        const fromStart = this.searchCluster(this.getBounds(startCluster), startX, startY);
+        const toEnd = this.searchCluster(this.getBounds(endCluster), endX, endY);
+
+        const g = new Map();
+        const parent = new Map();
+        const closed = new Set();
+        const open = new MinHeap();
+
+        (this.clusterNodes.get(startCluster) || []).forEach(index => {
+            const cost = fromStart.get(index);
+            if (cost === undefined) return;
+            const node = this.nodes.get(index);
+            g.set(index, cost);
+            parent.set(index, null);
+            open.push({ index, f: cost + heuristic(node.x, node.y) });
+        });
+
+        while (open.length > 0) {
+            const { index } = open.pop();
+            if (closed.has(index)) continue;
+            closed.add(index);
+
+            if (index === END) {
+                const tiles = [{ x: endX, y: endY }];
+                for (let curr = parent.get(END); curr !== null; curr = parent.get(curr)) {
+                    const node = this.nodes.get(curr);
+                    tiles.push({ x: node.x, y: node.y });
+                }
+                tiles.push({ x: startX, y: startY });
+                return tiles.reverse();
+            }
+
+            const node = this.nodes.get(index);
+            const exitCost = node.cluster === endCluster ? toEnd.get(index) : undefined;
+            if (exitCost !== undefined) {
+                const cost = g.get(index) + exitCost;
+                if (!g.has(END) || cost < g.get(END)) {
+                    g.set(END, cost);
+                    parent.set(END, index);
+                    open.push({ index: END, f: cost });
+                }
+            }
+
+            node.edges.forEach(({ to, cost }) => {
+                const next = this.nodes.get(to);
+                if (!next || closed.has(to)) return;
+                const total = g.get(index) + cost;
+                if (!g.has(to) || total < g.get(to)) {
+                    g.set(to, total);
+                    parent.set(to, index);
+                    open.push({ index: to, f: total + heuristic(next.x, next.y) });
+                }
+            });
+        }
+
+        return null;
+    }
+}
@@ -1,6 +1,7 @@
 /**
  * @module FeatureGenerator
- * @description Handles placement of terrain features (lakes, mountains, decorations)
+ * @description Handles placement of terrain features (lakes with fords, mountains,
+ * thickets at forest edges, decorations)
  */
 
 import { MAP_WIDTH, MAP_HEIGHT } from '../config/constants.js';
@@ -8,13 +9,17 @@ import { TILES } from '../config/entityStats.js';
 import { MAP_TEMPLATES } from './TerrainGenerator.js';
 
 export default class FeatureGenerator {
+    constructor(rng) {
+        this.rng = rng;
+    }
+
     apply(map, template) {
         console.log(`   → Applying features for: ${template}`);
 
         switch (template) {
             case MAP_TEMPLATES.FOREST:
-                this.addWaterLakes(map, 2 + Math.floor(Math.random() * 2));
-                this.addMountainRanges(map, 1 + Math.floor(Math.random() * 2));
+                this.addWaterLakes(map, 2 + Math.floor(this.rng.next() * 2));
+                this.addMountainRanges(map, 1 + Math.floor(this.rng.next() * 2));
                 break;
 
             case MAP_TEMPLATES.OPEN:
@@ -23,7 +28,7 @@ export default class FeatureGenerator {
                 break;
 
             case MAP_TEMPLATES.HIGHLANDS:
-                this.addMountainRanges(map, 4 + Math.floor(Math.random() * 3));
+                this.addMountainRanges(map, 4 + Math.floor(this.rng.next() * 3));
                 this.addWaterLakes(map, 3);
                 break;
 
@@ -35,25 +40,74 @@ export default class FeatureGenerator {
                 break;
         }
 
+        this.addForestEdges(map);
         this.addDecorations(map);
     }
 
     addWaterLakes(map, count) {
         for (let i = 0; i < count; i++) {
-            const cx = 15 + Math.floor(Math.random() * (MAP_WIDTH - 30));
-            const cy = 15 + Math.floor(Math.random() * (MAP_HEIGHT - 30));
-            const radius = 4 + Math.floor(Math.random() * 5);
+            const cx = 15 + Math.floor(this.rng.next() * (MAP_WIDTH - 30));
+            const cy = 15 + Math.floor(this.rng.next() * (MAP_HEIGHT - 30));
+            const radius = 4 + Math.floor(this.rng.next() * 5);
 
             this.addCircularFeature(map, cx, cy, radius, TILES.WATER, 1.0);
+            this.addFord(map, cx, cy, radius);
+        }
+    }
+
+    /**
+     * Carve a shallow crossing (2 tiles wide) right across a lake, at a random angle
+     */
+    addFord(map, cx, cy, radius) {
+        const angle = this.rng.next() * Math.PI;
+        const dx = Math.cos(angle);
+        const dy = Math.sin(angle);
+
+        for (let t = -radius; t <= radius; t += 0.5) {
+            for (let side = 0; side <= 1; side++) {
+                const x = Math.round(cx + dx * t - dy * side);
+                const y = Math.round(cy + dy * t + dx * side);
+                if (x >= 0 && x < MAP_WIDTH && y >= 0 && y < MAP_HEIGHT && map[y][x].id === TILES.WATER.id) {
+                    map[y][x] = TILES.FORD;
+                }
+            }
+        }
+    }
+
+    /**
+     * Turn some of the grass bordering forests into thicket
+     */
+    addForestEdges(map) {
+        const edges = [];
+        for (let y = 0; y < MAP_HEIGHT; y++) {
+            for (let x = 0; x < MAP_WIDTH; x++) {
+                if (map[y][x].id !== TILES.GRASS.id) continue;
+                let nearTree = false;
+                for (let dy = -1; dy <= 1 && !nearTree; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (nx >= 0 && nx < MAP_WIDTH && ny >= 0 && ny < MAP_HEIGHT && map[ny][nx].id === TILES.TREE.id) {
+                            nearTree = true;
+                            break;
+                        }
+                    }
+                }
+                if (nearTree) edges.push({ x, y });
+            }
         }
+
+        edges.forEach(({ x, y }) => {
+            if (this.rng.next() < 0.4) map[y][x] = TILES.THICKET;
+        });
     }
 
     addMountainRanges(map, count) {
         for (let i = 0; i < count; i++) {
-            const startX = Math.floor(Math.random() * MAP_WIDTH);
-            const startY = Math.floor(Math.random() * MAP_HEIGHT);
-            const length = 12 + Math.floor(Math.random() * 15);
-            const direction = Math.random() * Math.PI * 2;
+            const startX = Math.floor(this.rng.next() * MAP_WIDTH);
+            const startY = Math.floor(this.rng.next() * MAP_HEIGHT);
+            const length = 12 + Math.floor(this.rng.next() * 15);
+            const direction = this.rng.next() * Math.PI * 2;
 
             let x = startX;
             let y = startY;
@@ -63,8 +117,8 @@ export default class FeatureGenerator {
                 this.addCircularFeature(map, Math.floor(x), Math.floor(y), 2, TILES.MOUNTAIN, 0.7);
 
                 // Move along direction with noise
-                x += Math.cos(direction) + (Math.random() - 0.5);
-                y += Math.sin(direction) + (Math.random() - 0.5);
+                x += Math.cos(direction) + (this.rng.next() - 0.5);
+                y += Math.sin(direction) + (this.rng.next() - 0.5);
 
                 x = Math.max(5, Math.min(MAP_WIDTH - 5, x));
                 y = Math.max(5, Math.min(MAP_HEIGHT - 5, y));
@@ -79,10 +133,10 @@ export default class FeatureGenerator {
         /*
         for (let y = 0; y < MAP_HEIGHT; y++) {
             for (let x = 0; x < MAP_WIDTH; x++) {
-                if (map[y][x].id === TILES.GRASS.id && Math.random() < 0.03) {
+                if (map[y][x].id === TILES.GRASS.id && this.rng.next() < 0.03) {
                     map[y][x] = {
                         ...map[y][x],
-                        decoration: Math.random() > 0.5 ? 'flower' : 'rock'
+                        decoration: this.rng.next() > 0.5 ? 'flower' : 'rock'
                     };
                 }
             }
@@ -95,7 +149,7 @@ export default class FeatureGenerator {
             for (let x = cx - radius; x <= cx + radius; x++) {
                 if (x >= 0 && x < MAP_WIDTH && y >= 0 && y < MAP_HEIGHT) {
                     const dist = Math.sqrt((x - cx) ** 2 + (y - cy) ** 2);
-                    if (dist <= radius && Math.random() < probability) {
+                    if (dist <= radius && this.rng.next() < probability) {
                         map[y][x] = tile;
                     }
                 }
@@ -4,11 +4,12 @@
  */
 
 import { MAP_WIDTH, MAP_HEIGHT } from '../config/constants.js';
-import { TILES } from '../config/entityStats.js';
-import { map, units, buildings, setMap, setSpatialHash, setPathfinder } from '../core/GameState.js';
+import { TILES, FACTIONS } from '../config/entityStats.js';
+import { gameState, map, units, buildings, setMap, setSpatialHash, setPathfinder, initTileResources } from '../core/GameState.js';
 import SpatialHash from './SpatialHash.js';
 import Pathfinder from '../systems/Pathfinder.js';
 import { initFog } from '../systems/FogOfWar.js';
+import { rng, createSeed } from '../utils/Random.js';
 
 // Sub-modules
 import TerrainGenerator, { MAP_TEMPLATES } from './TerrainGenerator.js';
@@ -22,9 +23,21 @@ import MapBalancer from './MapBalancer.js';
 // ========================================
 export { MAP_TEMPLATES };
 
-export function generateMap(template = MAP_TEMPLATES.RANDOM) {
+const PLAYABLE_FACTION_IDS = [FACTIONS.PLAYER.id, FACTIONS.ENEMY.id, FACTIONS.ALLY.id, FACTIONS.ENEMY_2.id];
+
+/**
+ * Generate a new map. The same template and seed always produce the same map.
+ * @param {string} template - One of MAP_TEMPLATES
+ * @param {number|string} seed - PRNG seed (random if omitted)
+ * @param {Array<number>} factionIds - Factions that get a starting base
+ */
+export function generateMap(template = MAP_TEMPLATES.RANDOM, seed = createSeed(), factionIds = PLAYABLE_FACTION_IDS) {
     console.time('MapGeneration');
-    console.log(`🗺️ Generating map: ${template}`);
+
+    // Reseed the shared PRNG: map generation and every later AI decision derive from it
+    rng.setSeed(seed);
+    gameState.seed = rng.seed;
+    console.log(`🗺️ Generating map: ${template} (seed ${gameState.seed})`);
 
     // Select random template if needed
     if (template === MAP_TEMPLATES.RANDOM) {
@@ -34,15 +47,15 @@ export function generateMap(template = MAP_TEMPLATES.RANDOM) {
             MAP_TEMPLATES.ISLANDS,
             MAP_TEMPLATES.HIGHLANDS
         ];
-        template = templates[Math.floor(Math.random() * templates.length)];
+        template = rng.pick(templates);
         console.log(`   → Selected: ${template}`);
     }
 
     // Instantiate generators
-    const terrainGenerator = new TerrainGenerator();
-    const featureGenerator = new FeatureGenerator();
-    const resourceDistributor = new ResourceDistributor();
-    const spawnManager = new SpawnManager();
+    const terrainGenerator = new TerrainGenerator(rng);
+    const featureGenerator = new FeatureGenerator(rng);
+    const resourceDistributor = new ResourceDistributor(rng);
+    const spawnManager = new SpawnManager(rng);
     const mapBalancer = new MapBalancer();
 
     // 1. Generate base terrain
@@ -66,13 +79,16 @@ export function generateMap(template = MAP_TEMPLATES.RANDOM) {
 
     // 5. Spawn entities
     console.time('Spawning');
-    spawnManager.spawn(newMap, units, buildings);
+    spawnManager.spawn(newMap, units, buildings, factionIds);
     console.timeEnd('Spawning');
 
     // 6. Initialize systems
     console.time('Systems');
     setSpatialHash(new SpatialHash(10));
-    setPathfinder(new Pathfinder(MAP_WIDTH, MAP_HEIGHT, TILES, newMap));
+    const newPathfinder = new Pathfinder(MAP_WIDTH, MAP_HEIGHT, TILES, newMap);
+    newPathfinder.setBuildings(buildings);
+    setPathfinder(newPathfinder);
+    initTileResources();
     initFog();
     console.timeEnd('Systems');
 
@@ -81,5 +97,6 @@ export function generateMap(template = MAP_TEMPLATES.RANDOM) {
     mapBalancer.validate(newMap, buildings);
     console.timeEnd('Balance');
 
+    gameState.mapTemplate = template;
     console.timeEnd('MapGeneration');
 }
\ No newline at end of file
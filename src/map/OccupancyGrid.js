@@ -0,0 +1,74 @@
+/**
+ * @module OccupancyGrid
+ * @description Tiles covered by building footprints, for pathfinding
+ *
+ * The terrain (map tiles) only knows about trees, water and mountains; this
+ * grid adds the buildings standing on top of it. systems/Pathfinder.js owns
+ * one and treats occupied tiles as blocked.
+ *
+ * Key Features:
+ * - Footprints are added when a building (or blueprint) is placed and removed when it dies
+ * - Adding or removing the same building twice is harmless
+ * - Per-tile counts, so footprints that touch or overlap stay consistent
+ * - Rebuilt from the building list for a new match or a loaded save
+ */
+
+export default class OccupancyGrid {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.clear();
+    }
+
+    clear() {
+        this.counts = new Uint8Array(this.width * this.height);
+        this.footprints = new Map(); // building id -> { x, y, size }
+    }
+
+    /**
+     * @param {Array<Building>} buildings - Every building standing on the map (dead ones are skipped)
+     */
+    rebuild(buildings) {
+        this.clear();
+        buildings.forEach(b => {
+            if (!b.isDead) this.add(b);
+        });
+    }
+
+    /**
+     * @param {Building} building
+     * @returns {{ x: number, y: number, size: number }|null} The footprint, or null if it was already added
+     */
+    add(building) {
+        if (this.footprints.has(building.id)) return null;
+        const footprint = { x: Math.floor(building.x), y: Math.floor(building.y), size: building.size };
+        this.footprints.set(building.id, footprint);
+        this.forEachTile(footprint, index => { this.counts[index]++; });
+        return footprint;
+    }
+
+    /**
+     * @param {Building} building
+     * @returns {{ x: number, y: number, size: number }|null} The footprint that was freed, or null if it was not added
+     */
+    remove(building) {
+        const footprint = this.footprints.get(building.id);
+        if (!footprint) return null;
+        this.footprints.delete(building.id);
+        this.forEachTile(footprint, index => { this.counts[index]--; });
+        return footprint;
+    }
+
+    isBlocked(x, y) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) return false;
+        return this.counts[y * this.width + x] > 0;
+    }
+
+    forEachTile({ x, y, size }, callback) {
+        for (let ty = Math.max(0, y); ty < Math.min(this.height, y + size); ty++) {
+            for (let tx = Math.max(0, x); tx < Math.min(this.width, x + size); tx++) {
+                callback(ty * this.width + tx);
+            }
+        }
+    }
+}
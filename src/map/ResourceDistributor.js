@@ -8,6 +8,10 @@ import { FACTIONS, TILES } from '../config/entityStats.js';
 import Building from '../entities/Building.js';
 
 export default class ResourceDistributor {
+    constructor(rng) {
+        this.rng = rng;
+    }
+
     place(map, buildings) {
         console.log('   → Distributing resources...');
         this.spawnGoldMines(map, buildings);
@@ -75,8 +79,8 @@ export default class ResourceDistributor {
         let spawned = 0;
 
         for (let i = 0; i < depositCount * 10 && spawned < depositCount; i++) {
-            const x = Math.floor(Math.random() * (MAP_WIDTH - 2));
-            const y = Math.floor(Math.random() * (MAP_HEIGHT - 2));
+            const x = Math.floor(this.rng.next() * (MAP_WIDTH - 2));
+            const y = Math.floor(this.rng.next() * (MAP_HEIGHT - 2));
 
             if (this.isAreaClear(map, x, y, 2)) {
                 // Add stone deposit building (assuming 'stonedeposit' exists or will exist)
@@ -93,14 +97,15 @@ export default class ResourceDistributor {
                 // Let's stick to ResourceDistributor modifying tiles for stone if it's a tile resource.
 
                 // Re-implementing the tile-based stone deposit logic from original code:
-                const size = 2 + Math.floor(Math.random() * 3);
+                const size = 2 + Math.floor(this.rng.next() * 3);
                 let placed = false;
                 for (let dy = -size; dy <= size; dy++) {
                     for (let dx = -size; dx <= size; dx++) {
                         const py = y + dy;
                         const px = x + dx;
                         if (px >= 0 && px < MAP_WIDTH && py >= 0 && py < MAP_HEIGHT) {
-                            if (map[py][px].passable && Math.random() > 0.5) {
+                            // Never on a ford: it may be the only way across a lake
+                            if (map[py][px].passable && map[py][px].id !== TILES.FORD.id && this.rng.next() > 0.5) {
                                 map[py][px] = TILES.STONE;
                                 placed = true;
                             }
@@ -114,8 +119,8 @@ export default class ResourceDistributor {
 
     findValidLocation(map, cx, cy, minDist, maxDist, size) {
         for (let attempt = 0; attempt < 100; attempt++) {
-            const angle = Math.random() * Math.PI * 2;
-            const dist = minDist + Math.random() * (maxDist - minDist);
+            const angle = this.rng.next() * Math.PI * 2;
+            const dist = minDist + this.rng.next() * (maxDist - minDist);
 
             const x = Math.floor(cx + Math.cos(angle) * dist);
             const y = Math.floor(cy + Math.sin(angle) * dist);
@@ -198,9 +198,14 @@ export default class SpatialHash {
         return this.query(x, y, range).filter(e => e.faction === faction);
     }
     
-    queryEnemies(x, y, range, myFaction, neutralId) {
-        return this.query(x, y, range).filter(e => 
-            e.faction !== myFaction && e.faction !== neutralId
+    /**
+     * Hostile entities around a point
+     * @param {AllianceSystem} alliances - Allies (and myFaction itself) are skipped
+     * @param {number} neutralId - Faction nobody fights (gold mines)
+     */
+    queryEnemies(x, y, range, myFaction, alliances, neutralId) {
+        return this.query(x, y, range).filter(e =>
+            !e.isDead && e.faction !== neutralId && alliances.areEnemies(myFaction, e.faction)
         );
     }
     
@@ -5,13 +5,18 @@
 
 import { MAP_WIDTH, MAP_HEIGHT } from '../config/constants.js';
 import { FACTIONS, TILES } from '../config/entityStats.js';
-import { gameState } from '../core/GameState.js';
-import { updateResourcesUI } from '../ui/UIManager.js';
 import Unit from '../entities/Unit.js';
 import Building from '../entities/Building.js';
 
 export default class SpawnManager {
-    spawn(map, units, buildings) {
+    constructor(rng) {
+        this.rng = rng;
+    }
+
+    /**
+     * @param {Array<number>} factionIds - Factions taking part (others get no base)
+     */
+    spawn(map, units, buildings, factionIds) {
         console.log('   → Spawning initial entities...');
 
         const spawnConfigs = [
@@ -37,16 +42,11 @@ export default class SpawnManager {
             }
         ];
 
-        spawnConfigs.forEach(config => {
+        spawnConfigs.filter(config => factionIds.includes(config.faction)).forEach(config => {
             const spawn = this.getSpawnLocation(map, config.corner);
             this.spawnBase(map, units, buildings, spawn.x, spawn.y, config.faction, config.peasants);
         });
 
-        // Player starting resources
-        gameState.resources.gold = 500;
-        gameState.resources.wood = 500;
-        updateResourcesUI();
-
         console.log(`   → Spawned ${units.length} units and ${buildings.length} buildings`);
     }
 
@@ -76,8 +76,8 @@ export default class SpawnManager {
         }
 
         // Random offset for variety
-        baseX += Math.floor(Math.random() * variance * 2 - variance);
-        baseY += Math.floor(Math.random() * variance * 2 - variance);
+        baseX += Math.floor(this.rng.next() * variance * 2 - variance);
+        baseY += Math.floor(this.rng.next() * variance * 2 - variance);
 
         // Ensure on grass
         let attempts = 0;
@@ -15,6 +15,10 @@ export const MAP_TEMPLATES = {
 };
 
 export default class TerrainGenerator {
+    constructor(rng) {
+        this.rng = rng; // Seeded PRNG shared by the whole generation pass
+    }
+
     generate(template) {
         console.log(`   → Generating base terrain: ${template}`);
         switch (template) {
@@ -49,7 +53,7 @@ export default class TerrainGenerator {
         // 1. Random tree placement
         for (let y = 0; y < MAP_HEIGHT; y++) {
             for (let x = 0; x < MAP_WIDTH; x++) {
-                if (Math.random() < 0.42) {
+                if (this.rng.next() < 0.42) {
                     newMap[y][x] = TILES.TREE;
                 }
             }
@@ -99,11 +103,11 @@ export default class TerrainGenerator {
         // Let's put the *logic* for clusters here but maybe use a helper if needed.
         // For now, I'll inline the cluster logic or use a local helper to avoid circular dependency if I were to use FeatureGenerator.
 
-        const clusterCount = 8 + Math.floor(Math.random() * 5);
+        const clusterCount = 8 + Math.floor(this.rng.next() * 5);
         for (let i = 0; i < clusterCount; i++) {
-            const cx = Math.floor(Math.random() * MAP_WIDTH);
-            const cy = Math.floor(Math.random() * MAP_HEIGHT);
-            const radius = 3 + Math.floor(Math.random() * 4);
+            const cx = Math.floor(this.rng.next() * MAP_WIDTH);
+            const cy = Math.floor(this.rng.next() * MAP_HEIGHT);
+            const radius = 3 + Math.floor(this.rng.next() * 4);
 
             this.addCircularFeature(newMap, cx, cy, radius, TILES.TREE, 0.6);
         }
@@ -131,9 +135,9 @@ export default class TerrainGenerator {
                         const dist = Math.sqrt((x - island.x) ** 2 + (y - island.y) ** 2);
 
                         // Irregular island edges
-                        const noise = Math.random() * 2;
+                        const noise = this.rng.next() * 2;
                         if (dist <= island.radius - noise) {
-                            newMap[y][x] = Math.random() > 0.35 ? TILES.GRASS : TILES.TREE;
+                            newMap[y][x] = this.rng.next() > 0.35 ? TILES.GRASS : TILES.TREE;
                         }
                     }
                 }
@@ -167,7 +171,7 @@ export default class TerrainGenerator {
         // Light forests
         for (let y = 0; y < MAP_HEIGHT; y++) {
             for (let x = 0; x < MAP_WIDTH; x++) {
-                if (newMap[y][x].passable && Math.random() < 0.25) {
+                if (newMap[y][x].passable && this.rng.next() < 0.25) {
                     newMap[y][x] = TILES.TREE;
                 }
             }
@@ -199,7 +203,7 @@ export default class TerrainGenerator {
             for (let x = cx - radius; x <= cx + radius; x++) {
                 if (x >= 0 && x < MAP_WIDTH && y >= 0 && y < MAP_HEIGHT) {
                     const dist = Math.sqrt((x - cx) ** 2 + (y - cy) ** 2);
-                    if (dist <= radius && Math.random() < probability) {
+                    if (dist <= radius && this.rng.next() < probability) {
                         map[y][x] = tile;
                     }
                 }
@@ -9,12 +9,15 @@ import Building from '../entities/Building.js';
 // ==========================================
 class SpriteSheet {
     constructor(imagePath, tileWidth, tileHeight) {
-        this.image = new Image();
-        this.image.src = imagePath;
         this.tileWidth = tileWidth;
         this.tileHeight = tileHeight;
         this.loaded = false;
 
+        // No images when running headless (Node); draw() then reports not loaded
+        if (typeof Image === 'undefined') return;
+
+        this.image = new Image();
+        this.image.src = imagePath;
         this.image.onload = () => {
             this.loaded = true;
         };
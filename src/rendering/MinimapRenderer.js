@@ -3,6 +3,7 @@ import { TILE_SIZE, MAP_WIDTH, MAP_HEIGHT } from '../config/constants.js';
 import { camera } from './Camera.js';
 import { FACTIONS, TILES } from '../config/entityStats.js';
 import { Profiler } from '../utils/Profiler.js';
+import { eventBus, GAME_EVENTS } from '../core/EventBus.js';
 
 let minimapCanvas, minimapCtx;
 let terrainCache = null;
@@ -20,44 +21,62 @@ export function initMinimapRenderer(canvas, ctx) {
 
     // Initial draw of static terrain
     cacheTerrain();
+
+    // Keep the cache in sync as forests are cut down
+    eventBus.on(GAME_EVENTS.TILE_CHANGED, ({ x, y }) => drawTerrainTile(x, y));
 }
 
 function cacheTerrain() {
     if (!terrainCtx) return;
 
-    const scaleX = minimapCanvas.width / (MAP_WIDTH * TILE_SIZE);
-    const scaleY = minimapCanvas.height / (MAP_HEIGHT * TILE_SIZE);
-
     terrainCtx.fillStyle = '#000';
     terrainCtx.fillRect(0, 0, terrainCache.width, terrainCache.height);
 
     for (let y = 0; y < MAP_HEIGHT; y++) {
         for (let x = 0; x < MAP_WIDTH; x++) {
-            const tile = map[y][x];
-
-            if (tile.id === TILES.WATER.id) {
-                terrainCtx.fillStyle = '#1e90ff';
-            } else if (tile.id === TILES.TREE.id) {
-                terrainCtx.fillStyle = '#228b22';
-            } else if (tile.id === TILES.MOUNTAIN.id) {
-                terrainCtx.fillStyle = '#696969';
-            } else if (tile.id === TILES.STONE.id) {
-                terrainCtx.fillStyle = '#7f8c8d';
-            } else {
-                terrainCtx.fillStyle = '#2d5016';
-            }
-
-            terrainCtx.fillRect(
-                Math.floor(x * TILE_SIZE * scaleX),
-                Math.floor(y * TILE_SIZE * scaleY),
-                Math.ceil(TILE_SIZE * scaleX),
-                Math.ceil(TILE_SIZE * scaleY)
-            );
+            drawTerrainTile(x, y);
         }
     }
     console.log('🗺️ Minimap terrain cached');
 }
 
+function drawTerrainTile(x, y) {
+    if (!terrainCtx) return;
+
+    const scaleX = minimapCanvas.width / (MAP_WIDTH * TILE_SIZE);
+    const scaleY = minimapCanvas.height / (MAP_HEIGHT * TILE_SIZE);
+    const tile = map[y][x];
+
+    if (tile.id === TILES.WATER.id) {
+        terrainCtx.fillStyle = '#1e90ff';
+    } else if (tile.id === TILES.TREE.id) {
+        terrainCtx.fillStyle = '#228b22';
+    } else if (tile.id === TILES.MOUNTAIN.id) {
+        terrainCtx.fillStyle = '#696969';
+    } else if (tile.id === TILES.STONE.id) {
+        terrainCtx.fillStyle = '#7f8c8d';
+    } else if (tile.id === TILES.FORD.id) {
+        terrainCtx.fillStyle = '#5fa8d3';
+    } else if (tile.id === TILES.THICKET.id) {
+        terrainCtx.fillStyle = '#2e6b1f';
+    } else if (tile.id === TILES.ROAD.id) {
+        terrainCtx.fillStyle = '#b8976a';
+    } else {
+        terrainCtx.fillStyle = '#2d5016';
+    }
+
+    terrainCtx.fillRect(
+        Math.floor(x * TILE_SIZE * scaleX),
+        Math.floor(y * TILE_SIZE * scaleY),
+        Math.ceil(TILE_SIZE * scaleX),
+        Math.ceil(TILE_SIZE * scaleY)
+    );
+}
+
+export function refreshMinimapTerrain() {
+    cacheTerrain();
+}
+
 export function drawMinimap() {
     if (!minimapCtx) return;
 
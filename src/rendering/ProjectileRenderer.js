@@ -0,0 +1,69 @@
+/**
+ * @module ProjectileRenderer
+ * @description Draws arrows, bolts and cannonballs in flight (systems/ProjectileSystem.js)
+ *
+ * Projectiles fly in a straight line in the simulation; the renderer lifts
+ * them along a parabola (PROJECTILE_STATS[kind].arc, in tiles) and points
+ * them along the arc's tangent. Hidden under fog like units.
+ */
+
+import { TILE_SIZE } from '../config/constants.js';
+import { PROJECTILE_STATS } from '../config/entityStats.js';
+import { fogMap } from '../core/GameState.js';
+import { projectileSystem } from '../systems/ProjectileSystem.js';
+
+export default class ProjectileRenderer {
+    /**
+     * @param {CanvasRenderingContext2D} ctx - Already translated to world space
+     * @param {Object} bounds - Viewport in world pixels { left, right, top, bottom }
+     */
+    draw(ctx, bounds) {
+        ctx.save();
+        ctx.lineCap = 'round';
+        ctx.lineWidth = 2;
+
+        projectileSystem.projectiles.forEach(p => {
+            const stats = PROJECTILE_STATS[p.kind];
+            const pos = projectileSystem.getPosition(p);
+
+            const tx = Math.floor(pos.x);
+            const ty = Math.floor(pos.y);
+            if (fogMap[ty] && fogMap[ty][tx] !== 2) return;
+
+            const x = pos.x * TILE_SIZE;
+            const y = (pos.y - this.getLift(p.progress, stats.arc)) * TILE_SIZE;
+            if (x < bounds.left || x > bounds.right || y < bounds.top || y > bounds.bottom) return;
+
+            // Direction of travel including the arc
+            const dx = (p.x - p.startX) * TILE_SIZE;
+            const dy = (p.y - p.startY) * TILE_SIZE - this.getLiftSlope(p.progress, stats.arc) * TILE_SIZE;
+            const length = Math.hypot(dx, dy) || 1;
+            const tailX = x - (dx / length) * stats.length;
+            const tailY = y - (dy / length) * stats.length;
+
+            ctx.strokeStyle = stats.color;
+            ctx.beginPath();
+            ctx.moveTo(tailX, tailY);
+            ctx.lineTo(x, y);
+            ctx.stroke();
+
+            // Tip (or the whole ball for round shot)
+            ctx.fillStyle = stats.radius ? stats.color : '#555';
+            ctx.beginPath();
+            ctx.arc(x, y, stats.radius || 2, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        ctx.restore();
+    }
+
+    /** Height above the ground (tiles) at a point of the flight */
+    getLift(progress, arc) {
+        return 4 * arc * progress * (1 - progress);
+    }
+
+    /** d(lift)/d(progress) */
+    getLiftSlope(progress, arc) {
+        return 4 * arc * (1 - 2 * progress);
+    }
+}
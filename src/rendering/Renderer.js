@@ -8,12 +8,14 @@ import { TILE_SIZE, MAP_WIDTH, MAP_HEIGHT } from '../config/constants.js';
 import { camera } from './Camera.js';
 import { getMousePosition } from '../input/InputManager.js';
 import { Profiler } from '../utils/Profiler.js';
+import { eventBus, GAME_EVENTS } from '../core/EventBus.js';
 
 // Sub-renderers
 import TerrainRenderer from './TerrainRenderer.js';
 import FogRenderer from './FogRenderer.js';
 import EntityRenderer from './EntityRenderer.js';
 import ParticleRenderer from './ParticleRenderer.js';
+import ProjectileRenderer from './ProjectileRenderer.js';
 import UIRenderer from './UIRenderer.js';
 
 export default class Renderer {
@@ -28,6 +30,7 @@ export default class Renderer {
         this.fogRenderer = new FogRenderer();
         this.entityRenderer = new EntityRenderer();
         this.particleRenderer = new ParticleRenderer();
+        this.projectileRenderer = new ProjectileRenderer();
         this.uiRenderer = new UIRenderer();
 
         this.lastCameraX = 0;
@@ -46,6 +49,17 @@ export default class Renderer {
         this.terrainRenderer.init();
         this.fogRenderer.init();
 
+        // Cut-down forests and other terrain changes
+        eventBus.on(GAME_EVENTS.TILE_CHANGED, ({ x, y }) => this.updateTile(x, y));
+
+        // Impact effects for arrows and bolts
+        eventBus.on(GAME_EVENTS.PROJECTILE_HIT, ({ projectile }) => {
+            this.particleRenderer.swordHit(projectile.x * TILE_SIZE, projectile.y * TILE_SIZE);
+        });
+        eventBus.on(GAME_EVENTS.PROJECTILE_MISSED, ({ projectile }) => {
+            this.particleRenderer.emit(projectile.x * TILE_SIZE, projectile.y * TILE_SIZE, 3, { color: '#9e8a6a', size: 2, life: 12, spread: 1 });
+        });
+
         this.lastTime = performance.now();
     }
 
@@ -61,6 +75,12 @@ export default class Renderer {
         this.fogRenderer.markDirty(x, y);
     }
 
+    redrawWorld() {
+        // Map was replaced wholesale (e.g. loading a save)
+        this.terrainRenderer.drawFullMap();
+        this.fogRenderer.markFullRedraw();
+    }
+
     setDragState(dragging, startX, startY, currentX, currentY) {
         this.uiRenderer.setDragState(dragging, startX, startY, currentX, currentY);
     }
@@ -158,6 +178,13 @@ export default class Renderer {
             deltaTime
         );
 
+        // 4. Projectiles and particles (world pixel coordinates)
+        Profiler.start('Draw_Particles');
+        this.projectileRenderer.draw(this.ctx, viewportBounds);
+        this.particleRenderer.update();
+        this.particleRenderer.draw(this.ctx);
+        Profiler.end('Draw_Particles');
+
         // 5. World-Space UI (BEFORE restoring transform)
         // These elements need to move with the camera
         Profiler.start('Draw_WorldUI');
@@ -167,13 +194,7 @@ export default class Renderer {
         this.ctx.restore();
         Profiler.end('Draw_Entities');
 
-        // 6. Particles
-        Profiler.start('Draw_Particles');
-        this.particleRenderer.update();
-        this.particleRenderer.draw(this.ctx);
-        Profiler.end('Draw_Particles');
-
-        // 7. Screen-Space UI (AFTER restoring transform)
+        // 6. Screen-Space UI (AFTER restoring transform)
         // These elements stay fixed on screen
         Profiler.start('Draw_ScreenUI');
         this.uiRenderer.drawScreenUI(this.ctx);
@@ -189,4 +210,5 @@ export const draw = () => renderer.draw();
 export const updateFogRenderer = () => renderer.updateFog();
 export const updateFogTile = (x, y) => renderer.updateFogTile(x, y);
 export const updateTileRenderer = (x, y) => renderer.updateTile(x, y);
+export const redrawWorld = () => renderer.redrawWorld();
 export const drawStaticMap = () => { }; // No-op
@@ -1,8 +1,24 @@
-import { TILE_SIZE, MAP_WIDTH, MAP_HEIGHT } from '../config/constants.js';
+import { TILE_SIZE } from '../config/constants.js';
 import { camera } from './Camera.js';
-import { gameState, map } from '../core/GameState.js';
-import { BUILDING_STATS, TILES } from '../config/entityStats.js';
+import { gameState, isBuildableArea } from '../core/GameState.js';
+import { BUILDING_STATS, FACTIONS } from '../config/entityStats.js';
 import { getMousePosition } from '../input/InputManager.js';
+import { COMMANDS, findEntityById } from '../core/Commands.js';
+
+// Waypoint line color per queued order type
+const ORDER_COLORS = {
+    [COMMANDS.MOVE]: '#2ecc71',
+    [COMMANDS.ATTACK]: '#e74c3c',
+    [COMMANDS.ATTACK_MOVE]: '#e67e22',
+    [COMMANDS.GATHER]: '#f1c40f',
+    [COMMANDS.BUILD]: '#3498db',
+    [COMMANDS.REPAIR]: '#1abc9c',
+    [COMMANDS.BUILD_ROAD]: '#a68a5b',
+    [COMMANDS.PATROL]: '#9b59b6',
+    [COMMANDS.GUARD]: '#00bcd4',
+    [COMMANDS.FOLLOW]: '#bdc3c7',
+    [COMMANDS.CAST]: '#e84393'
+};
 
 export default class UIRenderer {
     constructor() {
@@ -90,12 +106,21 @@ export default class UIRenderer {
             }
         });
 
+        // Queued orders of the selected units
+        this.drawOrderQueues(ctx);
+
         // Building Ghost (world-space but uses screen mouse coords)
         if (gameState.buildingMode) {
             const { x, y } = getMousePosition();
             this.drawBuildingGhost(ctx, x, y, gameState.buildingMode);
         }
 
+        // Target marker while a command hotkey waits for its right-click
+        if (gameState.commandMode) {
+            const { x, y } = getMousePosition();
+            this.drawCommandCursor(ctx, x, y, gameState.commandMode);
+        }
+
         // Flush health bars (must be in world-space)
         this.flushHealthBars(ctx);
     }
@@ -115,23 +140,79 @@ export default class UIRenderer {
         }
     }
 
+    /**
+     * Draw each selected unit's queued orders as a chain of waypoint lines,
+     * starting from its current destination
+     */
+    drawOrderQueues(ctx) {
+        // Unit positions are drawn from their top-left corner
+        const toPixel = v => v * TILE_SIZE + TILE_SIZE / 2;
+
+        ctx.save();
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([6, 4]);
+
+        gameState.selectedEntities.forEach(unit => {
+            if (!unit.orderQueue || unit.orderQueue.length === 0 || unit.faction !== FACTIONS.PLAYER.id) return;
+
+            let from = unit.isMoving ? { x: unit.targetX, y: unit.targetY } : { x: unit.x, y: unit.y };
+
+            unit.orderQueue.forEach(order => {
+                const target = findEntityById(order.targetId);
+                const point = target ? { x: target.x, y: target.y } : { x: order.x + 0.5, y: order.y + 0.5 };
+                if (Number.isNaN(point.x) || Number.isNaN(point.y)) return;
+
+                const color = ORDER_COLORS[order.type] || '#ffffff';
+                ctx.strokeStyle = color;
+                ctx.beginPath();
+                ctx.moveTo(toPixel(from.x), toPixel(from.y));
+                ctx.lineTo(toPixel(point.x), toPixel(point.y));
+                ctx.stroke();
+
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.arc(toPixel(point.x), toPixel(point.y), 4, 0, Math.PI * 2);
+                ctx.fill();
+
+                // Footprint of buildings that have not been placed yet
+                if (order.type === COMMANDS.BUILD && order.buildingType) {
+                    const size = BUILDING_STATS[order.buildingType].size * TILE_SIZE;
+                    ctx.strokeRect(order.x * TILE_SIZE, order.y * TILE_SIZE, size, size);
+                }
+
+                from = point;
+            });
+        });
+
+        ctx.restore();
+    }
+
+    drawCommandCursor(ctx, mouseX, mouseY, commandType) {
+        const tileX = Math.floor((mouseX + camera.x) / TILE_SIZE);
+        const tileY = Math.floor((mouseY + camera.y) / TILE_SIZE);
+        const cx = tileX * TILE_SIZE + TILE_SIZE / 2;
+        const cy = tileY * TILE_SIZE + TILE_SIZE / 2;
+        const r = TILE_SIZE / 2;
+
+        ctx.save();
+        ctx.strokeStyle = ORDER_COLORS[commandType] || '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(cx, cy, r - 2, 0, Math.PI * 2);
+        ctx.moveTo(cx - r, cy);
+        ctx.lineTo(cx + r, cy);
+        ctx.moveTo(cx, cy - r);
+        ctx.lineTo(cx, cy + r);
+        ctx.stroke();
+        ctx.restore();
+    }
+
     drawBuildingGhost(ctx, mouseX, mouseY, buildingType) {
         const stats = BUILDING_STATS[buildingType];
         const tileX = Math.floor((mouseX + camera.x) / TILE_SIZE);
         const tileY = Math.floor((mouseY + camera.y) / TILE_SIZE);
 
-        let canBuild = true;
-        for (let y = 0; y < stats.size; y++) {
-            for (let x = 0; x < stats.size; x++) {
-                const tx = tileX + x;
-                const ty = tileY + y;
-                if (tx < 0 || tx >= MAP_WIDTH || ty < 0 || ty >= MAP_HEIGHT ||
-                    !map[ty][tx].passable || map[ty][tx].id !== TILES.GRASS.id) {
-                    canBuild = false;
-                    break;
-                }
-            }
-        }
+        const canBuild = isBuildableArea(tileX, tileY, stats.size);
 
         ctx.globalAlpha = 0.5;
         ctx.fillStyle = canBuild ? '#00ff0044' : '#ff000044';
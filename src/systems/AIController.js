@@ -6,6 +6,7 @@
 import { units, buildings, gameState } from '../core/GameState.js';
 import { AI_TUNING } from '../config/aiTuning.js';
 import { Profiler } from '../utils/Profiler.js';
+import { rng } from '../utils/Random.js';
 
 import { AILogger } from '../ai/AILogger.js';
 import AIWorldView from '../ai/AIWorldView.js';
@@ -18,7 +19,7 @@ import AIScoutManager from '../ai/AIScoutManager.js';
 import AIMicroManager from '../ai/AIMicroManager.js';
 import AIStrategyManager from '../ai/AIStrategyManager.js';
 
-const AI_PERSONALITIES = {
+export const AI_PERSONALITIES = {
     RUSHER: {
         name: "Rusher",
         economyFocus: 0.3,
@@ -48,20 +49,24 @@ const AI_PERSONALITIES = {
         economyFocus: 0.5,
         militaryFocus: 0.5,
         expansionThreshold: 12,
-        buildPriority: ['barracks', 'farm', 'blacksmith'],
+        buildPriority: ['barracks', 'temple', 'farm', 'blacksmith'],
         preferredUnits: ['soldier', 'archer', 'knight']
     }
 };
 
 export default class AIController {
-    constructor(factionId, difficulty = 'NORMAL') {
+    /**
+     * @param {number} factionId
+     * @param {string} difficulty - EASY, NORMAL or HARD
+     * @param {string|null} personality - Key of AI_PERSONALITIES (random if omitted)
+     */
+    constructor(factionId, difficulty = 'NORMAL', personality = null) {
         this.factionId = factionId;
         this.difficulty = difficulty;
 
-        // Select random personality
-        const personalities = Object.keys(AI_PERSONALITIES);
-        const randomPersonality = personalities[Math.floor(Math.random() * personalities.length)];
-        this.personality = JSON.parse(JSON.stringify(AI_PERSONALITIES[randomPersonality]));
+        // Select random personality unless one was chosen (seeded, so replays pick the same one)
+        const personalityKey = AI_PERSONALITIES[personality] ? personality : rng.pick(Object.keys(AI_PERSONALITIES));
+        this.personality = JSON.parse(JSON.stringify(AI_PERSONALITIES[personalityKey]));
 
         // Difficulty adjustments
         this.reactionTime = AI_TUNING.REACTION_TIME[difficulty] || AI_TUNING.REACTION_TIME.NORMAL;
@@ -0,0 +1,200 @@
+/**
+ * @module AbilitySystem
+ * @description Casting of unit abilities (config/abilities.js)
+ *
+ * - Units pay with mana or energy; both pools start full and regenerate every tick
+ * - Each ability has its own cooldown per unit, counted in simulation ticks
+ * - Targeted abilities ('enemy' / 'ally') need a valid target within range;
+ *   walking into range is up to the caster (Unit.castAbility)
+ * - Effects that would do nothing (healing a healthy unit, a volley with no
+ *   enemy in range) are not cast, so neither the cost nor the cooldown is paid
+ * - Temporary effects on the caster (the charge) are kept as buffs on the unit
+ *
+ * Everything runs inside the simulation tick with no randomness of its own,
+ * so casts replay exactly from the recorded commands.
+ */
+
+import { ABILITIES, POOLS } from '../config/abilities.js';
+import { FACTIONS } from '../config/entityStats.js';
+import { MS_PER_UPDATE } from '../config/constants.js';
+import { spatialHash, allianceSystem } from '../core/GameState.js';
+import { eventBus, GAME_EVENTS } from '../core/EventBus.js';
+import { projectileSystem, getEntityCenter } from './ProjectileSystem.js';
+
+const TICKS_PER_SECOND = 1000 / MS_PER_UPDATE;
+const POOL_REGEN = {
+    mana: POOLS.mana.regen / TICKS_PER_SECOND,
+    energy: POOLS.energy.regen / TICKS_PER_SECOND
+};
+
+// Effect runners: return false when there was nothing to do (nothing is paid then)
+const EFFECTS = {
+    charge(caster, effect, ability, target) {
+        caster.buffs.push({
+            abilityId: 'charge',
+            ticks: Math.round(effect.duration * TICKS_PER_SECOND),
+            speedMultiplier: effect.speedMultiplier,
+            bonusAttack: effect.bonusAttack
+        });
+        caster.targetEntity = target;
+        caster.moveTo(target.getTileX(), target.getTileY(), target);
+        return true;
+    },
+
+    volley(caster, effect, ability) {
+        const targets = getEnemiesInRange(caster, ability.range).slice(0, effect.arrows);
+        targets.forEach(target => projectileSystem.fire(caster, target));
+        return targets.length > 0;
+    },
+
+    heal(caster, effect, ability, target) {
+        if (target.health >= target.maxHealth) return false;
+        target.health = Math.min(target.maxHealth, target.health + effect.amount);
+        return true;
+    }
+};
+
+/**
+ * @param {Unit} unit
+ * @returns {Array<string>} IDs of the abilities the unit knows
+ */
+export function getAbilities(unit) {
+    return unit.stats.abilities || [];
+}
+
+/**
+ * @param {Unit} unit
+ * @returns {{ type: string, current: number, max: number }|null} The unit's mana or energy pool (null if it has neither)
+ */
+export function getPool(unit) {
+    if (unit.maxMana > 0) return { type: 'mana', current: unit.mana, max: unit.maxMana };
+    if (unit.maxEnergy > 0) return { type: 'energy', current: unit.energy, max: unit.maxEnergy };
+    return null;
+}
+
+/**
+ * @param {Unit} unit
+ * @param {string} abilityId
+ * @returns {number} Ticks until the ability can be cast again
+ */
+export function getCooldown(unit, abilityId) {
+    return unit.abilityCooldowns[abilityId] || 0;
+}
+
+/**
+ * @param {Unit} unit
+ * @param {string} abilityId
+ * @returns {boolean} True if the unit knows the ability, it is off cooldown and the pool can pay for it
+ */
+export function canCast(unit, abilityId) {
+    const ability = ABILITIES[abilityId];
+    if (!ability || unit.isDead || !getAbilities(unit).includes(abilityId)) return false;
+    return getCooldown(unit, abilityId) === 0 && unit[ability.resource] >= ability.cost;
+}
+
+/**
+ * @param {Unit} caster
+ * @param {Object} ability - ABILITIES entry
+ * @param {Entity} target
+ * @returns {boolean} True if the target is a live unit of the kind the ability aims at
+ */
+export function isValidTarget(caster, ability, target) {
+    if (!target || target.isDead || target.size) return false; // Units only (buildings have a size)
+    if (ability.targeting === 'enemy') {
+        return target.faction !== FACTIONS.NEUTRAL.id && allianceSystem.areEnemies(caster.faction, target.faction);
+    }
+    if (ability.targeting === 'ally') {
+        return allianceSystem.areAllies(caster.faction, target.faction);
+    }
+    return false;
+}
+
+/**
+ * @returns {boolean} True if the target is close enough to cast at without moving
+ */
+export function isInCastRange(caster, ability, target) {
+    return Math.hypot(target.x - caster.x, target.y - caster.y) <= ability.range + 0.5;
+}
+
+/**
+ * @param {Unit} caster
+ * @param {number} range - Tiles
+ * @returns {Array<Entity>} Enemy units and buildings in range, nearest first (ties by ID)
+ */
+export function getEnemiesInRange(caster, range) {
+    if (!spatialHash) return [];
+    const distance = e => {
+        const center = getEntityCenter(e);
+        return Math.hypot(center.x - caster.x, center.y - caster.y) - ((e.size || 1) - 1) / 2;
+    };
+    const nearby = new Set(spatialHash.queryEnemies(caster.x, caster.y, range + 2, caster.faction, allianceSystem, FACTIONS.NEUTRAL.id));
+    return [...nearby] // A unit can sit in more than one bucket of the hash
+        .map(e => ({ e, d: distance(e) }))
+        .filter(({ d }) => d <= range)
+        .sort((a, b) => (a.d - b.d) || (a.e.id - b.e.id))
+        .map(({ e }) => e);
+}
+
+/**
+ * Cast an ability right now: pay for it, start its cooldown and apply the effect
+ * @param {Unit} caster
+ * @param {string} abilityId
+ * @param {Entity} target - Required for 'enemy' and 'ally' abilities
+ * @returns {boolean} False if the cast was not possible (nothing is paid then)
+ */
+export function cast(caster, abilityId, target = null) {
+    if (!canCast(caster, abilityId)) return false;
+
+    const ability = ABILITIES[abilityId];
+    if (ability.targeting !== 'none') {
+        if (!isValidTarget(caster, ability, target) || !isInCastRange(caster, ability, target)) return false;
+    }
+
+    if (!EFFECTS[ability.effect.type](caster, ability.effect, ability, target)) return false;
+
+    caster[ability.resource] -= ability.cost;
+    caster.abilityCooldowns[abilityId] = Math.round(ability.cooldown * TICKS_PER_SECOND);
+    eventBus.emit(GAME_EVENTS.ABILITY_CAST, { unit: caster, abilityId, target });
+    return true;
+}
+
+/**
+ * Called once per tick for every unit: regenerate pools, count down cooldowns, expire buffs
+ * @param {Unit} unit
+ */
+export function updateAbilities(unit) {
+    if (unit.mana < unit.maxMana) {
+        unit.mana = Math.min(unit.maxMana, unit.mana + POOL_REGEN.mana);
+    }
+    if (unit.energy < unit.maxEnergy) {
+        unit.energy = Math.min(unit.maxEnergy, unit.energy + POOL_REGEN.energy);
+    }
+
+    for (const abilityId in unit.abilityCooldowns) {
+        if (--unit.abilityCooldowns[abilityId] <= 0) delete unit.abilityCooldowns[abilityId];
+    }
+
+    if (unit.buffs.length > 0) {
+        unit.buffs.forEach(buff => buff.ticks--);
+        unit.buffs = unit.buffs.filter(buff => buff.ticks > 0);
+    }
+}
+
+/**
+ * @param {Unit} unit
+ * @returns {number} Product of the speed multipliers of the unit's buffs
+ */
+export function getSpeedMultiplier(unit) {
+    return unit.buffs.reduce((multiplier, buff) => multiplier * (buff.speedMultiplier || 1), 1);
+}
+
+/**
+ * Use up the buffs that add damage to the next hit
+ * @param {Unit} unit
+ * @returns {number} Extra attack for this hit
+ */
+export function consumeAttackBonus(unit) {
+    const bonus = unit.buffs.reduce((sum, buff) => sum + (buff.bonusAttack || 0), 0);
+    if (bonus > 0) unit.buffs = unit.buffs.filter(buff => !buff.bonusAttack);
+    return bonus;
+}
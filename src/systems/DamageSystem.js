@@ -0,0 +1,73 @@
+/**
+ * @module DamageSystem
+ * @description Damage formula shared by units, towers and projectiles
+ *
+ * damage = attack x DAMAGE_MULTIPLIERS[attackType][armorType] x armor reduction x variance
+ *
+ * - Attack types (normal, pierce, siege) and armor classes (light, medium,
+ *   heavy, fortified) come from the entity stats (config/entityStats.js)
+ * - Every armor point removes a share of the damage with diminishing returns,
+ *   so armor upgrades (steel_armor) stay useful without making units immune
+ * - Variance is drawn from the seeded PRNG, keeping combat deterministic
+ *   for replays and headless runs
+ *
+ * applyDamage() resolves a hit (melee swing or arriving projectile) and
+ * reports it on the event bus.
+ */
+
+import { DAMAGE_MULTIPLIERS, DAMAGE_FORMULA, ATTACK_TYPES, ARMOR_TYPES } from '../config/entityStats.js';
+import { rng } from '../utils/Random.js';
+import { eventBus, GAME_EVENTS } from '../core/EventBus.js';
+
+/**
+ * @param {string} attackType - One of ATTACK_TYPES
+ * @param {string} armorType - One of ARMOR_TYPES
+ * @returns {number} Multiplier on the attack stat
+ */
+export function getDamageMultiplier(attackType = ATTACK_TYPES.NORMAL, armorType = ARMOR_TYPES.MEDIUM) {
+    const row = DAMAGE_MULTIPLIERS[attackType] || DAMAGE_MULTIPLIERS[ATTACK_TYPES.NORMAL];
+    return row[armorType] ?? 1;
+}
+
+/**
+ * @param {number} armor - Armor stat (may be negative)
+ * @returns {number} Share of the damage that gets through (0-1]
+ */
+export function getArmorFactor(armor = 0) {
+    if (armor <= 0) return 1;
+    const reduction = armor * DAMAGE_FORMULA.armorReductionPerPoint;
+    return 1 - reduction / (1 + reduction);
+}
+
+/**
+ * Roll the damage of one hit
+ * @param {Object} attackStats - { attack, attackType } of the attacker
+ * @param {Entity} target - Unit or building being hit
+ * @returns {number} Whole damage points (at least DAMAGE_FORMULA.minDamage)
+ */
+export function calculateDamage(attackStats, target) {
+    const { armor = 0, armorType } = target.stats;
+    const variance = rng.range(1 - DAMAGE_FORMULA.variance, 1 + DAMAGE_FORMULA.variance);
+    const damage = attackStats.attack *
+        getDamageMultiplier(attackStats.attackType, armorType) *
+        getArmorFactor(armor) *
+        variance;
+
+    return Math.max(DAMAGE_FORMULA.minDamage, Math.round(damage));
+}
+
+/**
+ * Deal damage to a target, killing it if its health runs out
+ * @param {Entity|null} attacker - Null if the shooter was removed before its projectile landed
+ * @param {Entity} target
+ * @param {number} damage - From calculateDamage()
+ * @returns {boolean} True if this hit killed the target
+ */
+export function applyDamage(attacker, target, damage) {
+    target.health -= damage;
+    const killed = target.health <= 0;
+    if (killed) target.die(attacker);
+
+    eventBus.emit(GAME_EVENTS.UNDER_ATTACK, { target, attacker, damage });
+    return killed;
+}
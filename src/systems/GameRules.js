@@ -0,0 +1,204 @@
+/**
+ * @module GameRules
+ * @description Victory, defeat and elimination tracking
+ *
+ * This module decides when factions are eliminated and when the match is over:
+ * - Checks each participating faction against the configured condition
+ * - Removes the remaining forces of eliminated factions
+ * - Ends the match when only one team (mutual allies) is left, or when the
+ *   time limit is reached (highest team score wins)
+ * - Produces per-faction results for the end screen and headless runs
+ *
+ * Key Features:
+ * - Configurable conditions (config/gameRules.js)
+ * - Team-aware via AllianceSystem
+ * - Runs inside the simulation tick (deterministic, replay-safe)
+ * - Serializable state for save games
+ * - Announces eliminations and the match end on the event bus
+ */
+
+import { gameState, units, buildings, allianceSystem } from '../core/GameState.js';
+import { FACTIONS, UNIT_STATS, UPGRADES } from '../config/entityStats.js';
+import { GAME_RULES_CONFIG, VICTORY_CONDITIONS, TOWN_HALL_TYPES, SCORE_WEIGHTS } from '../config/gameRules.js';
+import { MS_PER_UPDATE } from '../config/constants.js';
+import { eventBus, GAME_EVENTS } from '../core/EventBus.js';
+import { entityRegistry } from '../core/EntityRegistry.js';
+
+const FACTION_LIST = Object.values(FACTIONS).filter(f => f.id !== FACTIONS.NEUTRAL.id);
+
+function costValue(cost) {
+    return cost ? (cost.gold || 0) + (cost.wood || 0) + (cost.stone || 0) : 0;
+}
+
+export default class GameRules {
+    constructor(config = GAME_RULES_CONFIG) {
+        this.reset(config);
+    }
+
+    /**
+     * Start tracking a new match
+     * @param {Object} config - See GAME_RULES_CONFIG
+     */
+    reset(config = GAME_RULES_CONFIG) {
+        this.config = { ...GAME_RULES_CONFIG, ...config };
+        this.participants = null; // Factions that started with entities (set on first check)
+        this.eliminated = {}; // factionId -> tick
+        this.gameOver = false;
+        this.winners = [];
+        this.endTick = null;
+    }
+
+    /**
+     * Called once per simulation tick
+     */
+    update() {
+        if (this.gameOver) return;
+
+        if (!this.participants) {
+            this.participants = FACTION_LIST
+                .map(f => f.id)
+                .filter(id => entityRegistry.getByFaction(id).length > 0);
+        }
+
+        if (gameState.gameTime % this.config.checkInterval !== 0) return;
+
+        this.getSurvivors().forEach(factionId => {
+            if (this.isDefeated(factionId)) this.eliminate(factionId);
+        });
+
+        const survivors = this.getSurvivors();
+        if (this.isSingleTeam(survivors)) {
+            this.endMatch(survivors);
+        } else if (this.config.condition === VICTORY_CONDITIONS.TIME_LIMIT && this.isTimeUp()) {
+            this.endMatch(this.getLeadingTeam(survivors));
+        }
+    }
+
+    isDefeated(factionId) {
+        // Construction sites do not count: a faction needs a finished building to stay in
+        const owned = buildings.filter(b => !b.isDead && !b.isBlueprint && b.faction === factionId);
+
+        if (this.config.condition === VICTORY_CONDITIONS.TOWN_HALLS) {
+            return !owned.some(b => TOWN_HALL_TYPES.includes(b.type));
+        }
+        return owned.length === 0;
+    }
+
+    eliminate(factionId) {
+        this.eliminated[factionId] = gameState.gameTime;
+
+        // Remaining forces of an eliminated faction are removed from play
+        units.forEach(u => { if (!u.isDead && u.faction === factionId) u.die(); });
+        buildings.forEach(b => { if (!b.isDead && b.faction === factionId) b.die(); });
+
+        const name = FACTION_LIST.find(f => f.id === factionId).name;
+        console.log(`☠️ ${name} (faction ${factionId}) eliminated at tick ${gameState.gameTime}`);
+        eventBus.emit(GAME_EVENTS.FACTION_ELIMINATED, { faction: factionId, tick: gameState.gameTime });
+    }
+
+    endMatch(winners) {
+        this.gameOver = true;
+        this.winners = winners;
+        this.endTick = gameState.gameTime;
+        console.log(`🏆 Match over at tick ${this.endTick}: winners [${winners.join(', ')}]`);
+        eventBus.emit(GAME_EVENTS.MATCH_ENDED, { winners, tick: this.endTick });
+    }
+
+    isTimeUp() {
+        return gameState.gameTime * MS_PER_UPDATE >= this.config.timeLimitMinutes * 60 * 1000;
+    }
+
+    isSingleTeam(factionIds) {
+        return factionIds.every(a => factionIds.every(b => a === b || allianceSystem.areAllies(a, b)));
+    }
+
+    /**
+     * Group surviving factions into teams and return the one with the highest score
+     * @param {Array<number>} survivors
+     * @returns {Array<number>} Faction IDs of the winning team
+     */
+    getLeadingTeam(survivors) {
+        let best = [];
+        let bestScore = -Infinity;
+
+        survivors.forEach(factionId => {
+            const team = survivors.filter(id => id === factionId || allianceSystem.areAllies(id, factionId));
+            const score = team.reduce((sum, id) => sum + this.calculateScore(id), 0);
+            if (score > bestScore) {
+                bestScore = score;
+                best = team;
+            }
+        });
+        return best;
+    }
+
+    getSurvivors() {
+        return (this.participants || []).filter(id => this.eliminated[id] === undefined);
+    }
+
+    isEliminated(factionId) {
+        return this.eliminated[factionId] !== undefined;
+    }
+
+    calculateScore(factionId) {
+        const unitValue = units
+            .filter(u => !u.isDead && u.faction === factionId)
+            .reduce((sum, u) => sum + costValue(UNIT_STATS[u.type].cost), 0);
+        const buildingValue = buildings
+            .filter(b => !b.isDead && !b.isBlueprint && b.faction === factionId)
+            .reduce((sum, b) => sum + costValue(b.stats.cost), 0);
+        const upgradeValue = (gameState.factionUpgrades[factionId] || [])
+            .reduce((sum, id) => sum + costValue(UPGRADES[id].cost), 0);
+        const resources = gameState.factionResources[factionId];
+        const resourceValue = resources ? resources.gold + resources.wood + resources.stone : 0;
+
+        return Math.round(
+            unitValue * SCORE_WEIGHTS.units +
+            buildingValue * SCORE_WEIGHTS.buildings +
+            upgradeValue * SCORE_WEIGHTS.upgrades +
+            resourceValue * SCORE_WEIGHTS.resources
+        );
+    }
+
+    getStatus(factionId) {
+        if (this.winners.includes(factionId)) return 'victory';
+        if (this.isEliminated(factionId)) return 'eliminated';
+        return this.gameOver ? 'defeated' : 'playing';
+    }
+
+    /**
+     * @returns {Array<Object>} Per-faction results, winners first then by score
+     */
+    getResults() {
+        return (this.participants || [])
+            .map(factionId => ({
+                factionId,
+                name: FACTION_LIST.find(f => f.id === factionId).name,
+                status: this.getStatus(factionId),
+                victory: this.winners.includes(factionId),
+                eliminatedAt: this.isEliminated(factionId) ? this.eliminated[factionId] : null,
+                score: this.calculateScore(factionId),
+                units: units.filter(u => !u.isDead && u.faction === factionId).length,
+                buildings: buildings.filter(b => !b.isDead && b.faction === factionId).length
+            }))
+            .sort((a, b) => (b.victory - a.victory) || (b.score - a.score));
+    }
+
+    getState() {
+        return {
+            config: this.config,
+            participants: this.participants,
+            eliminated: this.eliminated,
+            gameOver: this.gameOver,
+            winners: this.winners,
+            endTick: this.endTick
+        };
+    }
+
+    setState(state) {
+        this.reset(state.config);
+        Object.assign(this, state);
+    }
+}
+
+export const gameRules = new GameRules();
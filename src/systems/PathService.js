@@ -0,0 +1,217 @@
+/**
+ * @module PathService
+ * @description Asynchronous path requests with a per-tick budget
+ *
+ * Units no longer compute paths inside their update: they ask for one
+ * (request) and walk straight towards the target until it arrives. At the end
+ * of every tick the most urgent requests, up to PATH_REQUESTS_PER_TICK, are
+ * sent off; their paths are handed to the units PATH_DELIVERY_TICKS ticks later.
+ *
+ * Paths are computed by a copy of the match's Pathfinder that only answers
+ * these requests: in a Web Worker (systems/PathWorker.js) in the browser, or
+ * in this thread in Node, during replays and if the worker fails. The main
+ * Pathfinder still owns the terrain and building changes and forwards each
+ * of them to the copy (Pathfinder.mirror).
+ *
+ * Key Features:
+ * - Requests keyed by unit: a new request replaces the unit's pending one
+ * - Priority ordering (orders first, then routine chasing and repathing), oldest first
+ * - Both backends run the same copy on the same changes and queries, so a
+ *   match plays (and replays) the same whichever computed its paths;
+ *   core/Game.js only holds a tick back if a path due on it is still in the worker
+ * - Units still waiting are queued again after loading a save
+ */
+
+import Pathfinder from './Pathfinder.js';
+import { PATH_REQUESTS_PER_TICK, PATH_DELIVERY_TICKS } from '../config/constants.js';
+import { entityRegistry } from '../core/EntityRegistry.js';
+import { replayPlayer } from './ReplaySystem.js';
+
+export const PATH_PRIORITY = {
+    ORDER: 0, // Carrying out an order (player command or queued order)
+    ROUTINE: 1 // Chasing, gathering, following, AI moves, repathing
+};
+
+class PathService {
+    constructor() {
+        this.workerEnabled = false;
+        this.worker = null;
+        this.generation = 0; // Match the worker's answers belong to
+        this.reset(null);
+    }
+
+    /**
+     * Compute paths in a Web Worker from the next match on (if the platform has them)
+     */
+    enableWorker() {
+        this.workerEnabled = typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Start serving a new match (or a loaded save)
+     * @param {Pathfinder|null} pathfinder - The match's pathfinder, with its buildings set
+     * @param {Array<Unit>} units - Units of a loaded save (those still waiting for a path are queued again)
+     */
+    reset(pathfinder, units = []) {
+        if (this.pathfinder) this.pathfinder.mirror = null;
+        this.pathfinder = pathfinder;
+        this.pending = new Map(); // unitId -> { unitId, seq, priority, since } (since: seq of the unit's first waiting request)
+        this.inFlight = []; // Sent and not handed out yet: { unitId, seq, query, dueTick, path } (path undefined until answered)
+        this.nextSeq = 1;
+        this.generation++;
+        this.local = null; // In-thread copy (when not using the worker)
+
+        if (!pathfinder) return;
+        pathfinder.mirror = this;
+
+        const snapshot = pathfinder.getSnapshot();
+        // Replays stay in this thread: seeking fast-forwards many ticks at once
+        if (this.workerEnabled && !replayPlayer.active && this.startWorker()) {
+            this.worker.postMessage({ type: 'init', generation: this.generation, snapshot });
+        } else {
+            this.local = Pathfinder.fromSnapshot(snapshot);
+        }
+
+        units.forEach(unit => {
+            if (!unit.pathRequest) return;
+            const { seq, priority } = unit.pathRequest;
+            this.pending.set(unit.id, { unitId: unit.id, seq, priority, since: seq });
+            this.nextSeq = Math.max(this.nextSeq, seq + 1);
+        });
+    }
+
+    /**
+     * @returns {boolean} False if the worker could not be started
+     */
+    startWorker() {
+        if (this.worker) return true;
+        try {
+            this.worker = new Worker(new URL('./PathWorker.js', import.meta.url), { type: 'module' });
+        } catch (e) {
+            console.error('❌ PathService: could not start the path worker', e);
+            this.workerEnabled = false;
+            return false;
+        }
+        this.worker.onmessage = ({ data }) => this.onWorkerMessage(data);
+        this.worker.onerror = e => this.onWorkerError(e);
+        return true;
+    }
+
+    // --- Changes forwarded by the main Pathfinder ---
+
+    updateTile(x, y, tileId) {
+        if (this.local) this.local.setTileType(x, y, tileId);
+        else this.worker.postMessage({ type: 'tile', x, y, tileId });
+    }
+
+    addBuilding(footprint) {
+        if (this.local) this.local.addBuilding(footprint);
+        else this.worker.postMessage({ type: 'addBuilding', footprint });
+    }
+
+    removeBuilding(footprint) {
+        if (this.local) this.local.removeBuilding(footprint);
+        else this.worker.postMessage({ type: 'removeBuilding', footprint });
+    }
+
+    // --- Requests ---
+
+    /**
+     * Ask for a path from the unit's position to (unit.targetX, unit.targetY),
+     * along unit.flowGoal's flow field if set. Position and target are read
+     * when the request is sent, so a unit can keep walking until then.
+     * A unit asking again before it was sent keeps its place in the queue.
+     * @param {Unit} unit
+     * @param {number} priority - PATH_PRIORITY (lower goes first)
+     * @returns {{ seq: number, priority: number }} Request handle, kept on the unit (unit.pathRequest)
+     */
+    request(unit, priority = PATH_PRIORITY.ROUTINE) {
+        const seq = this.nextSeq++;
+        const waiting = this.pending.get(unit.id);
+        if (waiting) priority = Math.min(priority, waiting.priority);
+        this.pending.set(unit.id, { unitId: unit.id, seq, priority, since: waiting ? waiting.since : seq });
+        return { seq, priority };
+    }
+
+    /**
+     * @param {number} tick - gameState.gameTime of the tick about to run
+     * @returns {boolean} True once every request due on that tick is answered (the tick may run)
+     */
+    isReady(tick) {
+        return this.inFlight.every(request => request.dueTick > tick || request.path !== undefined);
+    }
+
+    /**
+     * Start of a tick: hand out the paths of the requests due on it.
+     * A unit that asked again (or stopped) since then ignores the answer.
+     * @param {number} tick - gameState.gameTime
+     */
+    deliver(tick) {
+        const due = this.inFlight.filter(request => request.dueTick <= tick);
+        if (due.length === 0) return;
+
+        this.inFlight = this.inFlight.filter(request => request.dueTick > tick);
+        due.forEach(({ unitId, seq, path }) => {
+            const unit = entityRegistry.get(unitId);
+            if (unit && !unit.isDead && unit.pathRequest && unit.pathRequest.seq === seq) {
+                unit.receivePath(path);
+            }
+        });
+    }
+
+    /**
+     * End of a tick: send the most urgent pending requests (up to PATH_REQUESTS_PER_TICK)
+     * @param {number} tick - gameState.gameTime
+     */
+    dispatch(tick) {
+        if (!this.pathfinder || this.pending.size === 0) return;
+
+        const batch = [...this.pending.values()]
+            .sort((a, b) => (a.priority - b.priority) || (a.since - b.since))
+            .slice(0, PATH_REQUESTS_PER_TICK);
+
+        batch.forEach(({ unitId, seq }) => {
+            this.pending.delete(unitId);
+            const unit = entityRegistry.get(unitId);
+            // Skip units that died, stopped or got there meanwhile
+            if (!unit || unit.isDead || !unit.isMoving || !unit.pathRequest || unit.pathRequest.seq !== seq) return;
+
+            const query = {
+                startX: unit.x,
+                startY: unit.y,
+                endX: unit.targetX,
+                endY: unit.targetY,
+                flowGoal: unit.flowGoal
+            };
+            const request = { unitId, seq, query, dueTick: tick + PATH_DELIVERY_TICKS, path: undefined };
+            this.inFlight.push(request);
+
+            if (this.local) request.path = this.local.findPathForQuery(query);
+            else this.worker.postMessage({ type: 'find', generation: this.generation, seq, query });
+        });
+    }
+
+    onWorkerMessage({ generation, seq, path }) {
+        if (generation !== this.generation) return; // Answer for an earlier match
+        const request = this.inFlight.find(r => r.seq === seq);
+        if (request) request.path = path;
+    }
+
+    /**
+     * The worker failed: finish the match in this thread, on a fresh copy of the pathfinder
+     */
+    onWorkerError(e) {
+        console.error('❌ PathService: path worker failed, computing paths in this thread', e);
+        this.worker.terminate();
+        this.worker = null;
+        this.workerEnabled = false;
+        if (!this.pathfinder || this.local) return;
+
+        this.local = Pathfinder.fromSnapshot(this.pathfinder.getSnapshot());
+        this.inFlight.forEach(request => {
+            if (request.path === undefined) request.path = this.local.findPathForQuery(request.query);
+        });
+    }
+}
+
+export const pathService = new PathService();
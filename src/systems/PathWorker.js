@@ -0,0 +1,51 @@
+/**
+ * @module PathWorker
+ * @description Web Worker that computes unit paths off the main thread
+ *
+ * Holds a copy of the match's Pathfinder, built from a snapshot and kept up to
+ * date with the tile and building changes the main thread forwards. Started
+ * and fed by systems/PathService.js.
+ *
+ * Messages in:
+ * - { type: 'init', generation, snapshot } - New match (see Pathfinder.getSnapshot)
+ * - { type: 'tile', x, y, tileId } - Map tile changed (e.g. forest cut down, road paved)
+ * - { type: 'addBuilding', footprint } / { type: 'removeBuilding', footprint } - { id, x, y, size }
+ * - { type: 'find', generation, seq, query } - Path request (see Pathfinder.findPathForQuery)
+ *
+ * Messages out:
+ * - { generation, seq, path } - Answer to a 'find', in the order they were sent
+ */
+
+import Pathfinder from './Pathfinder.js';
+import { Profiler } from '../utils/Profiler.js';
+
+Profiler.enabled = false; // Nobody reads the reports in here
+
+let pathfinder = null;
+
+self.onmessage = ({ data }) => {
+    switch (data.type) {
+        case 'init':
+            pathfinder = Pathfinder.fromSnapshot(data.snapshot);
+            break;
+
+        case 'tile':
+            pathfinder.setTileType(data.x, data.y, data.tileId);
+            break;
+
+        case 'addBuilding':
+            pathfinder.addBuilding(data.footprint);
+            break;
+
+        case 'removeBuilding':
+            pathfinder.removeBuilding(data.footprint);
+            break;
+
+        case 'find':
+            self.postMessage({ generation: data.generation, seq: data.seq, path: pathfinder.findPathForQuery(data.query) });
+            break;
+
+        default:
+            console.warn(`⚠️ PathWorker: unknown message type "${data.type}"`);
+    }
+};
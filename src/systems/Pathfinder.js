@@ -13,63 +13,61 @@
  * Key Features:
  * - 8-directional movement (cardinal + diagonal)
  * - Corner cutting prevention
- * - Path caching mechanism
- * - Efficient priority queue (MinHeap)
+ * - Terrain costs (TILES moveCost): moves are weighted by the tiles they cross, so units
+ *   take roads and avoid fords and thickets when that is faster; heuristics assume the
+ *   cheapest terrain on the map (grass until a road is paved), and path smoothing only
+ *   cuts across one kind of terrain at a time
+ * - Building footprints block movement (map/OccupancyGrid.js, updated when
+ *   buildings are placed and destroyed); units caught inside one may walk out
+ * - Unreachable destinations (a tree, a building) fall back to the nearest free tile
+ * - Path caching mechanism; a terrain or building change only drops the cached
+ *   paths whose area covers it
+ * - Hierarchical search for long paths (map/ClusterGraph.js): the route is planned
+ *   over cluster portals, then each hop is refined with A*. A result costing more than
+ *   HPA_TOLERANCE times the cheapest conceivable path (straight line over the
+ *   cheapest terrain) gets a bounded A* search that only looks for a path cheaper
+ *   by more than the tolerance, so it never costs more than HPA_TOLERANCE times the A* path
+ * - Flow fields for group moves: one integration field (cost to the group's
+ *   destination from every tile) is shared by the whole group, and each unit
+ *   walks down it instead of running its own A* (see findGroupPath)
+ * - Efficient priority queue (utils/MinHeap.js); A* works on tile indices with
+ *   per-tile terrain costs and scratch arrays shared by all searches
+ * - Units do not call it directly: their path requests are answered by a copy
+ *   (fromSnapshot) in a Web Worker or budgeted per tick (systems/PathService.js);
+ *   this instance keeps the copy in sync through its mirror
  */
 
-class MinHeap {
-    constructor() {
-        this.heap = [];
-    }
-
-    push(node) {
-        this.heap.push(node);
-        this.bubbleUp(this.heap.length - 1);
-    }
-
-    pop() {
-        if (this.heap.length === 0) return null;
-        if (this.heap.length === 1) return this.heap.pop();
-        const min = this.heap[0];
-        this.heap[0] = this.heap.pop();
-        this.bubbleDown(0);
-        return min;
-    }
-
-    bubbleUp(idx) {
-        while (idx > 0) {
-            const parent = Math.floor((idx - 1) / 2);
-            if (this.heap[idx].f >= this.heap[parent].f) break;
-            [this.heap[idx], this.heap[parent]] = [this.heap[parent], this.heap[idx]];
-            idx = parent;
-        }
-    }
-
-    bubbleDown(idx) {
-        while (true) {
-            let smallest = idx;
-            const left = 2 * idx + 1;
-            const right = 2 * idx + 2;
-
-            if (left < this.heap.length && this.heap[left].f < this.heap[smallest].f)
-                smallest = left;
-            if (right < this.heap.length && this.heap[right].f < this.heap[smallest].f)
-                smallest = right;
-            if (smallest === idx) break;
-
-            [this.heap[idx], this.heap[smallest]] = [this.heap[smallest], this.heap[idx]];
-            idx = smallest;
-        }
-    }
-
-    get length() { return this.heap.length; }
-}
-
 /**
  * @class Pathfinder
  * @description Implements A* pathfinding for unit navigation
  */
 import { Profiler } from '../utils/Profiler.js';
+import OccupancyGrid from '../map/OccupancyGrid.js';
+import MinHeap from '../utils/MinHeap.js';
+import ClusterGraph from '../map/ClusterGraph.js';
+import { HPA_CLUSTER_SIZE, HPA_MIN_DISTANCE, HPA_TOLERANCE } from '../config/constants.js';
+import { TILES } from '../config/entityStats.js';
+
+// How many rings of tiles around a blocked destination are searched for a free one
+// (enough to get out of the largest building from any of its tiles)
+const END_SEARCH_RADIUS = 4;
+
+// A unit following a flow field heads for its own formation slot once it is this many
+// tiles closer to the group's destination than the slot is (and can see the slot)
+const FLOW_FIELD_HANDOFF = 2;
+
+// Neighbor steps of every search (A*, flow fields, getNeighbors): 8 directions, diagonals cost more
+const NEIGHBOR_STEPS = [
+    { x: -1, y: 0, cost: 1.0 }, { x: 1, y: 0, cost: 1.0 }, { x: 0, y: -1, cost: 1.0 }, { x: 0, y: 1, cost: 1.0 },
+    { x: -1, y: -1, cost: 1.414 }, { x: 1, y: -1, cost: 1.414 }, { x: -1, y: 1, cost: 1.414 }, { x: 1, y: 1, cost: 1.414 }
+];
+
+// Tiles of a copy built from a snapshot (which holds tile IDs)
+const TILES_BY_ID = Object.fromEntries(Object.values(TILES).map(tile => [tile.id, tile]));
+
+// Cheapest terrain per tile walked: scales the heuristics (once the map has tiles
+// cheaper than grass) so they never overestimate
+const MIN_MOVE_COST = Math.min(...Object.values(TILES).filter(tile => tile.passable).map(tile => tile.moveCost));
 
 /**
  * @class Pathfinder
@@ -81,8 +79,92 @@ export default class Pathfinder {
         this.height = mapHeight;
         this.tiles = tiles;
         this.map = map; // Reference to the game map (2D array of tile objects)
-        this.pathCache = new Map();
+        this.occupancy = new OccupancyGrid(mapWidth, mapHeight);
+        this.clusters = new ClusterGraph(mapWidth, mapHeight, HPA_CLUSTER_SIZE,
+            (x, y) => this.isPassable(x, y), (x, y) => this.getMoveCost(x, y), () => this.getHeuristicScale());
+        // Terrain cost of every tile (index y * width + x), kept up to date by updateTile
+        this.moveCosts = new Float64Array(mapWidth * mapHeight);
+        // Indices of tiles cheaper than grass (roads): without any, the heuristics keep
+        // their full strength (a weaker one makes A* search far more tiles)
+        this.cheapTiles = new Set();
+        for (let y = 0; y < mapHeight; y++) {
+            for (let x = 0; x < mapWidth; x++) this.updateMoveCost(x, y);
+        }
+        // A* scratch space, reused by every search: a tile's cost and parent only count
+        // if its stamp is the current search's
+        this.searchId = 0;
+        this.seenStamps = new Uint32Array(mapWidth * mapHeight);
+        this.closedStamps = new Uint32Array(mapWidth * mapHeight);
+        this.searchCosts = new Float64Array(mapWidth * mapHeight);
+        this.searchParents = new Int32Array(mapWidth * mapHeight);
+        this.pathCache = new Map(); // key -> { path, minX, minY, maxX, maxY } (tile bounds of the path)
         this.cacheMaxSize = 500;
+        this.flowFields = new Map(); // 'x,y' of the destination -> flow field (see getFlowField)
+        this.flowFieldMaxSize = 8;
+        this.mirror = null; // Receives every tile and building change (systems/PathService.js)
+    }
+
+    /**
+     * @returns {Object} { width, height, tiles, buildings }: tile IDs (one byte per tile) and
+     *     building footprints ({ id, x, y, size }), enough to build a copy with fromSnapshot
+     */
+    getSnapshot() {
+        const tiles = new Uint8Array(this.width * this.height);
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) tiles[y * this.width + x] = this.map[y][x].id;
+        }
+        const buildings = [...this.occupancy.footprints].map(([id, footprint]) => ({ id, ...footprint }));
+        return { width: this.width, height: this.height, tiles, buildings };
+    }
+
+    /**
+     * Pathfinder over a snapshot instead of the game map (the copy that answers
+     * path requests, in a worker or in this thread)
+     * @param {Object} snapshot - See getSnapshot
+     * @returns {Pathfinder}
+     */
+    static fromSnapshot({ width, height, tiles, buildings }) {
+        const map = [];
+        for (let y = 0; y < height; y++) {
+            map.push([]);
+            for (let x = 0; x < width; x++) map[y].push(TILES_BY_ID[tiles[y * width + x]]);
+        }
+        const pathfinder = new Pathfinder(width, height, TILES, map);
+        pathfinder.setBuildings(buildings);
+        return pathfinder;
+    }
+
+    /**
+     * Block the footprints of every standing building (new match or loaded save)
+     * @param {Array<Building>} buildings
+     */
+    setBuildings(buildings) {
+        this.occupancy.rebuild(buildings);
+        this.clusters.invalidateAll();
+        this.clusters.update(); // Build the whole graph now rather than on the first long path
+        this.clearCache();
+    }
+
+    /**
+     * A building or blueprint was placed: its footprint becomes impassable
+     * @param {Building} building
+     */
+    addBuilding(building) {
+        const footprint = this.occupancy.add(building);
+        if (!footprint) return;
+        this.invalidateRegion(footprint.x, footprint.y, footprint.size, footprint.size);
+        if (this.mirror) this.mirror.addBuilding({ id: building.id, ...footprint });
+    }
+
+    /**
+     * A building was destroyed (or a site cancelled): its footprint is free again
+     * @param {Building} building
+     */
+    removeBuilding(building) {
+        const footprint = this.occupancy.remove(building);
+        if (!footprint) return;
+        this.invalidateRegion(footprint.x, footprint.y, footprint.size, footprint.size);
+        if (this.mirror) this.mirror.removeBuilding({ id: building.id, ...footprint });
     }
 
     findPath(startX, startY, endX, endY, useCache = true) {
@@ -101,111 +183,342 @@ export default class Pathfinder {
 
         if (useCache && this.pathCache.has(key)) {
             Profiler.end('Pathfinding');
-            return [...this.pathCache.get(key)]; // Return clone
+            return [...this.pathCache.get(key).path]; // Return clone
         }
 
-        const path = this._computePath(sX, sY, eX, eY);
+        const path = this.isLongQuery(sX, sY, eX, eY)
+            ? this._computeLongPath(sX, sY, eX, eY)
+            : this._computePath(sX, sY, eX, eY);
 
         if (useCache && path.length > 0) {
             if (this.pathCache.size >= this.cacheMaxSize) {
                 const firstKey = this.pathCache.keys().next().value;
                 this.pathCache.delete(firstKey);
             }
-            this.pathCache.set(key, path);
+            this.pathCache.set(key, this.createCacheEntry(sX, sY, path));
         }
 
         Profiler.end('Pathfinding');
         return path;
     }
 
-    _computePath(startX, startY, endX, endY) {
-        const startNode = { x: startX, y: startY, g: 0, h: 0, f: 0, parent: null };
-        const endNode = { x: endX, y: endY };
+    /**
+     * Answer a path request (systems/PathService.js)
+     * @param {Object} query - { startX, startY, endX, endY, flowGoal } (flowGoal: group destination tile or null)
+     * @returns {Array<{x: number, y: number}>} Waypoints, empty if there is no way
+     */
+    findPathForQuery({ startX, startY, endX, endY, flowGoal }) {
+        if (flowGoal) return this.findGroupPath(flowGoal.x, flowGoal.y, startX, startY, endX, endY);
+        return this.findPath(startX, startY, endX, endY);
+    }
 
-        // Check if end is passable
-        if (!this.isPassable(endNode.x, endNode.y)) {
-            // Find nearest passable neighbor to target
-            const neighbors = this.getNeighbors(endNode);
-            let best = null;
-            let minDist = Infinity;
-            for (let n of neighbors) {
-                if (this.isPassable(n.x, n.y)) {
-                    const d = Math.abs(n.x - startNode.x) + Math.abs(n.y - startNode.y);
-                    if (d < minDist) {
-                        minDist = d;
-                        best = n;
-                    }
+    isLongQuery(startX, startY, endX, endY) {
+        const dx = Math.abs(endX - startX);
+        const dy = Math.abs(endY - startY);
+        return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy) >= HPA_MIN_DISTANCE;
+    }
+
+    /**
+     * Hierarchical path, at most HPA_TOLERANCE times the cost of the plain A* path
+     * (plain A* alone if the hierarchy has no answer)
+     */
+    _computeLongPath(startX, startY, endX, endY) {
+        const path = this._computeHierarchicalPath(startX, startY, endX, endY);
+        if (!path) return this._computePath(startX, startY, endX, endY);
+
+        // No path can cost less than the distance over the cheapest terrain
+        const cost = this.getPathCost(startX, startY, path);
+        const last = path[path.length - 1];
+        if (cost <= HPA_TOLERANCE * this.getCostLowerBound(startX, startY, Math.floor(last.x), Math.floor(last.y))) return path;
+
+        // Maybe a detour: A* only looks for a path cheaper than cost / HPA_TOLERANCE, and gives
+        // up (keeping the hierarchical one) as soon as there cannot be one
+        const exact = this._computePath(startX, startY, endX, endY, cost / HPA_TOLERANCE);
+        return exact && exact.length > 0 ? exact : path;
+    }
+
+    /**
+     * @returns {number} Straight-line distance between two tiles over the cheapest terrain on the map
+     *     (never more than the cost of a path between them, smoothed or not)
+     */
+    getCostLowerBound(x0, y0, x1, y1) {
+        return Math.hypot(x1 - x0, y1 - y0) * this.getHeuristicScale();
+    }
+
+    /**
+     * @returns {Array|null} Smoothed path over the cluster graph, or null if start and end are
+     *     in the same cluster, the start is inside a footprint or there is no way
+     */
+    _computeHierarchicalPath(startX, startY, endX, endY) {
+        if (!this.isPassable(startX, startY)) return null; // Walking out of a footprint: plain A* knows how
+
+        if (!this.isPassable(endX, endY)) {
+            const best = this.findNearestPassable(endX, endY, startX, startY);
+            if (!best) return null;
+            endX = best.x;
+            endY = best.y;
+        }
+
+        const tiles = this.clusters.findAbstractPath(startX, startY, endX, endY);
+        if (!tiles) return null;
+
+        // Refine hop by hop (each one stays within a cluster or crosses an entrance)
+        const path = [];
+        for (let i = 1; i < tiles.length; i++) {
+            const from = tiles[i - 1];
+            const to = tiles[i];
+            if (from.x === to.x && from.y === to.y) continue;
+            const hop = this._computePath(from.x, from.y, to.x, to.y);
+            if (hop.length === 0) return null;
+            path.push(...hop);
+        }
+        return this.smoothPath(path);
+    }
+
+    /**
+     * @returns {number} Cost of a path walked from the start tile (length weighted by terrain;
+     *     each straight stretch of a smoothed path crosses a single kind of terrain)
+     */
+    getPathCost(startX, startY, path) {
+        let cost = 0;
+        let prev = { x: startX + 0.5, y: startY + 0.5 };
+        path.forEach(node => {
+            const terrain = (this.getMoveCost(Math.floor(prev.x), Math.floor(prev.y)) + this.getMoveCost(Math.floor(node.x), Math.floor(node.y))) / 2;
+            cost += Math.hypot(node.x - prev.x, node.y - prev.y) * terrain;
+            prev = node;
+        });
+        return cost;
+    }
+
+    /**
+     * Path for one unit of a group move: along the group's shared flow field to
+     * near the group destination, then straight to the unit's own slot.
+     * Falls back to A* if the unit is not on the field (walled off, inside a footprint)
+     * @param {number} goalX - Group destination tile (the same for the whole group)
+     * @param {number} goalY
+     * @param {number} startX
+     * @param {number} startY
+     * @param {number} endX - This unit's destination (formation slot)
+     * @param {number} endY
+     * @returns {Array<{x: number, y: number}>} Waypoints (tile centers), like findPath
+     */
+    findGroupPath(goalX, goalY, startX, startY, endX, endY) {
+        const field = this.getFlowField(Math.floor(goalX), Math.floor(goalY));
+        const sX = Math.floor(startX);
+        const sY = Math.floor(startY);
+        if (!field || field.costs[sY * this.width + sX] === Infinity) {
+            return this.findPath(startX, startY, endX, endY);
+        }
+
+        Profiler.start('Pathfinding');
+        let path = this._followFlowField(field, sX, sY, Math.floor(endX), Math.floor(endY));
+        Profiler.end('Pathfinding');
+
+        if (!path) path = this.findPath(startX, startY, endX, endY);
+        return path;
+    }
+
+    /**
+     * @param {number} goalX - Destination tile
+     * @param {number} goalY
+     * @returns {Object|null} { goalX, goalY, costs } (cost to the goal from every tile, Infinity if
+     *     unreachable), or null if there is no free tile at or near the destination
+     */
+    getFlowField(goalX, goalY) {
+        const key = `${goalX},${goalY}`;
+        if (this.flowFields.has(key)) return this.flowFields.get(key);
+
+        Profiler.start('Pathfinding');
+        const field = this._computeFlowField(goalX, goalY);
+        Profiler.end('Pathfinding');
+
+        if (this.flowFields.size >= this.flowFieldMaxSize) {
+            this.flowFields.delete(this.flowFields.keys().next().value);
+        }
+        this.flowFields.set(key, field);
+        return field;
+    }
+
+    _computeFlowField(goalX, goalY) {
+        if (!this.isPassable(goalX, goalY)) {
+            const free = this.findNearestPassable(goalX, goalY, goalX, goalY);
+            if (!free) return null;
+            goalX = free.x;
+            goalY = free.y;
+        }
+
+        // Dijkstra outwards from the goal (moves cost the same both ways, so this
+        // is the cost of walking from each tile to the goal)
+        const width = this.width;
+        const height = this.height;
+        const passable = new Uint8Array(width * height);
+        const terrain = this.moveCosts;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (this.isPassable(x, y)) passable[y * width + x] = 1;
+            }
+        }
+
+        const costs = new Float64Array(width * height).fill(Infinity);
+        const open = new MinHeap();
+        costs[goalY * width + goalX] = 0;
+        open.push({ x: goalX, y: goalY, f: 0 });
+
+        while (open.length > 0) {
+            const node = open.pop();
+            if (node.f > costs[node.y * width + node.x]) continue; // Stale entry
+
+            for (let dir of NEIGHBOR_STEPS) {
+                const nx = node.x + dir.x;
+                const ny = node.y + dir.y;
+                if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+
+                const index = ny * width + nx;
+                if (!passable[index]) continue;
+                // No corner cutting (same rule as getNeighbors)
+                if (dir.x !== 0 && dir.y !== 0 && !(passable[node.y * width + nx] && passable[ny * width + node.x])) continue;
+
+                const cost = node.f + dir.cost * (terrain[node.y * width + node.x] + terrain[index]) / 2;
+                if (cost < costs[index]) {
+                    costs[index] = cost;
+                    open.push({ x: nx, y: ny, f: cost });
                 }
             }
+        }
+
+        return { goalX, goalY, costs };
+    }
+
+    /**
+     * @returns {Array|null} Smoothed path from the start tile to the end tile, or null if
+     *     the end could not be reached from the field
+     */
+    _followFlowField(field, startX, startY, endX, endY) {
+        if (startX === endX && startY === endY) return [];
+
+        if (!this.isPassable(endX, endY)) {
+            const free = this.findNearestPassable(endX, endY, startX, startY);
+            if (!free) return null;
+            endX = free.x;
+            endY = free.y;
+        }
+
+        const end = { x: endX, y: endY };
+        const handoff = Math.max(Math.abs(endX - field.goalX), Math.abs(endY - field.goalY)) + FLOW_FIELD_HANDOFF;
+        const path = [];
+        let current = { x: startX, y: startY };
+
+        while (true) {
+            const toGoal = Math.max(Math.abs(current.x - field.goalX), Math.abs(current.y - field.goalY));
+            if (toGoal <= handoff && this.hasLineOfSight(current, end)) {
+                if (current.x !== endX || current.y !== endY) path.push({ x: endX + 0.5, y: endY + 0.5 });
+                return this.smoothPath(path);
+            }
+            if (current.x === field.goalX && current.y === field.goalY) return null; // Slot hidden from the goal
+
+            // Step to the cheapest neighbor (costs strictly decrease, so this ends at the goal)
+            let next = null;
+            let nextCost = field.costs[current.y * this.width + current.x];
+            for (let neighbor of this.getNeighbors(current)) {
+                if (!this.isPassable(neighbor.x, neighbor.y)) continue;
+                const cost = field.costs[neighbor.y * this.width + neighbor.x];
+                if (cost < nextCost) {
+                    nextCost = cost;
+                    next = neighbor;
+                }
+            }
+            if (!next) return null;
+
+            current = { x: next.x, y: next.y };
+            path.push({ x: current.x + 0.5, y: current.y + 0.5 });
+        }
+    }
+
+    /**
+     * A* from tile to tile, over tile indices (y * width + x)
+     * @param {number} maxCost - Only look for a path cheaper than this
+     * @returns {Array|null} Smoothed path (empty if there is no way or the search ran too long),
+     *     or null if there is no path cheaper than maxCost
+     */
+    _computePath(startX, startY, endX, endY, maxCost = Infinity) {
+        // Check if end is passable
+        if (!this.isPassable(endX, endY)) {
+            const best = this.findNearestPassable(endX, endY, startX, startY);
             if (best) {
-                endNode.x = best.x;
-                endNode.y = best.y;
+                endX = best.x;
+                endY = best.y;
             } else {
                 return []; // Cannot reach
             }
         }
 
-        const openList = new MinHeap();
-        const closedList = new Set();
-        const openSet = new Map(); // For fast lookup
+        const width = this.width;
+        const end = endY * width + endX;
+        const start = startY * width + startX;
+        const search = ++this.searchId;
+        const seen = this.seenStamps;
+        const closed = this.closedStamps;
+        const costs = this.searchCosts;
+        const parents = this.searchParents;
 
-        openList.push(startNode);
-        openSet.set(`${startNode.x},${startNode.y}`, startNode);
+        const openList = new MinHeap();
+        seen[start] = search;
+        costs[start] = 0;
+        parents[start] = -1;
+        openList.push({ index: start, f: 0 });
 
+        const heuristicScale = this.getHeuristicScale();
         let iterations = 0;
-        const MAX_ITERATIONS = 2000; // Increased limit for complex paths
+        const MAX_ITERATIONS = Math.ceil(2000 / heuristicScale); // Increased limit for complex paths (more with a weaker heuristic)
 
         while (openList.length > 0) {
+            const { index, f } = openList.pop();
+            if (closed[index] === search) continue; // Pushed again with a lower cost meanwhile
+            if (f >= maxCost) return null; // Every path left costs at least f
+
             iterations++;
             if (iterations > MAX_ITERATIONS) return [];
 
-            const currentNode = openList.pop();
-            openSet.delete(`${currentNode.x},${currentNode.y}`);
-
             // End case
-            if (currentNode.x === endNode.x && currentNode.y === endNode.y) {
-                let curr = currentNode;
+            if (index === end) {
                 const ret = [];
-                while (curr.parent) {
-                    ret.push({ x: curr.x + 0.5, y: curr.y + 0.5 }); // Center of tile
-                    curr = curr.parent;
+                for (let i = index; parents[i] !== -1; i = parents[i]) {
+                    ret.push({ x: i % width + 0.5, y: Math.floor(i / width) + 0.5 }); // Center of tile
                 }
                 return this.smoothPath(ret.reverse());
             }
 
-            closedList.add(`${currentNode.x},${currentNode.y}`);
+            closed[index] = search;
+            const x = index % width;
+            const y = (index - x) / width;
+            const here = this.moveCosts[index];
 
-            const neighbors = this.getNeighbors(currentNode);
+            // A unit caught inside a footprint (e.g. a blueprint placed on top of it) may walk out through it
+            const escaping = this.occupancy.isBlocked(x, y);
 
-            for (let neighbor of neighbors) {
-                if (closedList.has(`${neighbor.x},${neighbor.y}`) || !this.isPassable(neighbor.x, neighbor.y)) {
-                    continue;
-                }
+            for (let dir of NEIGHBOR_STEPS) {
+                const nx = x + dir.x;
+                const ny = y + dir.y;
+                if (nx < 0 || nx >= width || ny < 0 || ny >= this.height) continue;
 
-                const gScore = currentNode.g + neighbor.cost;
-                const neighborKey = `${neighbor.x},${neighbor.y}`;
-                const existingNeighbor = openSet.get(neighborKey);
-
-                if (!existingNeighbor) {
-                    // Octile distance heuristic
-                    const dx = Math.abs(neighbor.x - endNode.x);
-                    const dy = Math.abs(neighbor.y - endNode.y);
-                    neighbor.h = Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
-
-                    neighbor.parent = currentNode;
-                    neighbor.g = gScore;
-                    neighbor.f = neighbor.g + neighbor.h;
-
-                    openList.push(neighbor);
-                    openSet.set(neighborKey, neighbor);
-                } else if (gScore < existingNeighbor.g) {
-                    existingNeighbor.parent = currentNode;
-                    existingNeighbor.g = gScore;
-                    existingNeighbor.f = existingNeighbor.g + existingNeighbor.h;
-                    // Note: In a proper MinHeap implementation with decrease-key, we'd update position.
-                    // Here we rely on the fact that we might re-add it or just accept sub-optimality for simplicity
-                    // Or we can just push it again (lazy deletion)
-                    openList.push(existingNeighbor);
+                const next = ny * width + nx;
+                if (closed[next] === search) continue;
+                if (!(escaping ? this.isTerrainPassable(nx, ny) : this.isPassable(nx, ny))) continue;
+                // Check for diagonal corner cutting
+                if (dir.x !== 0 && dir.y !== 0 && !this.isDiagonalPassable(x, y, dir.x, dir.y)) continue;
+
+                // Terrain: half of each tile's cost, so a move costs the same both ways
+                const gScore = costs[index] + dir.cost * (here + this.moveCosts[next]) / 2;
+                if (seen[next] !== search || gScore < costs[next]) {
+                    seen[next] = search;
+                    costs[next] = gScore;
+                    parents[next] = index;
+                    // Octile distance heuristic (over the cheapest terrain)
+                    const dx = Math.abs(nx - endX);
+                    const dy = Math.abs(ny - endY);
+                    const h = (Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy)) * heuristicScale;
+                    // The tile's older, costlier entry stays in the heap and is skipped when popped
+                    openList.push({ index: next, f: gScore + h });
                 }
             }
         }
@@ -216,47 +529,101 @@ export default class Pathfinder {
         const ret = [];
         const x = node.x;
         const y = node.y;
+        const here = this.getMoveCost(x, y);
 
-        // 8 directions: N, S, E, W, NE, NW, SE, SW
-        const directions = [
-            { x: -1, y: 0, cost: 1.0 },   // Left
-            { x: 1, y: 0, cost: 1.0 },    // Right
-            { x: 0, y: -1, cost: 1.0 },   // Up
-            { x: 0, y: 1, cost: 1.0 },    // Down
-            { x: -1, y: -1, cost: 1.414 }, // Up-Left
-            { x: 1, y: -1, cost: 1.414 },  // Up-Right
-            { x: -1, y: 1, cost: 1.414 },  // Down-Left
-            { x: 1, y: 1, cost: 1.414 }    // Down-Right
-        ];
-
-        for (let dir of directions) {
+        for (let dir of NEIGHBOR_STEPS) {
             const nx = x + dir.x;
             const ny = y + dir.y;
 
             if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height) {
                 // Check for diagonal corner cutting
-                if (dir.cost > 1) {
-                    if (!this.isDiagonalPassable(x, y, dir.x, dir.y)) {
-                        continue;
-                    }
+                if (dir.x !== 0 && dir.y !== 0 && !this.isDiagonalPassable(x, y, dir.x, dir.y)) {
+                    continue;
                 }
-                ret.push({ x: nx, y: ny, cost: dir.cost });
+                // Terrain: half of each tile's cost, so a move costs the same both ways
+                const terrain = (here + this.getMoveCost(nx, ny)) / 2;
+                ret.push({ x: nx, y: ny, cost: dir.cost * terrain });
             }
         }
 
         return ret;
     }
 
+    /**
+     * @returns {boolean} True if the tile is walkable terrain with no building on it
+     */
     isPassable(x, y) {
+        return this.isTerrainPassable(x, y) && !this.occupancy.isBlocked(x, y);
+    }
+
+    isTerrainPassable(x, y) {
         if (x < 0 || x >= this.width || y < 0 || y >= this.height) return false;
         return this.map[y][x].passable;
     }
 
+    /**
+     * @returns {number} Factor of the distance heuristics: the cheapest terrain cost on the map
+     *     (MIN_MOVE_COST once there are roads, else grass)
+     */
+    getHeuristicScale() {
+        return this.cheapTiles.size > 0 ? MIN_MOVE_COST : 1;
+    }
+
+    /**
+     * @returns {number} Cost of walking across the tile (TILES moveCost; 1 for tiles without one)
+     */
+    getMoveCost(x, y) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) return 1;
+        return this.moveCosts[y * this.width + x];
+    }
+
+    /**
+     * Read a tile's terrain cost from the map into moveCosts (and cheapTiles)
+     */
+    updateMoveCost(x, y) {
+        const index = y * this.width + x;
+        this.moveCosts[index] = this.map[y][x].moveCost ?? 1;
+        if (this.moveCosts[index] < 1) this.cheapTiles.add(index);
+        else this.cheapTiles.delete(index);
+    }
+
+    /**
+     * Free tile to head for instead of a blocked destination
+     * @param {number} x - Blocked destination tile
+     * @param {number} y
+     * @param {number} fromX - Start tile (the closest free tile to it wins)
+     * @param {number} fromY
+     * @returns {{x: number, y: number}|null} Null if nothing is free within END_SEARCH_RADIUS
+     */
+    findNearestPassable(x, y, fromX, fromY) {
+        for (let r = 1; r <= END_SEARCH_RADIUS; r++) {
+            let best = null;
+            let minDist = Infinity;
+
+            for (let ny = y - r; ny <= y + r; ny++) {
+                for (let nx = x - r; nx <= x + r; nx++) {
+                    if (Math.max(Math.abs(nx - x), Math.abs(ny - y)) !== r || !this.isPassable(nx, ny)) continue;
+                    const d = Math.abs(nx - fromX) + Math.abs(ny - fromY);
+                    if (d < minDist) {
+                        minDist = d;
+                        best = { x: nx, y: ny };
+                    }
+                }
+            }
+            if (best) return best;
+        }
+        return null;
+    }
+
     isDiagonalPassable(x, y, dx, dy) {
         // Check if the two adjacent cardinal tiles are passable
         return this.isPassable(x + dx, y) && this.isPassable(x, y + dy);
     }
 
+    /**
+     * Drop the waypoints a straight line can skip. Shortcuts stay within a stretch of
+     * the path over one kind of terrain, so a path that turns onto a road keeps the turn.
+     */
     smoothPath(path) {
         if (path.length <= 2) return path;
 
@@ -266,8 +633,16 @@ export default class Pathfinder {
         while (current < path.length - 1) {
             let farthest = current + 1;
 
+            // End of the stretch over the same terrain
+            const terrain = this.getMoveCost(Math.floor(path[current].x), Math.floor(path[current].y));
+            let stretchEnd = current;
+            while (stretchEnd < path.length - 1 &&
+                this.getMoveCost(Math.floor(path[stretchEnd + 1].x), Math.floor(path[stretchEnd + 1].y)) === terrain) {
+                stretchEnd++;
+            }
+
             // Look ahead as far as possible
-            for (let i = path.length - 1; i > current; i--) {
+            for (let i = stretchEnd; i > current; i--) {
                 if (this.hasLineOfSight(path[current], path[i])) {
                     farthest = i;
                     break;
@@ -281,9 +656,14 @@ export default class Pathfinder {
         return smoothed;
     }
 
+    /**
+     * @returns {boolean} True if the straight line only crosses passable tiles of the same
+     *     terrain cost as the start (shortcuts across other terrain could cost more than the path)
+     */
     hasLineOfSight(start, end) {
         let x0 = Math.floor(start.x);
         let y0 = Math.floor(start.y);
+        const terrain = this.getMoveCost(x0, y0);
         let x1 = Math.floor(end.x);
         let y1 = Math.floor(end.y);
 
@@ -294,7 +674,7 @@ export default class Pathfinder {
         let err = dx - dy;
 
         while (true) {
-            if (!this.isPassable(x0, y0)) return false;
+            if (!this.isPassable(x0, y0) || this.getMoveCost(x0, y0) !== terrain) return false;
             if (x0 === x1 && y0 === y1) break;
             let e2 = 2 * err;
             if (e2 > -dy) { err -= dy; x0 += sx; }
@@ -303,7 +683,70 @@ export default class Pathfinder {
         return true;
     }
 
+    /**
+     * A map tile changed (passability or terrain cost): cached paths may cross it or route around it
+     * @param {number} x
+     * @param {number} y
+     */
+    updateTile(x, y) {
+        this.updateMoveCost(x, y);
+        this.invalidateRegion(x, y, 1, 1);
+        if (this.mirror) this.mirror.updateTile(x, y, this.map[y][x].id);
+    }
+
+    /**
+     * Change a tile of a copy built with fromSnapshot (the game map is not shared with it)
+     * @param {number} x
+     * @param {number} y
+     * @param {number} tileId - ID of one of TILES
+     */
+    setTileType(x, y, tileId) {
+        this.map[y][x] = TILES_BY_ID[tileId];
+        this.updateTile(x, y);
+    }
+
+    /**
+     * @returns {Object} Cache entry with the tile bounds of the path (start included)
+     */
+    createCacheEntry(startX, startY, path) {
+        const entry = { path, minX: startX, minY: startY, maxX: startX, maxY: startY };
+        path.forEach(node => {
+            const x = Math.floor(node.x);
+            const y = Math.floor(node.y);
+            entry.minX = Math.min(entry.minX, x);
+            entry.minY = Math.min(entry.minY, y);
+            entry.maxX = Math.max(entry.maxX, x);
+            entry.maxY = Math.max(entry.maxY, y);
+        });
+        return entry;
+    }
+
+    /**
+     * Drop the cached paths whose area overlaps a changed rectangle of tiles
+     * (one tile of margin: diagonal steps depend on the tiles next to them)
+     * @param {number} x - Top-left tile
+     * @param {number} y
+     * @param {number} width - In tiles
+     * @param {number} height
+     */
+    invalidateRegion(x, y, width, height) {
+        this.flowFields.clear(); // A field covers the whole map
+        this.clusters.invalidate(x, y, width, height);
+
+        const left = x - 1;
+        const top = y - 1;
+        const right = x + width;
+        const bottom = y + height;
+
+        this.pathCache.forEach((entry, key) => {
+            if (entry.maxX >= left && entry.minX <= right && entry.maxY >= top && entry.minY <= bottom) {
+                this.pathCache.delete(key);
+            }
+        });
+    }
+
     clearCache() {
         this.pathCache.clear();
+        this.flowFields.clear();
     }
 }
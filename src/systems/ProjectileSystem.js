@@ -0,0 +1,133 @@
+/**
+ * @module ProjectileSystem
+ * @description Arrows and bolts in flight
+ *
+ * Ranged units (stats.projectile) and guard towers no longer hit instantly:
+ * they fire a projectile at the spot their target occupies, and damage is
+ * rolled when it lands there. A target that has moved away (kiting) or died
+ * in the meantime is missed.
+ *
+ * Key Features:
+ * - Advanced once per simulation tick (deterministic, replay-safe)
+ * - Projectiles are plain data referring to entities by ID (saved with the match)
+ * - Kill credit and experience go to the shooter if it is still alive
+ * - Fired / hit / missed events for rendering and audio
+ *
+ * Positions are tile coordinates of entity centers; drawn by rendering/ProjectileRenderer.js.
+ */
+
+import { PROJECTILE_STATS } from '../config/entityStats.js';
+import { entityRegistry } from '../core/EntityRegistry.js';
+import { eventBus, GAME_EVENTS } from '../core/EventBus.js';
+import { calculateDamage, applyDamage } from './DamageSystem.js';
+
+const HIT_RADIUS = 0.5; // Tiles between the target's center and the impact point
+
+/**
+ * @param {Entity} entity
+ * @returns {{x: number, y: number}} Center of a unit (one tile) or building footprint
+ */
+export function getEntityCenter(entity) {
+    const half = (entity.size || 1) / 2;
+    return { x: entity.x + half, y: entity.y + half };
+}
+
+export default class ProjectileSystem {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.projectiles = [];
+    }
+
+    /**
+     * Fire a projectile from an attacker at the current position of its target
+     * @param {Entity} attacker - Unit or tower (stats.projectile, attack, attackType)
+     * @param {Entity} target
+     */
+    fire(attacker, target) {
+        const kind = attacker.stats.projectile;
+        const from = getEntityCenter(attacker);
+        const to = getEntityCenter(target);
+        const distance = Math.hypot(to.x - from.x, to.y - from.y);
+
+        const projectile = {
+            kind,
+            attackerId: attacker.id,
+            faction: attacker.faction,
+            targetId: target.id,
+            attack: attacker.stats.attack,
+            attackType: attacker.stats.attackType,
+            startX: from.x,
+            startY: from.y,
+            x: to.x,
+            y: to.y,
+            progress: 0,
+            step: Math.min(1, PROJECTILE_STATS[kind].speed / Math.max(distance, 0.01))
+        };
+
+        this.projectiles.push(projectile);
+        eventBus.emit(GAME_EVENTS.PROJECTILE_FIRED, { projectile, attacker });
+    }
+
+    /**
+     * Called once per simulation tick
+     */
+    update() {
+        if (this.projectiles.length === 0) return;
+
+        const landed = [];
+        this.projectiles.forEach(p => {
+            p.progress = Math.min(1, p.progress + p.step);
+            if (p.progress >= 1) landed.push(p);
+        });
+        if (landed.length === 0) return;
+
+        this.projectiles = this.projectiles.filter(p => p.progress < 1);
+        landed.forEach(p => this.land(p));
+    }
+
+    land(projectile) {
+        const target = entityRegistry.get(projectile.targetId);
+        if (!target || target.isDead || !this.isAtImpactPoint(target, projectile)) {
+            eventBus.emit(GAME_EVENTS.PROJECTILE_MISSED, { projectile });
+            return;
+        }
+
+        const attacker = entityRegistry.get(projectile.attackerId);
+        const shooter = attacker && !attacker.isDead ? attacker : null;
+        const damage = calculateDamage(projectile, target);
+
+        eventBus.emit(GAME_EVENTS.PROJECTILE_HIT, { projectile, target, damage });
+        const killed = applyDamage(shooter, target, damage);
+        if (killed && shooter && shooter.onKill) shooter.onKill(target);
+    }
+
+    isAtImpactPoint(target, projectile) {
+        const center = getEntityCenter(target);
+        const reach = HIT_RADIUS + ((target.size || 1) - 1) / 2;
+        return Math.abs(center.x - projectile.x) <= reach && Math.abs(center.y - projectile.y) <= reach;
+    }
+
+    /**
+     * Current position of a projectile (straight line; the arc is drawn by the renderer)
+     * @returns {{x: number, y: number}}
+     */
+    getPosition(projectile) {
+        return {
+            x: projectile.startX + (projectile.x - projectile.startX) * projectile.progress,
+            y: projectile.startY + (projectile.y - projectile.startY) * projectile.progress
+        };
+    }
+
+    getState() {
+        return this.projectiles.map(p => ({ ...p }));
+    }
+
+    setState(projectiles = []) {
+        this.projectiles = projectiles.map(p => ({ ...p }));
+    }
+}
+
+export const projectileSystem = new ProjectileSystem();
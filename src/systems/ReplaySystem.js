@@ -0,0 +1,163 @@
+/**
+ * @module ReplaySystem
+ * @description Command-stream replay recording and playback
+ *
+ * A replay stores only the map seed/template and the player commands, each
+ * tagged with the tick (gameState.gameTime) it was issued on. The simulation
+ * is deterministic for a given seed (see utils/Random.js), so regenerating the
+ * map and re-running updateGameLogic while applying the same commands at the
+ * same ticks reproduces the whole match, including every AI decision.
+ *
+ * Key Features:
+ * - Recorder fed by core/Commands.js during normal play
+ * - Player that hands back the commands due on a given tick
+ * - Versioned JSON replay files (download / import)
+ *
+ * Playback speed is the regular game speed (gameState.gameSpeed, see core/Game.js).
+ */
+
+import { gameState } from '../core/GameState.js';
+
+export const REPLAY_VERSION = 1;
+
+/**
+ * @class ReplayRecorder
+ * @description Collects the commands of the running match
+ */
+class ReplayRecorder {
+    constructor() {
+        this.header = null;
+        this.commands = [];
+    }
+
+    /**
+     * Start a new recording
+     * @param {Object} header - Match settings needed to regenerate it ({ seed, template })
+     */
+    start(header) {
+        this.header = { ...header };
+        this.commands = [];
+    }
+
+    /**
+     * Record a command issued before the given tick is simulated
+     * @param {number} tick - gameState.gameTime when the command was issued
+     * @param {Object} command - Plain command object (see core/Commands.js)
+     */
+    record(tick, command) {
+        if (!this.header) return;
+        this.commands.push({ tick, ...JSON.parse(JSON.stringify(command)) });
+    }
+
+    /**
+     * @returns {Object} Replay data for the match so far
+     */
+    getReplay() {
+        return {
+            version: REPLAY_VERSION,
+            recordedAt: new Date().toISOString(),
+            ...this.header,
+            endTick: gameState.gameTime,
+            commands: [...this.commands]
+        };
+    }
+
+    getState() {
+        return this.header ? { header: this.header, commands: this.commands } : null;
+    }
+
+    setState(state) {
+        this.header = state ? state.header : null;
+        this.commands = state ? state.commands : [];
+    }
+}
+
+/**
+ * @class ReplayPlayer
+ * @description Holds a loaded replay and its commands indexed by tick
+ */
+class ReplayPlayer {
+    constructor() {
+        this.replay = null;
+        this.active = false;
+        this.commandsByTick = new Map();
+    }
+
+    load(replay) {
+        validateReplay(replay);
+
+        this.replay = replay;
+        this.commandsByTick.clear();
+        replay.commands.forEach(command => {
+            if (!this.commandsByTick.has(command.tick)) this.commandsByTick.set(command.tick, []);
+            this.commandsByTick.get(command.tick).push(command);
+        });
+
+        this.active = true;
+        console.log(`🎬 Replay loaded: seed ${replay.seed}, ${replay.commands.length} commands, ${replay.endTick} ticks`);
+    }
+
+    stop() {
+        this.replay = null;
+        this.active = false;
+        this.commandsByTick.clear();
+    }
+
+    get endTick() {
+        return this.replay ? this.replay.endTick : 0;
+    }
+
+    /**
+     * @param {number} tick
+     * @returns {Array<Object>} Commands to execute before simulating this tick
+     */
+    getCommands(tick) {
+        return this.commandsByTick.get(tick) || [];
+    }
+}
+
+function validateReplay(replay) {
+    if (!replay || typeof replay !== 'object' || !Array.isArray(replay.commands)) {
+        throw new Error('Invalid replay data');
+    }
+    if (replay.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version ${replay.version} (expected ${REPLAY_VERSION})`);
+    }
+    if (replay.seed === undefined || replay.seed === null) {
+        throw new Error('Replay has no map seed');
+    }
+}
+
+// ========================================
+// JSON FILES
+// ========================================
+
+/**
+ * Download the current match's replay as a JSON file
+ * @param {string} filename - Download file name
+ */
+export function downloadReplay(filename = `rts-replay-${Date.now()}.json`) {
+    const blob = new Blob([JSON.stringify(replayRecorder.getReplay())], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Read a replay from a user-selected JSON file
+ * @param {File} file - File from an <input type="file">
+ * @returns {Promise<Object>} Parsed and validated replay data
+ */
+export async function readReplayFile(file) {
+    const replay = JSON.parse(await file.text());
+    validateReplay(replay);
+    return replay;
+}
+
+export const replayRecorder = new ReplayRecorder();
+export const replayPlayer = new ReplayPlayer();
@@ -8,6 +8,8 @@ import SpatialAudioSystem from './audio/SpatialAudioSystem.js';
 import SoundRegistry from './audio/SoundRegistry.js';
 import MusicPlayer from './audio/MusicPlayer.js';
 import SfxPlayer from './audio/SfxPlayer.js';
+import { eventBus, GAME_EVENTS } from '../core/EventBus.js';
+import { FACTIONS, UNIT_STATS } from '../config/entityStats.js';
 
 export default class SoundManager {
     constructor() {
@@ -30,6 +32,7 @@ export default class SoundManager {
         this.sfxPlayer = new SfxPlayer(this.mixer, this.registry, this.spatial);
 
         this.loadAssets();
+        this.subscribeToGameEvents();
         this.initialized = true;
         console.log('✅ SoundManager initialized (Modular)');
     }
@@ -76,6 +79,38 @@ export default class SoundManager {
         this.registry.loadSfx('level_up', 'assets/sounds/sfx/level_up.mp3');
     }
 
+    /**
+     * Play game sounds in response to simulation events
+     */
+    subscribeToGameEvents() {
+        const isPlayer = faction => faction === FACTIONS.PLAYER.id;
+
+        eventBus.on(GAME_EVENTS.UNIT_TRAINED, ({ unit }) => {
+            if (isPlayer(unit.faction)) this.play('build_complete');
+        });
+        eventBus.on(GAME_EVENTS.UNIT_LEVELED_UP, ({ unit }) => {
+            if (isPlayer(unit.faction)) this.play('level_up');
+        });
+        eventBus.on(GAME_EVENTS.BUILDING_PLACED, ({ building }) => {
+            if (isPlayer(building.faction)) this.play('build_start');
+        });
+        eventBus.on(GAME_EVENTS.BUILDING_COMPLETED, () => this.play('build_complete'));
+        eventBus.on(GAME_EVENTS.RESOURCE_GATHERED, ({ unit, resource }) => {
+            // Stone shares the pickaxe sound of the mines
+            this.playSpatial(resource === 'wood' ? 'gather_wood' : 'gather_gold', unit.x, unit.y);
+        });
+        eventBus.on(GAME_EVENTS.UNDER_ATTACK, ({ target, attacker }) => {
+            // Melee unit hits only (bows sound when fired, killing blows have no swing sound)
+            if (target.isDead || !attacker || !UNIT_STATS[attacker.type] || attacker.stats.projectile) return;
+            this.playSpatial('attack_sword', attacker.x, attacker.y);
+        });
+
+        eventBus.on(GAME_EVENTS.PROJECTILE_FIRED, ({ attacker }) => {
+            // Towers are silent
+            if (UNIT_STATS[attacker.type]) this.playSpatial('attack_bow', attacker.x, attacker.y);
+        });
+    }
+
     // ========================================
     // PUBLIC API
     // ========================================
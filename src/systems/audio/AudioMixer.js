@@ -62,6 +62,7 @@ export default class AudioMixer {
     }
 
     loadSettings() {
+        if (typeof localStorage === 'undefined') return; // Headless (Node)
         try {
             const saved = localStorage.getItem('audioSettings');
             if (saved) {
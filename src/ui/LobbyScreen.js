@@ -0,0 +1,213 @@
+/**
+ * @module LobbyScreen
+ * @description Pre-game setup screen
+ *
+ * This module lets the player configure a match before it starts:
+ * - Map template and seed
+ * - Who controls each faction (human, AI or closed)
+ * - Difficulty and personality of every AI
+ * - Alliances (an ALLIANCE_PRESETS entry or custom teams)
+ * - Starting resources
+ *
+ * Key Features:
+ * - Promise-based: showLobby() resolves with the chosen match settings
+ * - Prefilled from the previous match (or URL parameters on page load)
+ * - Rejects setups that would end immediately (fewer than two sides)
+ */
+
+import { FACTIONS } from '../config/entityStats.js';
+import { ALLIANCE_PRESETS } from '../config/alliances.js';
+import { CONTROLLERS, AI_DIFFICULTIES, DEFAULT_MATCH_SETTINGS } from '../config/matchSettings.js';
+import { MAP_TEMPLATES } from '../map/TerrainGenerator.js';
+import { AI_PERSONALITIES } from '../systems/AIController.js';
+import AllianceSystem from '../systems/AllianceSystem.js';
+import { showNotification } from './UIManager.js';
+
+const CUSTOM_TEAMS = 'CUSTOM_TEAMS';
+const TEAM_COUNT = 4;
+
+const ALLIANCE_LABELS = {
+    FREE_FOR_ALL: 'Free for all',
+    PLAYER_VS_ALL: 'Player vs all',
+    TWO_TEAMS: 'Human + Elf vs Orc + Undead',
+    PLAYER_AND_ALLY: 'Human allied with Elf',
+    [CUSTOM_TEAMS]: 'Custom teams'
+};
+
+const CONTROLLER_LABELS = {
+    [CONTROLLERS.HUMAN]: '🧑 Human',
+    [CONTROLLERS.AI]: '🤖 AI',
+    [CONTROLLERS.CLOSED]: '🚫 Closed'
+};
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+
+const options = (values, selected, label = capitalize) => values
+    .map(value => `<option value="${value}" ${String(value) === String(selected) ? 'selected' : ''}>${label(value)}</option>`)
+    .join('');
+
+/**
+ * Work out which alliance option and teams represent an alliance config
+ * @returns {{ choice: string, teams: Object }} teams maps factionId -> team number
+ */
+function describeAlliances(config, factionIds) {
+    const teams = {};
+    factionIds.forEach((id, i) => { teams[id] = i + 1; });
+
+    if (config.mode === 'FREE_FOR_ALL') return { choice: 'FREE_FOR_ALL', teams };
+
+    const preset = Object.keys(ALLIANCE_PRESETS)
+        .find(key => JSON.stringify(ALLIANCE_PRESETS[key]) === JSON.stringify(config));
+    if (preset) return { choice: preset, teams };
+
+    if (config.mode === 'TEAMS') {
+        Object.values(config.teams).forEach((members, i) => {
+            members.forEach(id => { teams[id] = i + 1; });
+        });
+        return { choice: CUSTOM_TEAMS, teams };
+    }
+    return { choice: 'FREE_FOR_ALL', teams };
+}
+
+/**
+ * Show the lobby and wait for the player to start the match
+ * @param {Object} defaults - Initial values (see DEFAULT_MATCH_SETTINGS)
+ * @returns {Promise<Object>} Match settings for Simulation.newMatch()
+ */
+export function showLobby(defaults = {}) {
+    const settings = { ...DEFAULT_MATCH_SETTINGS, ...defaults };
+    const factionList = [FACTIONS.PLAYER, FACTIONS.ENEMY, FACTIONS.ALLY, FACTIONS.ENEMY_2];
+    const slots = factionList.map(faction =>
+        settings.factions.find(f => f.id === faction.id) ||
+        { id: faction.id, controller: CONTROLLERS.CLOSED, difficulty: 'NORMAL', personality: null }
+    );
+    const alliances = describeAlliances(settings.alliances, factionList.map(f => f.id));
+
+    const rows = factionList.map((faction, i) => {
+        const slot = slots[i];
+        const controllers = faction.id === FACTIONS.PLAYER.id
+            ? [CONTROLLERS.HUMAN, CONTROLLERS.AI, CONTROLLERS.CLOSED]
+            : [CONTROLLERS.AI, CONTROLLERS.CLOSED];
+        const teamNumbers = Array.from({ length: TEAM_COUNT }, (_, t) => t + 1);
+        return `
+            <tr data-faction="${faction.id}">
+                <td><span class="end-faction-dot" style="background: ${faction.color};"></span>${faction.name}</td>
+                <td><select class="lobby-controller">${options(controllers, slot.controller, c => CONTROLLER_LABELS[c])}</select></td>
+                <td><select class="lobby-difficulty">${options(AI_DIFFICULTIES, slot.difficulty)}</select></td>
+                <td><select class="lobby-personality">
+                    <option value="">Random</option>
+                    ${options(Object.keys(AI_PERSONALITIES), slot.personality, key => AI_PERSONALITIES[key].name)}
+                </select></td>
+                <td class="lobby-team-cell"><select class="lobby-team">${options(teamNumbers, alliances.teams[faction.id], n => `Team ${n}`)}</select></td>
+            </tr>
+        `;
+    }).join('');
+
+    const resources = settings.startingResources;
+    const screen = document.createElement('div');
+    screen.id = 'lobby-screen';
+    screen.innerHTML = `
+        <div class="lobby-panel">
+            <h2>⚔️ New Match</h2>
+            <div class="lobby-row">
+                <label for="lobby-map">Map</label>
+                <select id="lobby-map">${options(Object.values(MAP_TEMPLATES), settings.template)}</select>
+                <label for="lobby-seed">Seed</label>
+                <input id="lobby-seed" class="save-slot-input" placeholder="Random" value="${settings.seed ?? ''}">
+            </div>
+            <table class="end-results lobby-factions">
+                <thead><tr><th>Faction</th><th>Control</th><th>Difficulty</th><th>Personality</th><th class="lobby-team-cell">Team</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="lobby-row">
+                <label for="lobby-alliances">Alliances</label>
+                <select id="lobby-alliances">${options([...Object.keys(ALLIANCE_PRESETS), CUSTOM_TEAMS], alliances.choice, key => ALLIANCE_LABELS[key] || key)}</select>
+            </div>
+            <div class="lobby-row">
+                <label>Resources</label>
+                <span class="resource-icon gold"></span><input id="lobby-gold" class="save-slot-input" type="number" min="0" step="50" value="${resources.gold}">
+                <span class="resource-icon wood"></span><input id="lobby-wood" class="save-slot-input" type="number" min="0" step="50" value="${resources.wood}">
+                <span class="resource-icon stone"></span><input id="lobby-stone" class="save-slot-input" type="number" min="0" step="50" value="${resources.stone}">
+            </div>
+            <div class="settings-actions">
+                <button id="lobby-start-btn" class="settings-btn">▶ Start match</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(screen);
+
+    const refresh = () => {
+        const customTeams = document.getElementById('lobby-alliances').value === CUSTOM_TEAMS;
+        screen.querySelectorAll('.lobby-team-cell').forEach(cell => cell.classList.toggle('hidden', !customTeams));
+        screen.querySelectorAll('tr[data-faction]').forEach(row => {
+            const isAI = row.querySelector('.lobby-controller').value === CONTROLLERS.AI;
+            row.querySelector('.lobby-difficulty').disabled = !isAI;
+            row.querySelector('.lobby-personality').disabled = !isAI;
+        });
+    };
+    screen.addEventListener('change', refresh);
+    refresh();
+
+    return new Promise(resolve => {
+        document.getElementById('lobby-start-btn').addEventListener('click', () => {
+            const chosen = readSettings(screen);
+            const error = validateSettings(chosen);
+            if (error) {
+                showNotification(error, 'error');
+                return;
+            }
+            screen.remove();
+            resolve(chosen);
+        });
+    });
+}
+
+/**
+ * @returns {Object} Match settings from the lobby's inputs
+ */
+function readSettings(screen) {
+    const factions = [...screen.querySelectorAll('tr[data-faction]')].map(row => ({
+        id: Number(row.dataset.faction),
+        controller: row.querySelector('.lobby-controller').value,
+        difficulty: row.querySelector('.lobby-difficulty').value,
+        personality: row.querySelector('.lobby-personality').value || null
+    }));
+
+    const choice = document.getElementById('lobby-alliances').value;
+    let alliances;
+    if (choice === CUSTOM_TEAMS) {
+        const teams = {};
+        screen.querySelectorAll('tr[data-faction]').forEach(row => {
+            const team = `team${row.querySelector('.lobby-team').value}`;
+            (teams[team] = teams[team] || []).push(Number(row.dataset.faction));
+        });
+        alliances = { mode: 'TEAMS', teams };
+    } else {
+        alliances = ALLIANCE_PRESETS[choice];
+    }
+
+    const amount = id => Math.max(0, parseInt(document.getElementById(id).value, 10) || 0);
+    const seed = document.getElementById('lobby-seed').value.trim();
+
+    return {
+        template: document.getElementById('lobby-map').value,
+        seed: seed === '' ? undefined : seed,
+        factions,
+        alliances,
+        startingResources: { gold: amount('lobby-gold'), wood: amount('lobby-wood'), stone: amount('lobby-stone') }
+    };
+}
+
+/**
+ * @returns {string|null} Reason the match cannot start, or null if it can
+ */
+function validateSettings(settings) {
+    const active = settings.factions.filter(f => f.controller !== CONTROLLERS.CLOSED).map(f => f.id);
+    if (active.length < 2) return 'At least two factions must take part';
+
+    const allianceSystem = new AllianceSystem(settings.alliances);
+    const oneTeam = active.every(a => active.every(b => a === b || allianceSystem.areAllies(a, b)));
+    if (oneTeam) return 'Every faction is on the same team - nobody to fight';
+
+    return null;
+}
@@ -0,0 +1,186 @@
+/**
+ * @module ReplayViewer
+ * @description Replay menu and playback controls
+ *
+ * This module provides:
+ * - A 🎬 menu to download the current match's replay or open a replay file
+ * - A playback bar shown while a replay is being watched
+ *
+ * Key Features:
+ * - Play/pause
+ * - Seek slider over the whole recording (restarts + fast-forwards when going back)
+ * - 0.25x-8x playback speed (the shared game speed)
+ * - Exit to the lobby to set up a new live match
+ */
+
+import { gameState } from '../core/GameState.js';
+import { startReplay, openLobby, seekReplay, setGameSpeed } from '../core/Game.js';
+import { replayRecorder, replayPlayer, downloadReplay, readReplayFile } from '../systems/ReplaySystem.js';
+import { MS_PER_UPDATE, GAME_SPEEDS } from '../config/constants.js';
+import { showNotification, refreshMatchUI } from './UIManager.js';
+
+const CONTROLS_REFRESH_MS = 250;
+
+let refreshTimer = null;
+let isSeeking = false;
+
+export function initReplayViewer() {
+    const menuBtn = document.createElement('button');
+    menuBtn.id = 'replay-menu-btn';
+    menuBtn.className = 'ui-button';
+    menuBtn.innerHTML = '🎬';
+    menuBtn.title = 'Replays';
+    menuBtn.onclick = () => toggleReplayMenu();
+    document.body.appendChild(menuBtn);
+
+    const panel = document.createElement('div');
+    panel.id = 'replay-menu-panel';
+    panel.className = 'settings-panel hidden';
+    panel.innerHTML = `
+        <div class="settings-header">
+            <h3>🎬 Replays</h3>
+            <button class="close-btn" id="close-replay-btn">✕</button>
+        </div>
+        <div class="settings-content">
+            <div class="settings-info"><small id="replay-record-info"></small></div>
+            <div class="settings-actions">
+                <button id="download-replay-btn" class="settings-btn">⬇️ Download replay</button>
+                <button id="open-replay-btn" class="settings-btn">📂 Watch replay</button>
+                <input type="file" id="open-replay-file" accept=".json,application/json" style="display: none;">
+            </div>
+        </div>
+    `;
+    document.body.appendChild(panel);
+
+    const controls = document.createElement('div');
+    controls.id = 'replay-controls';
+    controls.className = 'hidden';
+    controls.innerHTML = `
+        <button id="replay-play-btn" class="settings-btn">⏸</button>
+        <input type="range" id="replay-seek" min="0" max="0" value="0">
+        <span id="replay-time" class="replay-time">0:00 / 0:00</span>
+        <span id="replay-speeds"></span>
+        <button id="replay-exit-btn" class="settings-btn">✕ Exit</button>
+    `;
+    document.body.appendChild(controls);
+
+    const speeds = document.getElementById('replay-speeds');
+    GAME_SPEEDS.forEach(speed => {
+        const btn = document.createElement('button');
+        btn.className = 'settings-btn replay-speed-btn';
+        btn.dataset.speed = speed;
+        btn.textContent = `${speed}x`;
+        btn.onclick = () => {
+            setGameSpeed(speed);
+            refreshControls();
+        };
+        speeds.appendChild(btn);
+    });
+
+    document.getElementById('close-replay-btn').addEventListener('click', toggleReplayMenu);
+
+    document.getElementById('download-replay-btn').addEventListener('click', () => {
+        if (replayPlayer.active) {
+            showNotification('Exit the replay viewer to download the live match', 'error');
+            return;
+        }
+        downloadReplay();
+    });
+
+    const fileInput = document.getElementById('open-replay-file');
+    document.getElementById('open-replay-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        try {
+            startReplay(await readReplayFile(file));
+            onMatchChanged(`Watching replay "${file.name}"`);
+            showControls();
+        } catch (e) {
+            console.warn('Replay failed to load', e);
+            showNotification(`Replay failed: ${e.message}`, 'error');
+        }
+    });
+
+    document.getElementById('replay-play-btn').addEventListener('click', () => {
+        // Restart from the beginning when play is pressed at the end
+        if (gameState.paused && gameState.gameTime >= replayPlayer.endTick) {
+            seekReplay(0);
+        }
+        gameState.paused = !gameState.paused;
+        refreshControls();
+    });
+
+    const seek = document.getElementById('replay-seek');
+    seek.addEventListener('input', () => {
+        isSeeking = true;
+        document.getElementById('replay-time').textContent =
+            `${formatTicks(Number(seek.value))} / ${formatTicks(replayPlayer.endTick)}`;
+    });
+    seek.addEventListener('change', () => {
+        isSeeking = false;
+        seekReplay(Number(seek.value));
+        refreshMatchUI();
+        refreshControls();
+    });
+
+    document.getElementById('replay-exit-btn').addEventListener('click', async () => {
+        hideControls();
+        await openLobby();
+        onMatchChanged('Replay closed, new match started');
+    });
+}
+
+function toggleReplayMenu() {
+    const panel = document.getElementById('replay-menu-panel');
+    panel.classList.toggle('hidden');
+    if (!panel.classList.contains('hidden')) {
+        document.getElementById('replay-record-info').textContent =
+            `Current match: seed ${gameState.seed}, ${replayRecorder.commands.length} commands, ${formatTicks(gameState.gameTime)}`;
+    }
+}
+
+function onMatchChanged(message) {
+    document.getElementById('replay-menu-panel').classList.add('hidden');
+    refreshMatchUI();
+    showNotification(message, 'success');
+}
+
+function showControls() {
+    document.getElementById('replay-controls').classList.remove('hidden');
+    document.getElementById('replay-seek').max = replayPlayer.endTick;
+    clearInterval(refreshTimer);
+    refreshTimer = setInterval(refreshControls, CONTROLS_REFRESH_MS);
+    refreshControls();
+}
+
+function hideControls() {
+    document.getElementById('replay-controls').classList.add('hidden');
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+}
+
+function refreshControls() {
+    // Replay was ended elsewhere (e.g. a save was loaded)
+    if (!replayPlayer.active) {
+        hideControls();
+        return;
+    }
+
+    document.getElementById('replay-play-btn').textContent = gameState.paused ? '▶' : '⏸';
+    document.querySelectorAll('.replay-speed-btn').forEach(btn => {
+        btn.classList.toggle('active', Number(btn.dataset.speed) === gameState.gameSpeed);
+    });
+
+    if (!isSeeking) {
+        document.getElementById('replay-seek').value = gameState.gameTime;
+        document.getElementById('replay-time').textContent =
+            `${formatTicks(gameState.gameTime)} / ${formatTicks(replayPlayer.endTick)}`;
+    }
+}
+
+function formatTicks(ticks) {
+    const seconds = Math.floor(ticks * MS_PER_UPDATE / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
@@ -7,6 +7,8 @@
  * - Selection panel (unit/building info, health, actions)
  * - Action buttons (build, train, research)
  * - Dynamic button generation based on selected entity
+ * - Victory/defeat screen with per-faction results
+ * - Game log messages for simulation events (core/EventBus.js)
  * 
  * Key Features:
  * - Real-time resource updates
@@ -15,7 +17,9 @@
  * - Training queue visualization
  * - Research button generation
  * - Cost display on action buttons
- * - Health/mana bar updates
+ * - Health/mana bar updates (mana or energy of spellcasters)
+ * - Ability buttons with cost, cooldown and hotkey (targeted ones wait for a right-click)
+ * - Stance buttons for combat units (aggressive, defensive, passive, hold ground)
  * - Faction-specific UI coloring
  * 
  * UI Elements Managed:
@@ -26,9 +30,16 @@
  * - Research availability indicators
  */
 
-import { gameState, units, buildings } from '../core/GameState.js';
-import { FACTIONS, UNIT_STATS, BUILDING_STATS, UPGRADES } from '../config/entityStats.js';
+import { gameState, units, buildings, canAfford as canAffordCost } from '../core/GameState.js';
+import { MS_PER_UPDATE } from '../config/constants.js';
+import { FACTIONS, UNIT_STATS, BUILDING_STATS, UPGRADES, TILES } from '../config/entityStats.js';
+import { ABILITIES, POOLS } from '../config/abilities.js';
+import { getAbilities, getPool, getCooldown, canCast } from '../systems/AbilitySystem.js';
 import { soundManager } from '../systems/SoundManager.js';
+import { issueCommand, COMMANDS } from '../core/Commands.js';
+import { eventBus, GAME_EVENTS } from '../core/EventBus.js';
+import { logGameMessage } from '../utils/Logger.js';
+import { saveToSlot, loadFromSlot, deleteSaveSlot, listSaveSlots, downloadSave, loadFromFile } from '../core/SaveManager.js';
 import Unit from '../entities/Unit.js';
 import Building from '../entities/Building.js';
 
@@ -47,6 +58,10 @@ export function initUI() {
     ui.actionGrid = document.getElementById('actionGrid');
     ui.selectedUnitCount = document.getElementById('selectedUnitCount');
     ui.gameLog = document.getElementById('gameLog');
+    ui.mapSeed = document.getElementById('mapSeed');
+    ui.gameSpeed = document.getElementById('gameSpeed');
+
+    if (ui.mapSeed) ui.mapSeed.textContent = gameState.seed;
 
     // Initialize Tooltip
     tooltip.init();
@@ -56,6 +71,78 @@ export function initUI() {
 
     // Initialize Audio UI
     initAudioUI();
+
+    // Initialize Save/Load UI
+    initSaveUI();
+
+    subscribeToGameEvents();
+}
+
+// --- Game Events ---
+const UNDER_ATTACK_ALERT_TICKS = 300; // At most one "under attack" alert every 10s
+let lastAttackAlert = -Infinity;
+
+/**
+ * Keep the HUD and game log in sync with the simulation
+ */
+function subscribeToGameEvents() {
+    const isPlayer = faction => faction === FACTIONS.PLAYER.id;
+
+    eventBus.on(GAME_EVENTS.RESOURCES_CHANGED, ({ faction }) => {
+        if (isPlayer(faction)) updateResourcesUI();
+    });
+
+    eventBus.on(GAME_EVENTS.UNIT_TRAINED, ({ unit, building }) => {
+        if (isPlayer(unit.faction)) logGameMessage(`${unit.stats.name} trained at ${building.stats.name}.`);
+    });
+
+    const onKill = ({ killer }) => {
+        if (killer && isPlayer(killer.faction)) logGameMessage(`${killer.stats.name} destroyed the enemy!`);
+    };
+    eventBus.on(GAME_EVENTS.UNIT_KILLED, onKill);
+    eventBus.on(GAME_EVENTS.BUILDING_DESTROYED, onKill);
+
+    eventBus.on(GAME_EVENTS.UNIT_LEVELED_UP, ({ unit, level }) => {
+        if (isPlayer(unit.faction)) logGameMessage(`${unit.stats.name} reached level ${level}! ⭐`);
+    });
+
+    eventBus.on(GAME_EVENTS.BUILDING_PLACED, ({ building, builder }) => {
+        if (isPlayer(building.faction)) logGameMessage(`${builder.stats.name} starts building ${building.stats.name}.`);
+    });
+
+    eventBus.on(GAME_EVENTS.BUILDING_COMPLETED, ({ building }) => {
+        if (isPlayer(building.faction)) logGameMessage("Building complete!");
+    });
+
+    eventBus.on(GAME_EVENTS.BUILDING_UPGRADED, ({ building }) => {
+        if (!isPlayer(building.faction)) return;
+        logGameMessage(`Upgraded to ${building.stats.name}!`);
+        updateSelectionPanel();
+    });
+
+    eventBus.on(GAME_EVENTS.RESEARCH_COMPLETED, ({ faction, upgradeId }) => {
+        if (!isPlayer(faction)) return;
+        logGameMessage(`Researched ${UPGRADES[upgradeId].name}!`);
+        updateSelectionPanel();
+    });
+
+    eventBus.on(GAME_EVENTS.UNDER_ATTACK, ({ target, attacker }) => {
+        if (!isPlayer(target.faction) || !attacker || isPlayer(attacker.faction)) return;
+        // Also re-arms after a restart, when gameTime goes back to 0
+        if (gameState.gameTime >= lastAttackAlert && gameState.gameTime - lastAttackAlert < UNDER_ATTACK_ALERT_TICKS) return;
+        lastAttackAlert = gameState.gameTime;
+        logGameMessage(`⚔️ Your ${target.stats.name} is under attack!`);
+        showNotification('⚔️ You are under attack!', 'warning');
+    });
+
+    eventBus.on(GAME_EVENTS.ACTION_FAILED, ({ faction, message }) => {
+        if (isPlayer(faction)) logGameMessage(message);
+    });
+
+    eventBus.on(GAME_EVENTS.FACTION_ELIMINATED, ({ faction }) => {
+        const name = Object.values(FACTIONS).find(f => f.id === faction).name;
+        logGameMessage(isPlayer(faction) ? 'You have been eliminated!' : `${name} has been eliminated!`);
+    });
 }
 
 // --- Audio UI ---
@@ -159,6 +246,228 @@ function toggleAudioSettings() {
     panel.classList.toggle('hidden');
 }
 
+// --- Save/Load UI ---
+export function initSaveUI() {
+    const saveBtn = document.createElement('button');
+    saveBtn.id = 'save-menu-btn';
+    saveBtn.className = 'ui-button';
+    saveBtn.innerHTML = '💾';
+    saveBtn.title = 'Save / Load';
+    saveBtn.onclick = () => toggleSaveMenu();
+    document.body.appendChild(saveBtn);
+
+    const panel = document.createElement('div');
+    panel.id = 'save-menu-panel';
+    panel.className = 'settings-panel hidden';
+
+    panel.innerHTML = `
+        <div class="settings-header">
+            <h3>💾 Save / Load</h3>
+            <button class="close-btn" id="close-save-btn">✕</button>
+        </div>
+        <div class="settings-content">
+            <div class="volume-control">
+                <label>Slot name</label>
+                <input type="text" id="save-slot-name" class="save-slot-input" value="slot1" maxlength="20">
+                <button id="save-slot-btn" class="settings-btn">Save</button>
+            </div>
+            <div id="save-slot-list" class="save-slot-list"></div>
+            <div class="settings-actions">
+                <button id="download-save-btn" class="settings-btn">⬇️ Download</button>
+                <button id="import-save-btn" class="settings-btn">⬆️ Import</button>
+                <input type="file" id="import-save-file" accept=".json,application/json" style="display: none;">
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(panel);
+
+    document.getElementById('close-save-btn').addEventListener('click', toggleSaveMenu);
+
+    document.getElementById('save-slot-btn').addEventListener('click', () => {
+        const slot = document.getElementById('save-slot-name').value.trim();
+        if (!slot) return;
+        try {
+            saveToSlot(slot);
+            showNotification(`Game saved to "${slot}"`, 'success');
+            renderSaveSlots();
+        } catch (e) {
+            console.warn('Save failed', e);
+            showNotification(`Save failed: ${e.message}`, 'error');
+        }
+    });
+
+    document.getElementById('download-save-btn').addEventListener('click', () => downloadSave());
+
+    const fileInput = document.getElementById('import-save-file');
+    document.getElementById('import-save-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        try {
+            await loadFromFile(file);
+            onGameLoaded(file.name);
+        } catch (e) {
+            console.warn('Import failed', e);
+            showNotification(`Import failed: ${e.message}`, 'error');
+        }
+    });
+}
+
+function toggleSaveMenu() {
+    const panel = document.getElementById('save-menu-panel');
+    panel.classList.toggle('hidden');
+    if (!panel.classList.contains('hidden')) renderSaveSlots();
+}
+
+function renderSaveSlots() {
+    const list = document.getElementById('save-slot-list');
+    const slots = listSaveSlots();
+
+    if (slots.length === 0) {
+        list.innerHTML = '<div class="settings-info"><small>No saved games</small></div>';
+        return;
+    }
+
+    list.innerHTML = '';
+    slots.forEach(({ slot, version, savedAt, gameTime }) => {
+        const row = document.createElement('div');
+        row.className = 'save-slot-row';
+        row.innerHTML = `
+            <span class="save-slot-label">${slot} <small>v${version} · ${Math.floor(gameTime / 30)}s · ${new Date(savedAt).toLocaleString()}</small></span>
+        `;
+
+        const loadBtn = document.createElement('button');
+        loadBtn.className = 'settings-btn';
+        loadBtn.textContent = 'Load';
+        loadBtn.onclick = () => {
+            try {
+                loadFromSlot(slot);
+                onGameLoaded(slot);
+            } catch (e) {
+                console.warn('Load failed', e);
+                showNotification(`Load failed: ${e.message}`, 'error');
+            }
+        };
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'settings-btn';
+        deleteBtn.textContent = '✕';
+        deleteBtn.onclick = () => {
+            deleteSaveSlot(slot);
+            renderSaveSlots();
+        };
+
+        row.appendChild(loadBtn);
+        row.appendChild(deleteBtn);
+        list.appendChild(row);
+    });
+}
+
+function onGameLoaded(name) {
+    document.getElementById('save-menu-panel').classList.add('hidden');
+    refreshMatchUI();
+    showNotification(`Loaded "${name}"`, 'success');
+}
+
+/**
+ * Show the game speed (or pause) in the HUD; called every frame, so only
+ * touches the DOM when the text changes
+ */
+export function updateSpeedIndicator() {
+    if (!ui.gameSpeed) return;
+    const text = gameState.paused ? '⏸ Paused' : `${gameState.gameSpeed}x`;
+    if (ui.gameSpeed.textContent !== text) {
+        ui.gameSpeed.textContent = text;
+        ui.gameSpeed.classList.toggle('speed-changed', gameState.paused || gameState.gameSpeed !== 1);
+    }
+}
+
+/**
+ * Refresh everything in the HUD that belongs to the current match
+ * (after a new match, replay or save game replaced it)
+ */
+export function refreshMatchUI() {
+    if (ui.mapSeed) ui.mapSeed.textContent = gameState.seed;
+    updateResourcesUI();
+    updateSelectionPanel();
+}
+
+// --- Victory / Defeat Screen ---
+/**
+ * Show the end-of-match screen
+ * @param {Array<Object>} results - From GameRules.getResults()
+ * @param {Object} actions
+ * @param {Function} actions.onContinue - Close the screen and keep watching
+ * @param {Function} actions.onNewMatch - Set up a new match (opens the lobby)
+ */
+export function showEndScreen(results, { onContinue, onNewMatch }) {
+    hideEndScreen();
+
+    const player = results.find(r => r.factionId === FACTIONS.PLAYER.id);
+    const victory = player ? player.victory : false;
+    // Without a player faction (slot closed in the lobby) there is no personal result
+    const title = !player ? '🏁 Match over' : victory ? '🏆 Victory!' : '☠️ Defeat';
+    const formatTime = ticks => {
+        const seconds = Math.floor(ticks * MS_PER_UPDATE / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    };
+
+    const rows = results.map(r => {
+        const faction = Object.values(FACTIONS).find(f => f.id === r.factionId);
+        const status = {
+            victory: '🏆 Victory',
+            eliminated: `☠️ Eliminated ${formatTime(r.eliminatedAt)}`,
+            defeated: '❌ Defeated',
+            playing: '⚔️ Still fighting'
+        }[r.status];
+        return `
+            <tr>
+                <td><span class="end-faction-dot" style="background: ${faction.color};"></span>${r.name}</td>
+                <td>${status}</td>
+                <td>${r.score}</td>
+                <td>${r.units}</td>
+                <td>${r.buildings}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const screen = document.createElement('div');
+    screen.id = 'end-screen';
+    screen.innerHTML = `
+        <div class="end-screen-panel">
+            <h2 class="${victory || !player ? 'end-victory' : 'end-defeat'}">${title}</h2>
+            <div class="end-screen-time">Match time ${formatTime(gameState.gameTime)}</div>
+            <table class="end-results">
+                <thead><tr><th>Faction</th><th>Result</th><th>Score</th><th>Units</th><th>Buildings</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="settings-actions">
+                <button id="end-continue-btn" class="settings-btn">👁️ Keep watching</button>
+                <button id="end-new-match-btn" class="settings-btn">🔄 New match</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(screen);
+
+    document.getElementById('end-continue-btn').addEventListener('click', () => {
+        hideEndScreen();
+        onContinue();
+    });
+    document.getElementById('end-new-match-btn').addEventListener('click', () => {
+        hideEndScreen();
+        onNewMatch();
+    });
+
+    soundManager.play(victory ? 'build_complete' : 'building_destroyed');
+}
+
+export function hideEndScreen() {
+    const screen = document.getElementById('end-screen');
+    if (screen) screen.remove();
+}
+
 // --- Tooltip System ---
 const tooltip = {
     element: null,
@@ -192,6 +501,18 @@ const tooltip = {
     }
 };
 
+/**
+ * @param {Object} cost - { gold, wood, stone }
+ * @returns {string} Cost spans for a tooltip (gold always, wood/stone when needed)
+ */
+function formatCost(cost) {
+    return [
+        `<span>💰 ${cost.gold || 0}G</span>`,
+        cost.wood ? `<span>🪵 ${cost.wood}W</span>` : '',
+        cost.stone ? `<span>🪨 ${cost.stone}S</span>` : ''
+    ].join('');
+}
+
 function createUnitTooltip(unitType) {
     const stats = UNIT_STATS[unitType];
 
@@ -202,14 +523,14 @@ function createUnitTooltip(unitType) {
         </div>
         <div class="tooltip-stats">
             <div>❤️ Health: ${stats.maxHealth}</div>
-            <div>⚔️ Damage: ${stats.damage}</div>
+            <div>⚔️ Damage: ${stats.attack} (${stats.attackType})</div>
+            <div>🛡️ Armor: ${stats.armor} (${stats.armorType})</div>
             <div>🎯 Range: ${stats.range}</div>
             <div>👟 Speed: ${stats.speed}</div>
         </div>
         <div class="tooltip-cost">
-            <span>💰 ${stats.cost.gold}G</span>
+            ${formatCost(stats.cost)}
             <span>🍖 ${stats.cost.food}F</span>
-            ${stats.cost.wood ? `<span>🪵 ${stats.cost.wood}W</span>` : ''}
         </div>
         <div class="tooltip-time">
             ⏱️ Build time: ${stats.trainTime || 30}s
@@ -277,6 +598,41 @@ export function enterBuildingMode(type) {
     showNotification(`Building Mode: ${type}`, 'info');
 }
 
+/**
+ * @returns {Array<Unit>} Selected player units that can cast the ability right now
+ */
+export function getSelectedCasters(abilityId) {
+    return gameState.selectedEntities.filter(e =>
+        e instanceof Unit && e.faction === FACTIONS.PLAYER.id && canCast(e, abilityId)
+    );
+}
+
+/**
+ * Use an ability with the selected units: instant abilities are cast at once,
+ * targeted ones wait for a right-click on the target (InputManager)
+ * @param {string} abilityId
+ * @returns {boolean} False if no selected unit can cast it right now
+ */
+export function enterAbilityMode(abilityId) {
+    const casters = getSelectedCasters(abilityId);
+    const ability = ABILITIES[abilityId];
+    if (casters.length === 0) {
+        logGameMessage(`${ability.name} is not ready.`);
+        return false;
+    }
+
+    if (ability.targeting === 'none') {
+        issueCommand({ type: COMMANDS.CAST, unitIds: casters.map(u => u.id), abilityId });
+        return true;
+    }
+
+    gameState.buildingMode = null;
+    gameState.commandMode = COMMANDS.CAST;
+    gameState.commandAbility = abilityId;
+    logGameMessage(`${ability.name}: right-click ${ability.targeting === 'enemy' ? 'an enemy' : 'a friendly'} unit`);
+    return true;
+}
+
 export function updateResourcesUI() {
     if (!ui.gold) return; // Not initialized
 
@@ -304,14 +660,32 @@ const ACTION_HOTKEYS = {
     'lumbermill': 'L',
     'blacksmith': 'K',
     'guardtower': 'T',
+    'miningcamp': 'M',
+    'temple': 'E',
+
+    // Peasant commands
+    'buildRoad': 'J',
+    'autoRepair': 'R',
 
     // Units
     'peasant': 'P',
     'soldier': 'S',
     'archer': 'A',
-    'knight': 'N'
+    'knight': 'N',
+    'priest': 'I',
+
+    // Abilities
+    ...Object.fromEntries(Object.entries(ABILITIES).map(([id, ability]) => [id, ability.hotkey]))
 };
 
+// Combat stances (Unit.setStance): how units react to enemies when they have no order
+const STANCES = [
+    { id: 'aggressive', icon: '⚔️', name: 'Aggressive', description: 'Attack enemies that come near and chase them.' },
+    { id: 'defensive', icon: '🛡️', name: 'Defensive', description: 'Attack enemies that come near without chasing them.' },
+    { id: 'passive', icon: '🕊️', name: 'Passive', description: 'Never attack without an order.' },
+    { id: 'hold', icon: '⚓', name: 'Hold Ground', description: 'Never move without an order; attack enemies in range.' }
+];
+
 export function updateSelectionPanel() {
     if (!ui.actionGrid) return;
 
@@ -342,7 +716,17 @@ export function updateSelectionPanel() {
     ui.selectedHealth.style.width = `${(selected.health / selected.maxHealth) * 100}%`;
     const factionName = Object.values(FACTIONS).find(f => f.id === selected.faction)?.name || 'Unknown';
     ui.selectedSubInfo.textContent = factionName;
-    ui.selectedMana.style.width = '0%';
+
+    // Mana or energy
+    const pool = selected instanceof Unit ? getPool(selected) : null;
+    ui.selectedMana.style.width = pool ? `${(pool.current / pool.max) * 100}%` : '0%';
+    ui.selectedMana.style.background = pool ? POOLS[pool.type].color : '';
+
+    // Gold mines show what is left instead of health
+    if (selected.goldRemaining !== undefined) {
+        ui.selectedSubInfo.textContent = `💰 ${selected.goldRemaining} / ${selected.stats.goldAmount} gold left`;
+        ui.selectedHealth.style.width = `${(selected.goldRemaining / selected.stats.goldAmount) * 100}%`;
+    }
 
     // Actions
     if (selected instanceof Unit && selected.type === 'peasant' && selected.faction === FACTIONS.PLAYER.id) {
@@ -350,10 +734,10 @@ export function updateSelectionPanel() {
         for (const type in BUILDING_STATS) {
             const stats = BUILDING_STATS[type];
             if (stats.buildable) {
-                const canAfford = gameState.resources.gold >= stats.cost.gold && gameState.resources.wood >= stats.cost.wood;
+                const canAfford = canAffordCost(FACTIONS.PLAYER.id, stats.cost);
                 const tooltipHTML = `
                     <div class="tooltip-header"><span class="tooltip-icon">${stats.symbol}</span><span class="tooltip-name">${stats.name}</span></div>
-                    <div class="tooltip-cost"><span>💰 ${stats.cost.gold}G</span><span>🪵 ${stats.cost.wood}W</span></div>
+                    <div class="tooltip-cost">${formatCost(stats.cost)}</div>
                     <div class="tooltip-description">Build a ${stats.name}.</div>
                 `;
 
@@ -368,13 +752,52 @@ export function updateSelectionPanel() {
                 ui.actionGrid.appendChild(btn);
             }
         }
+
+        // Road: waits for a right-click on where it should lead
+        const road = TILES.ROAD;
+        const roadTooltipHTML = `
+            <div class="tooltip-header"><span class="tooltip-icon">🛣️</span><span class="tooltip-name">${road.name}</span></div>
+            <div class="tooltip-cost">${formatCost(road.buildCost)} per tile</div>
+            <div class="tooltip-description">Pave a straight road over grass towards a tile. Units move faster on roads.</div>
+        `;
+        ui.actionGrid.appendChild(createActionButton(
+            '🛣️',
+            `Build ${road.name}`,
+            () => {
+                gameState.buildingMode = null;
+                gameState.commandMode = COMMANDS.BUILD_ROAD;
+                logGameMessage('Road: right-click where it should lead');
+            },
+            roadTooltipHTML,
+            'buildRoad',
+            canAffordCost(FACTIONS.PLAYER.id, road.buildCost)
+        ));
+
+        // Auto-repair toggle
+        const tooltipHTML = `
+            <div class="tooltip-header"><span class="tooltip-icon">🔧</span><span class="tooltip-name">Auto-repair: ${selected.autoRepair ? 'On' : 'Off'}</span></div>
+            <div class="tooltip-description">When idle, repair damaged buildings nearby (costs gold and wood).</div>
+        `;
+        ui.actionGrid.appendChild(createActionButton(
+            '🔧',
+            `Auto-repair (${selected.autoRepair ? 'on' : 'off'})`,
+            () => {
+                issueCommand({ type: COMMANDS.AUTO_REPAIR, unitIds: [selected.id], enabled: !selected.autoRepair });
+                updateSelectionPanel();
+            },
+            tooltipHTML,
+            'autoRepair',
+            true
+        ));
+    } else if (selected instanceof Unit && selected.faction === FACTIONS.PLAYER.id) {
+        appendStanceButtons([selected]);
+        appendAbilityButtons([selected]);
     } else if (selected instanceof Building && !selected.isBlueprint && selected.faction === FACTIONS.PLAYER.id) {
         // Building Actions: Train Units
         if (selected.stats.trainUnits) {
             selected.stats.trainUnits.forEach(unitType => {
                 const stats = UNIT_STATS[unitType];
-                const canAfford = gameState.resources.gold >= stats.cost.gold &&
-                    gameState.resources.wood >= (stats.cost.wood || 0) &&
+                const canAfford = canAffordCost(FACTIONS.PLAYER.id, stats.cost) &&
                     gameState.resources.foodUsed + stats.cost.food <= gameState.resources.foodMax;
 
                 const tooltipHTML = createUnitTooltip(unitType);
@@ -382,7 +805,7 @@ export function updateSelectionPanel() {
                 const btn = createActionButton(
                     stats.symbol,
                     `Train ${stats.name}`,
-                    () => selected.trainUnit(unitType),
+                    () => issueCommand({ type: COMMANDS.TRAIN, buildingId: selected.id, unitType }),
                     tooltipHTML,
                     unitType,
                     canAfford
@@ -427,17 +850,17 @@ export function updateSelectionPanel() {
                 const isResearched = gameState.factionUpgrades[selected.faction].includes(upgradeId);
 
                 if (!isResearched) {
-                    const canAfford = gameState.resources.gold >= upgrade.cost.gold && gameState.resources.wood >= upgrade.cost.wood;
+                    const canAfford = canAffordCost(FACTIONS.PLAYER.id, upgrade.cost);
                     const tooltipHTML = `
                         <div class="tooltip-header"><span class="tooltip-icon">⚡</span><span class="tooltip-name">${upgrade.name}</span></div>
-                        <div class="tooltip-cost"><span>💰 ${upgrade.cost.gold}G</span><span>🪵 ${upgrade.cost.wood}W</span></div>
+                        <div class="tooltip-cost">${formatCost(upgrade.cost)}</div>
                         <div class="tooltip-description">${upgrade.description}</div>
                     `;
 
                     const btn = createActionButton(
                         '⚡',
                         `Research ${upgrade.name}`,
-                        () => selected.research(upgradeId),
+                        () => issueCommand({ type: COMMANDS.RESEARCH, buildingId: selected.id, upgradeId }),
                         tooltipHTML,
                         null, // No hotkey for research yet
                         canAfford
@@ -446,17 +869,54 @@ export function updateSelectionPanel() {
                 }
             });
         }
+
+        // Building Actions: Upgrade to another building type
+        selected.getUpgradeOptions().forEach(buildingType => {
+            const stats = BUILDING_STATS[buildingType];
+            const canAfford = canAffordCost(FACTIONS.PLAYER.id, stats.cost);
+            const tooltipHTML = `
+                <div class="tooltip-header"><span class="tooltip-icon">⬆️</span><span class="tooltip-name">${stats.name}</span></div>
+                <div class="tooltip-cost">${formatCost(stats.cost)}</div>
+                <div class="tooltip-description">Upgrade to a ${stats.name}.</div>
+            `;
+
+            const btn = createActionButton(
+                stats.symbol,
+                `Upgrade to ${stats.name}`,
+                () => issueCommand({ type: COMMANDS.UPGRADE, buildingId: selected.id, buildingType }),
+                tooltipHTML,
+                null,
+                canAfford
+            );
+            ui.actionGrid.appendChild(btn);
+        });
     } else if (selected instanceof Building && selected.isBlueprint) {
-        const progress = (selected.health / selected.maxHealth) * 100; // Using health as build progress for now
+        const progress = (selected.constructionProgress / selected.getConstructionFrames()) * 100;
+        const builders = units.filter(u => !u.isDead && u.isBuilding && u.buildTarget === selected).length;
         ui.actionGrid.innerHTML = `
             <div class="construction-panel">
-                <div class="construction-title">⚒️ UNDER CONSTRUCTION</div>
+                <div class="construction-title">⚒️ ${builders > 0 ? `UNDER CONSTRUCTION (${builders} 👷)` : 'CONSTRUCTION PAUSED'}</div>
                 <div class="progress-bar-container">
                     <div class="progress-bar" style="width: ${progress}%"></div>
                     <span class="progress-text">${Math.floor(progress)}%</span>
                 </div>
             </div>
         `;
+
+        if (selected.faction === FACTIONS.PLAYER.id) {
+            const tooltipHTML = `
+                <div class="tooltip-header"><span class="tooltip-icon">✖</span><span class="tooltip-name">Cancel Construction</span></div>
+                <div class="tooltip-description">Tear down the site and get most of its cost back.</div>
+            `;
+            ui.actionGrid.appendChild(createActionButton(
+                '✖',
+                'Cancel construction',
+                () => issueCommand({ type: COMMANDS.CANCEL_BUILD, buildingId: selected.id }),
+                tooltipHTML,
+                null,
+                true
+            ));
+        }
     }
 }
 
@@ -508,6 +968,78 @@ function displayMultiSelection(entities) {
 
         ui.actionGrid.appendChild(btn);
     });
+
+    const playerUnits = entities.filter(e => e instanceof Unit && e.faction === FACTIONS.PLAYER.id);
+    appendStanceButtons(playerUnits.filter(u => u.type !== 'peasant'));
+    appendAbilityButtons(playerUnits);
+}
+
+/**
+ * Add a button per combat stance (the one all the units share is highlighted)
+ * @param {Array<Unit>} fighters - Player units
+ */
+function appendStanceButtons(fighters) {
+    if (fighters.length === 0) return;
+
+    STANCES.forEach(stance => {
+        const tooltipHTML = `
+            <div class="tooltip-header"><span class="tooltip-icon">${stance.icon}</span><span class="tooltip-name">${stance.name} Stance</span></div>
+            <div class="tooltip-description">${stance.description}</div>
+        `;
+
+        const btn = createActionButton(
+            stance.icon,
+            `${stance.name} stance`,
+            () => {
+                issueCommand({ type: COMMANDS.STANCE, unitIds: fighters.map(u => u.id), stance: stance.id });
+                updateSelectionPanel();
+            },
+            tooltipHTML,
+            'stance'
+        );
+        if (fighters.every(u => u.stance === stance.id)) btn.classList.add('selected');
+
+        ui.actionGrid.appendChild(btn);
+    });
+}
+
+/**
+ * Add a button for every ability the units know (greyed out while none of them can cast it)
+ * @param {Array<Unit>} casters - Player units
+ */
+function appendAbilityButtons(casters) {
+    const abilityIds = [...new Set(casters.flatMap(getAbilities))];
+
+    abilityIds.forEach(abilityId => {
+        const ability = ABILITIES[abilityId];
+        const knownBy = casters.filter(u => getAbilities(u).includes(abilityId));
+        const ready = knownBy.some(u => canCast(u, abilityId));
+        const tooltipHTML = `
+            <div class="tooltip-header"><span class="tooltip-icon">${ability.icon}</span><span class="tooltip-name">${ability.name}</span></div>
+            <div class="tooltip-cost">${ability.cost} ${POOLS[ability.resource].name} · ${ability.cooldown}s cooldown</div>
+            <div class="tooltip-description">${ability.description}</div>
+        `;
+
+        const btn = createActionButton(
+            ability.icon,
+            ability.name,
+            () => enterAbilityMode(abilityId),
+            tooltipHTML,
+            abilityId,
+            ready
+        );
+
+        // Seconds until the first of the units can cast it again
+        const cooldown = Math.min(...knownBy.map(u => getCooldown(u, abilityId)));
+        if (cooldown > 0) {
+            const badge = document.createElement('span');
+            badge.className = 'unit-count-badge';
+            badge.textContent = `${Math.ceil(cooldown * MS_PER_UPDATE / 1000)}s`;
+            btn.appendChild(badge);
+        }
+
+        ui.actionGrid.appendChild(btn);
+    });
 }
 
 export function createActionButton(symbol, title, onClick, tooltipContent, actionType, canAfford = true) {
@@ -28,6 +28,8 @@ import { gameState } from '../core/GameState.js';
  * @param {string} message - The message to log
  */
 export function logGameMessage(message) {
+    if (typeof document === 'undefined') return; // Headless (Node)
+
     const gameLog = document.getElementById('gameLog');
     if (gameLog) {
         const entry = document.createElement('div');
@@ -0,0 +1,56 @@
+/**
+ * @module MinHeap
+ * @description Binary min-heap keyed on the `f` property of its items
+ *
+ * Priority queue for the pathfinding searches (systems/Pathfinder.js,
+ * map/ClusterGraph.js). Items with equal `f` come out in an order that only
+ * depends on the order they were pushed, so searches stay deterministic.
+ */
+
+export default class MinHeap {
+    constructor() {
+        this.heap = [];
+    }
+
+    push(node) {
+        this.heap.push(node);
+        this.bubbleUp(this.heap.length - 1);
+    }
+
+    pop() {
+        if (this.heap.length === 0) return null;
+        if (this.heap.length === 1) return this.heap.pop();
+        const min = this.heap[0];
+        this.heap[0] = this.heap.pop();
+        this.bubbleDown(0);
+        return min;
+    }
+
+    bubbleUp(idx) {
+        while (idx > 0) {
+            const parent = Math.floor((idx - 1) / 2);
+            if (this.heap[idx].f >= this.heap[parent].f) break;
+            [this.heap[idx], this.heap[parent]] = [this.heap[parent], this.heap[idx]];
+            idx = parent;
+        }
+    }
+
+    bubbleDown(idx) {
+        while (true) {
+            let smallest = idx;
+            const left = 2 * idx + 1;
+            const right = 2 * idx + 2;
+
+            if (left < this.heap.length && this.heap[left].f < this.heap[smallest].f)
+                smallest = left;
+            if (right < this.heap.length && this.heap[right].f < this.heap[smallest].f)
+                smallest = right;
+            if (smallest === idx) break;
+
+            [this.heap[idx], this.heap[smallest]] = [this.heap[smallest], this.heap[idx]];
+            idx = smallest;
+        }
+    }
+
+    get length() { return this.heap.length; }
+}
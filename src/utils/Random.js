@@ -0,0 +1,110 @@
+/**
+ * @module Random
+ * @description Seedable deterministic pseudo-random number generator
+ *
+ * This module replaces direct Math.random() calls in simulation code so that
+ * a given seed always reproduces the same map and the same AI decisions.
+ *
+ * Key Features:
+ * - Mulberry32 generator (fast, 32-bit state, good distribution)
+ * - Numeric or string seeds (strings are hashed)
+ * - Helpers for ints, ranges, chances and array picks
+ * - State snapshot/restore for save games
+ *
+ * Usage:
+ * - `rng` is the shared game-wide service, reseeded by generateMap()
+ * - Rendering/audio variety should keep using Math.random()
+ */
+
+/**
+ * Normalize a seed (number or string) into an unsigned 32-bit integer
+ * @param {number|string} seed
+ * @returns {number}
+ */
+export function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+
+    // Numeric strings (e.g. from a URL or a bug report) map to the same number
+    if (/^\d+$/.test(String(seed).trim())) {
+        return Number(String(seed).trim()) >>> 0;
+    }
+
+    // FNV-1a hash for string seeds
+    const str = String(seed);
+    let hash = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a fresh random seed (non-deterministic, used when none is given)
+ * @returns {number}
+ */
+export function createSeed() {
+    return Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * @class SeededRandom
+ * @description Mulberry32 PRNG
+ */
+export class SeededRandom {
+    constructor(seed = createSeed()) {
+        this.setSeed(seed);
+    }
+
+    setSeed(seed) {
+        this.seed = normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * @returns {number} Float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * @returns {number} Integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * @returns {number} Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    setState({ seed, state }) {
+        this.seed = seed;
+        this.state = state;
+    }
+}
+
+// Shared game-wide instance
+export const rng = new SeededRandom();